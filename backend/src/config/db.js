@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import logger from '../utils/logger.js';
+import { runIndexMigrations } from './migrations.js';
 
 dotenv.config();
 
@@ -19,6 +20,12 @@ const connectDB = async () => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
   }
+
+  try {
+    await runIndexMigrations();
+  } catch (err) {
+    logger.error('Index migration error:', err);
+  }
 };
 
 export default connectDB;
\ No newline at end of file
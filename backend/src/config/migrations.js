@@ -0,0 +1,54 @@
+import logger from '../utils/logger.js';
+import { QRCodeSession } from '../models/qrCodeSessionModel.js';
+import { Class } from '../models/classModel.js';
+import { Schedule } from '../models/scheduleModel.js';
+
+// Collections that do not exist yet have nothing to migrate
+const NAMESPACE_NOT_FOUND = 26;
+
+const listIndexes = async (model) => {
+  try {
+    return await model.collection.indexes();
+  } catch (err) {
+    if (err.code === NAMESPACE_NOT_FOUND) return [];
+    throw err;
+  }
+};
+
+const sameKey = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Apply the TTL configured on a model's index to an existing database.
+ * Mongoose autoIndex cannot change the options of an index that already exists.
+ */
+const syncTtlIndex = async (model, key) => {
+  const schemaIndex = model.schema.indexes().find(([fields]) => sameKey(fields, key));
+  const expireAfterSeconds = schemaIndex?.[1].expireAfterSeconds;
+  const existing = (await listIndexes(model)).find((index) => sameKey(index.key, key));
+  if (!existing || expireAfterSeconds === undefined || existing.expireAfterSeconds === expireAfterSeconds) {
+    return;
+  }
+
+  await model.db.db.command({
+    collMod: model.collection.collectionName,
+    index: { keyPattern: key, expireAfterSeconds },
+  });
+  logger.info(`Updated TTL of ${model.collection.collectionName} ${existing.name} to ${expireAfterSeconds}s`);
+};
+
+// Drop an index the schema no longer declares, e.g. a unique index whose key has since grown
+const dropLegacyIndex = async (model, name) => {
+  const existing = (await listIndexes(model)).find((index) => index.name === name);
+  if (!existing) return;
+
+  await model.collection.dropIndex(name);
+  logger.info(`Dropped legacy index ${model.collection.collectionName} ${name}`);
+};
+
+// Bring indexes created by earlier versions in line with the current schemas
+export const runIndexMigrations = async () => {
+  await syncTtlIndex(QRCodeSession, { expiresAt: 1 });
+  // Classes and schedules are unique per term; the term-less indexes would block rollover clones
+  await dropLegacyIndex(Class, 'subjectCode_1_semester_1_division_1');
+  await dropLegacyIndex(Schedule, 'teacherId_1_dayOfWeek_1_startTime_1_roomNumber_1');
+};
@@ -0,0 +1,414 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { Announcement } from '../models/announcementModel.js';
+import { AnnouncementRead } from '../models/announcementReadModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { assertClassAccess } from '../utils/classAccess.js';
+
+// Numeric rank used to order announcements by priority
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+
+// Loads an announcement and checks the user may manage it
+const findManageableAnnouncement = async (user, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new Error('Invalid announcement ID');
+  }
+  const announcement = await Announcement.findById(id);
+  if (!announcement) {
+    throw new Error('Announcement not found');
+  }
+  await assertClassAccess(user, announcement.classId, 'manage');
+  return announcement;
+};
+
+const errorStatus = (err) =>
+  err.message.includes('not found') ? 404 :
+  err.message.includes('Not authorized') ? 403 : 400;
+
+/**
+ * @route POST /api/announcements
+ * @desc Post an announcement to a class
+ * @access Teacher of the class or Admin
+ */
+export const createAnnouncement = async (req, res) => {
+  try {
+    const { classId, title, content, priority, isPinned, expiresAt } = req.body;
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const announcement = new Announcement({
+      classId,
+      authorId: req.user._id,
+      title,
+      content,
+      priority,
+      isPinned,
+      expiresAt,
+    });
+    await announcement.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'CREATE_ANNOUNCEMENT',
+      details: { announcementId: announcement._id, classId, priority: announcement.priority },
+      status: 'success',
+    }).save();
+
+    const populatedAnnouncement = await Announcement.findById(announcement._id)
+      .populate('classId', 'classNumber subjectCode subjectName')
+      .populate('authorId', 'fullName email');
+
+    res.status(201).json(populatedAnnouncement);
+  } catch (err) {
+    logger.error('Create announcement error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PUT /api/announcements/:id
+ * @desc Edit an announcement
+ * @access Teacher of the class or Admin
+ */
+export const updateAnnouncement = async (req, res) => {
+  try {
+    const announcement = await findManageableAnnouncement(req.user, req.params.id);
+    const { title, content, priority, isPinned, expiresAt, isActive } = req.body;
+
+    if (title !== undefined) announcement.title = title;
+    if (content !== undefined) announcement.content = content;
+    if (priority !== undefined) announcement.priority = priority;
+    if (isPinned !== undefined) announcement.isPinned = isPinned;
+    if (expiresAt !== undefined) announcement.expiresAt = expiresAt;
+    if (isActive !== undefined) announcement.isActive = isActive;
+
+    await announcement.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UPDATE_ANNOUNCEMENT',
+      details: { announcementId: announcement._id, classId: announcement.classId },
+      status: 'success',
+    }).save();
+
+    res.json(announcement);
+  } catch (err) {
+    logger.error('Update announcement error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PATCH /api/announcements/:id/pin
+ * @desc Pin or unpin an announcement
+ * @access Teacher of the class or Admin
+ */
+export const pinAnnouncement = async (req, res) => {
+  try {
+    const announcement = await findManageableAnnouncement(req.user, req.params.id);
+    const { isPinned = true } = req.body;
+
+    announcement.isPinned = isPinned;
+    await announcement.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: isPinned ? 'PIN_ANNOUNCEMENT' : 'UNPIN_ANNOUNCEMENT',
+      details: { announcementId: announcement._id, classId: announcement.classId },
+      status: 'success',
+    }).save();
+
+    res.json(announcement);
+  } catch (err) {
+    logger.error('Pin announcement error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PATCH /api/announcements/:id/expire
+ * @desc Expire an announcement now or at the given expiresAt
+ * @access Teacher of the class or Admin
+ */
+export const expireAnnouncement = async (req, res) => {
+  try {
+    const announcement = await findManageableAnnouncement(req.user, req.params.id);
+
+    announcement.expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : new Date();
+    await announcement.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'EXPIRE_ANNOUNCEMENT',
+      details: { announcementId: announcement._id, expiresAt: announcement.expiresAt },
+      status: 'success',
+    }).save();
+
+    res.json(announcement);
+  } catch (err) {
+    logger.error('Expire announcement error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route DELETE /api/announcements/:id
+ * @desc Deactivate an announcement (soft delete)
+ * @access Teacher of the class or Admin
+ */
+export const deactivateAnnouncement = async (req, res) => {
+  try {
+    const announcement = await findManageableAnnouncement(req.user, req.params.id);
+
+    announcement.isActive = false;
+    await announcement.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'DEACTIVATE_ANNOUNCEMENT',
+      details: { announcementId: announcement._id, classId: announcement.classId },
+      status: 'success',
+    }).save();
+
+    res.json({ message: 'Announcement deactivated successfully' });
+  } catch (err) {
+    logger.error('Deactivate announcement error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/announcements/class/:classId
+ * @desc Get all announcements of a class with read counts
+ * @access Teacher of the class or Admin
+ */
+export const getClassAnnouncements = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { includeInactive } = req.query;
+
+    if (!mongoose.isValidObjectId(classId)) {
+      throw new Error('Invalid classId');
+    }
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const query = { classId };
+    if (includeInactive !== 'true') query.isActive = true;
+
+    const announcements = await Announcement.find(query)
+      .populate('authorId', 'fullName email')
+      .sort({ isPinned: -1, createdAt: -1 })
+      .lean();
+
+    const [readCounts, enrolledCount] = await Promise.all([
+      AnnouncementRead.aggregate([
+        { $match: { announcementId: { $in: announcements.map((a) => a._id) } } },
+        { $group: { _id: '$announcementId', count: { $sum: 1 } } },
+      ]),
+      ClassEnrollment.countDocuments({ classId, isActive: true }),
+    ]);
+    const readCountMap = new Map(readCounts.map((r) => [r._id.toString(), r.count]));
+
+    const now = new Date();
+    res.json(announcements.map((announcement) => ({
+      ...announcement,
+      isExpired: Boolean(announcement.expiresAt && announcement.expiresAt <= now),
+      readCount: readCountMap.get(announcement._id.toString()) || 0,
+      enrolledCount,
+    })));
+  } catch (err) {
+    logger.error('Get class announcements error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/announcements/feed
+ * @desc Paginated feed of active announcements across the student's classes
+ * @access Student only
+ */
+export const getAnnouncementFeed = async (req, res) => {
+  try {
+    const { classId, unreadOnly, limit = 20, offset = 0 } = req.query;
+
+    const enrollments = await ClassEnrollment.find({ studentId: req.user._id, isActive: true }).select('classId');
+    let classIds = enrollments.map((e) => e.classId);
+
+    if (classId) {
+      if (!classIds.some((id) => id.toString() === classId)) {
+        return res.status(403).json({ error: 'Not enrolled in this class' });
+      }
+      classIds = [new mongoose.Types.ObjectId(classId)];
+    }
+
+    const now = new Date();
+    const pipeline = [
+      {
+        $match: {
+          classId: { $in: classIds },
+          isActive: true,
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+        },
+      },
+      {
+        $lookup: {
+          from: AnnouncementRead.collection.name,
+          let: { announcementId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$announcementId', '$$announcementId'] },
+                studentId: req.user._id,
+              },
+            },
+            { $project: { readAt: 1 } },
+          ],
+          as: 'receipt',
+        },
+      },
+      {
+        $addFields: {
+          readAt: { $first: '$receipt.readAt' },
+          isRead: { $gt: [{ $size: '$receipt' }, 0] },
+          priorityRank: {
+            $switch: {
+              branches: Object.entries(PRIORITY_RANK).map(([priority, rank]) => ({
+                case: { $eq: ['$priority', priority] },
+                then: rank,
+              })),
+              default: 0,
+            },
+          },
+        },
+      },
+      ...(unreadOnly === 'true' ? [{ $match: { isRead: false } }] : []),
+    ];
+
+    const [result] = await Announcement.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          announcements: [
+            { $sort: { isPinned: -1, priorityRank: -1, createdAt: -1 } },
+            { $skip: parseInt(offset) },
+            { $limit: parseInt(limit) },
+            { $project: { receipt: 0, priorityRank: 0 } },
+          ],
+          total: [{ $count: 'count' }],
+          unread: [{ $match: { isRead: false } }, { $count: 'count' }],
+        },
+      },
+    ]);
+
+    const announcements = await Announcement.populate(result.announcements, [
+      { path: 'classId', select: 'classNumber subjectCode subjectName' },
+      { path: 'authorId', select: 'fullName email' },
+    ]);
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      announcements,
+      unreadCount: result.unread[0]?.count || 0,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: total > parseInt(offset) + parseInt(limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Get announcement feed error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/announcements/:id/read
+ * @desc Mark an announcement as read
+ * @access Enrolled Student only
+ */
+export const markAnnouncementRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid announcement ID');
+    }
+
+    const announcement = await Announcement.findOne({ _id: id, isActive: true });
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    const enrollment = await ClassEnrollment.findOne({
+      classId: announcement.classId,
+      studentId: req.user._id,
+      isActive: true,
+    });
+    if (!enrollment) {
+      return res.status(403).json({ error: 'Not enrolled in this class' });
+    }
+
+    // Upsert keeps the first read time when a student opens it again
+    const receipt = await AnnouncementRead.findOneAndUpdate(
+      { announcementId: id, studentId: req.user._id },
+      { $setOnInsert: { readAt: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    res.json({ announcementId: id, isRead: true, readAt: receipt.readAt });
+  } catch (err) {
+    logger.error('Mark announcement read error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/announcements/:id/read-status
+ * @desc Get which enrolled students have and have not read an announcement
+ * @access Teacher of the class or Admin
+ */
+export const getAnnouncementReadStatus = async (req, res) => {
+  try {
+    const announcement = await findManageableAnnouncement(req.user, req.params.id);
+
+    const [enrollments, receipts] = await Promise.all([
+      ClassEnrollment.find({ classId: announcement.classId, isActive: true })
+        .populate('studentId', 'fullName enrollmentNo email'),
+      AnnouncementRead.find({ announcementId: announcement._id }),
+    ]);
+    const readAtMap = new Map(receipts.map((r) => [r.studentId.toString(), r.readAt]));
+
+    const read = [];
+    const unread = [];
+    for (const enrollment of enrollments) {
+      const student = enrollment.studentId;
+      if (!student) continue;
+      const entry = {
+        _id: student._id,
+        fullName: student.fullName,
+        enrollmentNo: student.enrollmentNo,
+        email: student.email,
+      };
+      const readAt = readAtMap.get(student._id.toString());
+      if (readAt) {
+        read.push({ ...entry, readAt });
+      } else {
+        unread.push(entry);
+      }
+    }
+
+    res.json({
+      announcementId: announcement._id,
+      priority: announcement.priority,
+      stats: { enrolled: read.length + unread.length, read: read.length, unread: unread.length },
+      read,
+      unread,
+    });
+  } catch (err) {
+    logger.error('Get announcement read status error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
@@ -6,7 +6,96 @@ import { Schedule } from '../models/scheduleModel.js';
 import { ClassEnrollment } from '../models/classEnrollmentModel.js';
 import { Class } from '../models/classModel.js';
 import { AuditLog } from '../models/auditLogModel.js';
-import { calculateDistance } from '../utils/geo.js';
+import { Room } from '../models/roomModel.js';
+import { calculateDistance, checkGeofence, getGeofenceTolerance } from '../utils/geo.js';
+import { verifyRotatingToken } from '../utils/qrToken.js';
+import { evaluateFaceMatch, getFaceVerificationSettings } from '../utils/face.js';
+import { detectAttendanceAnomalies, flagRelatedAttendances } from '../utils/anomalyDetector.js';
+import { assertClassAccess, getTeacherClassIds, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import { getScheduleOccurrences, HELD_OCCURRENCE_STATUSES, partitionAttendanceByCalendar } from '../utils/calendar.js';
+import { ClassSession } from '../models/classSessionModel.js';
+import { assertSessionTakesAttendance, markClassSessionHeld, resolveClassSession } from '../utils/classSessions.js';
+import { applyAttendanceChange, recordAttendanceCreation } from '../utils/attendanceRevisions.js';
+
+// Fields of a synced record whose overwrites are kept in its revision history
+const SYNC_TRACKED_FIELDS = [
+  'status',
+  'attendedAt',
+  'sessionId',
+  'scheduleId',
+  'classSessionId',
+  'syncVersion',
+  'autoMarked',
+  'deviceId',
+  'review.status',
+];
+
+/**
+ * Status counts and attendance percentage. Records on holidays or on cancelled
+ * and moved occurrences are reported as `notHeld` and left out of the rest.
+ * Excused records do not count against the percentage.
+ */
+const buildAttendanceStats = async (attendances) => {
+  const { counted, notHeld } = await partitionAttendanceByCalendar(attendances);
+  const countStatus = (status) => counted.filter((a) => a.status === status).length;
+
+  const stats = {
+    total: counted.length,
+    present: countStatus('present'),
+    late: countStatus('late'),
+    absent: countStatus('absent'),
+    excused: countStatus('excused'),
+    notHeld: notHeld.length,
+  };
+  const expected = stats.total - stats.excused;
+  stats.percentage = expected > 0 ? Math.round(((stats.present + stats.late) / expected) * 10000) / 100 : null;
+  return { stats, counted };
+};
+
+/**
+ * Room the QR session's lecture takes place in: the class session's room, which
+ * follows room changes, else the room of the schedule's occurrence that day,
+ * else the schedule's regular room. Null when there is no schedule.
+ */
+const resolveLectureRoomNumber = async (qrSession, scheduleId) => {
+  if (qrSession.classSessionId) {
+    const classSession = await ClassSession.findById(qrSession.classSessionId).select('roomNumber');
+    if (classSession?.roomNumber) {
+      return classSession.roomNumber;
+    }
+  }
+
+  const roomScheduleId = qrSession.scheduleId || scheduleId;
+  const schedule = roomScheduleId ? await Schedule.findById(roomScheduleId) : null;
+  if (!schedule) {
+    return null;
+  }
+  const occurrences = await getScheduleOccurrences([schedule], qrSession.createdAt, qrSession.createdAt);
+  const held = occurrences.find((occurrence) => HELD_OCCURRENCE_STATUSES.includes(occurrence.status));
+  return held?.roomNumber || schedule.roomNumber;
+};
+
+/**
+ * Check the student's position against the lecture room's geofence, or against
+ * the radius around the teacher's coordinates when the room has no fence.
+ * Returns { withinRange, method: 'geofence' | 'radius', roomNumber, distanceMeters }.
+ */
+const verifyLocation = async (studentCoordinates, qrSession, scheduleId) => {
+  const roomNumber = await resolveLectureRoomNumber(qrSession, scheduleId);
+  const room = roomNumber
+    ? await Room.findOne({ roomNumber, isActive: true, 'geofence.coordinates': { $exists: true } })
+    : null;
+
+  if (room) {
+    const tolerance = getGeofenceTolerance(studentCoordinates.accuracy);
+    const { withinTolerance, distanceMeters } = checkGeofence(studentCoordinates, room.geofence, tolerance);
+    return { withinRange: withinTolerance, method: 'geofence', roomNumber: room.roomNumber, distanceMeters };
+  }
+
+  const maxDistance = parseInt(process.env.MAX_ATTENDANCE_DISTANCE_METERS || '100', 10);
+  const distance = calculateDistance(studentCoordinates, qrSession.qrPayload.coordinates);
+  return { withinRange: distance <= maxDistance, method: 'radius', roomNumber: null, distanceMeters: distance };
+};
 
 /**
  * @route POST /api/attendances
@@ -15,7 +104,7 @@ import { calculateDistance } from '../utils/geo.js';
  */
 export const submitAttendance = async (req, res) => {
   try {
-    const { sessionId, classId, scheduleId, studentCoordinates, livenessPassed, faceEmbedding } = req.body;
+    const { sessionId, classId, scheduleId, studentCoordinates, livenessPassed, faceEmbedding, token, deviceId } = req.body;
 
     // sessionId comes from qr-student-app as session string ID, not MongoDB ObjectId
     // classId should be valid MongoDB ObjectId
@@ -33,12 +122,19 @@ export const submitAttendance = async (req, res) => {
       sessionId: sessionId, // Use sessionId field, not _id
       isActive: true,
       expiresAt: { $gt: new Date() },
-    }).populate('classId', 'classNumber subjectName');
+    })
+      .select('+rotation.secret')
+      .populate('classId', 'classNumber subjectName');
 
     if (!qrSession) {
       return res.status(404).json({ error: 'Invalid or expired QR session' });
     }
 
+    // Rotating sessions require the current (or just previous) token
+    if (qrSession.rotation?.enabled && !verifyRotatingToken(qrSession, token)) {
+      return res.status(400).json({ error: 'QR code has expired, scan the current code' });
+    }
+
     // Check enrollment first
     const enrollment = await ClassEnrollment.findOne({ 
       classId, 
@@ -59,12 +155,14 @@ export const submitAttendance = async (req, res) => {
       }
     }
   
-    const maxDistance = parseInt(process.env.MAX_ATTENDANCE_DISTANCE_METERS || '100', 10);
-    const distance = calculateDistance(studentCoordinates, qrSession.qrPayload.coordinates);
-
-    // Proximity check (max 100 meters)
-    if (distance > maxDistance) {
-      return res.status(403).json({ error: `Student too far from class location (${distance.toFixed(2)} meters)` });
+    // Proximity check: room geofence when defined, otherwise the radius around the teacher
+    const location = await verifyLocation(studentCoordinates, qrSession, scheduleId);
+    if (!location.withinRange) {
+      return res.status(403).json({
+        error: location.method === 'geofence'
+          ? `Student outside room ${location.roomNumber} (${location.distanceMeters.toFixed(2)} meters from its boundary)`
+          : `Student too far from class location (${location.distanceMeters.toFixed(2)} meters)`,
+      });
     }
 
     // Check if attendance already exists (use QR session's ObjectId for database consistency)
@@ -77,11 +175,34 @@ export const submitAttendance = async (req, res) => {
       return res.status(409).json({ error: 'Attendance already submitted for this session' });
     }
 
-    // Determine attendance status based on schedule time (if available)
+    // A lecture may run several QR sessions; one record per student per lecture
+    const classSession = qrSession.classSessionId ? await ClassSession.findById(qrSession.classSessionId) : null;
+    if (classSession && await Attendance.exists({ classSessionId: classSession._id, studentId: req.user._id })) {
+      return res.status(409).json({ error: 'Attendance already submitted for this lecture' });
+    }
+
+    // Compare the submitted face with the student's approved reference embedding
+    const faceCheck = evaluateFaceMatch({
+      reference: req.user.faceEmbedding,
+      submitted: faceEmbedding,
+      settings: getFaceVerificationSettings(await Class.findById(classId)),
+    });
+
+    if (faceCheck.result === 'rejected') {
+      await new AuditLog({
+        userId: req.user._id,
+        action: 'FACE_VERIFICATION_FAILED',
+        details: { classId, sessionId: qrSession.sessionId, similarity: faceCheck.similarity },
+        status: 'failed',
+      }).save();
+      return res.status(403).json({ error: 'Face verification failed' });
+    }
+
+    // Determine attendance status based on the lecture's or schedule's start time (if available)
     let status = 'present'; // default status
-    if (schedule) {
+    if (classSession || schedule) {
       const now = new Date();
-      const scheduleStart = new Date(`${now.toISOString().split('T')[0]}T${schedule.startTime}:00`);
+      const scheduleStart = new Date(`${now.toISOString().split('T')[0]}T${(classSession || schedule).startTime}:00`);
       const lateThresholdMinutes = parseInt(process.env.LATE_THRESHOLD_MINUTES || '15', 10);
       const lateThreshold = new Date(scheduleStart.getTime() + lateThresholdMinutes * 60 * 1000);
       status = now <= lateThreshold ? 'present' : 'late';
@@ -94,27 +215,63 @@ export const submitAttendance = async (req, res) => {
       studentCoordinates,
       livenessPassed: livenessPassed || false,
       faceEmbedding: faceEmbedding || [],
+      faceVerification: faceCheck,
+      deviceId,
+      ipAddress: req.ip,
       synced: true,
       status,
       attendedAt: new Date(),
     };
 
+    // Flagged attempts wait in the teacher review queue
+    const reviewReasons = [];
+    if (faceCheck.result === 'flagged') {
+      reviewReasons.push('face');
+    }
+
+    const { flags, related } = await detectAttendanceAnomalies(attendanceData);
+    if (flags.length) {
+      attendanceData.flags = flags;
+      reviewReasons.push('anomaly');
+    }
+
+    if (reviewReasons.length) {
+      attendanceData.review = { status: 'pending', reasons: reviewReasons };
+    }
+
     // Only include scheduleId if it's provided
     if (scheduleId) {
       attendanceData.scheduleId = scheduleId;
     }
+    if (classSession) {
+      attendanceData.classSessionId = classSession._id;
+    }
 
     const attendance = new Attendance(attendanceData);
     await attendance.save();
 
+    // Earlier submissions sharing the same pattern are queued for review as well
+    if (flags.length) {
+      await flagRelatedAttendances(related);
+    }
+
     await new AuditLog({
       userId: req.user._id,
       action: 'SUBMIT_ATTENDANCE',
-      details: { classId, sessionId: qrSession.sessionId, status, livenessPassed }, // Log string sessionId for clarity
+      details: {
+        classId,
+        sessionId: qrSession.sessionId, // Log string sessionId for clarity
+        status,
+        livenessPassed,
+        faceVerification: faceCheck.result,
+        flags: flags.map((flag) => flag.type),
+      },
       status: 'success',
     }).save();
 
+    // Detection details stay with teachers
     const populatedAttendance = await Attendance.findById(attendance._id)
+      .select('-flags')
       .populate('studentId', 'fullName enrollmentNo email')
       .populate('classId', 'classNumber subjectName');
 
@@ -140,7 +297,7 @@ export const syncAttendance = async (req, res) => {
 
     for (const att of attendances) {
       try {
-        const { sessionId, classId, scheduleId, studentCoordinates, livenessPassed, faceEmbedding, syncVersion, attendedAt } = att;
+        const { sessionId, classId, scheduleId, studentCoordinates, livenessPassed, faceEmbedding, syncVersion, attendedAt, token, deviceId } = att;
         
         if (
           !sessionId ||
@@ -152,7 +309,9 @@ export const syncAttendance = async (req, res) => {
         }
 
         // Find session by sessionId field (string), not _id (ObjectId)
-        const qrSession = await QRCodeSession.findOne({ sessionId: sessionId }).populate('classId', 'classNumber subjectName');
+        const qrSession = await QRCodeSession.findOne({ sessionId: sessionId })
+          .select('+rotation.secret')
+          .populate('classId', 'classNumber subjectName');
         const enrollment = await ClassEnrollment.findOne({ classId, studentId: req.user._id, isActive: true });
         
         // Schedule is optional
@@ -171,6 +330,34 @@ export const syncAttendance = async (req, res) => {
           continue;
         }
 
+        // The client-reported capture time must fall within the session's lifetime,
+        // allowing for a device clock that is slightly off
+        const receivedAt = Date.now();
+        const capturedAt = new Date(attendedAt).getTime();
+        const clockSkewMs = parseInt(process.env.SYNC_CLOCK_SKEW_SECONDS || '60', 10) * 1000;
+        if (
+          Number.isNaN(capturedAt) ||
+          capturedAt < qrSession.createdAt.getTime() - clockSkewMs ||
+          capturedAt > qrSession.expiresAt.getTime() + clockSkewMs ||
+          capturedAt > receivedAt + clockSkewMs
+        ) {
+          results.push({ status: 'failed', error: 'Capture time is outside the QR session', data: att });
+          continue;
+        }
+
+        // Rotating tokens are checked against the time the server receives them,
+        // never the client's capture time, so a forwarded token cannot be replayed later
+        if (qrSession.rotation?.enabled) {
+          if (!qrSession.isActive || qrSession.expiresAt.getTime() <= receivedAt) {
+            results.push({ status: 'failed', error: 'QR session has ended', data: att });
+            continue;
+          }
+          if (!verifyRotatingToken(qrSession, token, receivedAt)) {
+            results.push({ status: 'failed', error: 'Invalid or expired rotating QR token', data: att });
+            continue;
+          }
+        }
+
         // Validate schedule if provided
         if (scheduleId && !schedule) {
           results.push({ 
@@ -181,26 +368,49 @@ export const syncAttendance = async (req, res) => {
           continue;
         }
 
-        const maxDistance = parseInt(process.env.MAX_ATTENDANCE_DISTANCE_METERS || '100', 10);
-        const distance = calculateDistance(studentCoordinates, qrSession.qrPayload.coordinates);
-        // Check distance
-        if (distance > maxDistance) {
-          results.push({ status: 'failed', error: `Location too far from class (${distance.toFixed(2)} meters)`, data: att });
+        // Check location
+        const location = await verifyLocation(studentCoordinates, qrSession, scheduleId);
+        if (!location.withinRange) {
+          const error = location.method === 'geofence'
+            ? `Location outside room ${location.roomNumber} (${location.distanceMeters.toFixed(2)} meters from its boundary)`
+            : `Location too far from class (${location.distanceMeters.toFixed(2)} meters)`;
+          results.push({ status: 'failed', error, data: att });
           continue;
         }
 
-        // Check for existing record with version control (use QR session ObjectId)
-        const existing = await Attendance.findOne({ sessionId: qrSession._id, studentId: req.user._id });
-        if (existing && existing.syncVersion >= syncVersion) {
+        // Check for existing record with version control (use QR session ObjectId),
+        // or for any record of the lecture when the session belongs to one
+        const existing = await Attendance.findOne(
+          qrSession.classSessionId
+            ? { classSessionId: qrSession.classSessionId, studentId: req.user._id }
+            : { sessionId: qrSession._id, studentId: req.user._id }
+        );
+        // Automatic absences never win over a scan that was captured offline
+        if (existing && !existing.autoMarked && !existing.sessionId?.equals(qrSession._id)) {
+          results.push({ status: 'skipped', error: 'Attendance already recorded for this lecture', data: att });
+          continue;
+        }
+        if (existing && !existing.autoMarked && existing.syncVersion >= syncVersion) {
           results.push({ status: 'skipped', error: 'Newer version exists', data: att });
           continue;
         }
 
-        // Determine status based on schedule time (if available)
+        const faceCheck = evaluateFaceMatch({
+          reference: req.user.faceEmbedding,
+          submitted: faceEmbedding,
+          settings: getFaceVerificationSettings(await Class.findById(classId)),
+        });
+        if (faceCheck.result === 'rejected') {
+          results.push({ status: 'failed', error: 'Face verification failed', data: att });
+          continue;
+        }
+
+        // Determine status based on the lecture's or schedule's start time (if available)
+        const classSession = qrSession.classSessionId ? await ClassSession.findById(qrSession.classSessionId) : null;
         let status = 'present'; // default status
-        if (schedule) {
+        if (classSession || schedule) {
           const attendanceTime = new Date(attendedAt);
-          const scheduleStart = new Date(`${attendanceTime.toISOString().split('T')[0]}T${schedule.startTime}:00`);
+          const scheduleStart = new Date(`${attendanceTime.toISOString().split('T')[0]}T${(classSession || schedule).startTime}:00`);
           const lateThresholdMinutes = parseInt(process.env.LATE_THRESHOLD_MINUTES || '15', 10);
           const lateThreshold = new Date(scheduleStart.getTime() + lateThresholdMinutes * 60 * 1000);
           status = attendanceTime <= lateThreshold ? 'present' : 'late';
@@ -213,32 +423,74 @@ export const syncAttendance = async (req, res) => {
           studentCoordinates,
           livenessPassed: livenessPassed || false,
           faceEmbedding: faceEmbedding || [],
+          faceVerification: faceCheck,
+          deviceId,
+          ipAddress: req.ip,
           status,
           synced: true,
           syncVersion,
+          autoMarked: false,
           attendedAt: new Date(attendedAt),
+          flags: [],
         };
 
+        const reviewReasons = [];
+        if (faceCheck.result === 'flagged') {
+          reviewReasons.push('face');
+        }
+
+        const { flags, related } = await detectAttendanceAnomalies(attendanceData);
+        if (flags.length) {
+          attendanceData.flags = flags;
+          reviewReasons.push('anomaly');
+        }
+
+        if (reviewReasons.length) {
+          attendanceData.review = { status: 'pending', reasons: reviewReasons };
+        }
+
         // Only include scheduleId if it's provided
         if (scheduleId) {
           attendanceData.scheduleId = scheduleId;
         }
+        if (classSession) {
+          attendanceData.classSessionId = classSession._id;
+        }
 
-        // Create or update attendance record
+        // Create or update attendance record, keeping the overwritten values
         if (existing) {
-          await Attendance.updateOne(
-            { _id: existing._id },
-            { $set: attendanceData }
-          );
+          const tracked = {};
+          for (const [field, value] of Object.entries(attendanceData)) {
+            if (SYNC_TRACKED_FIELDS.includes(field)) {
+              tracked[field] = value;
+            } else if (field === 'review') {
+              existing.set('review.reasons', value.reasons);
+              tracked['review.status'] = value.status;
+            } else {
+              existing.set(field, value);
+            }
+          }
+          const revision = await applyAttendanceChange(existing, tracked, {
+            changedBy: req.user._id,
+            source: 'sync',
+            reason: existing.autoMarked ? 'Offline scan replaced an automatic absence' : 'Offline scan resynced',
+          });
+          if (!revision) {
+            await existing.save();
+          }
         } else {
           const attendance = new Attendance(attendanceData);
           await attendance.save();
         }
 
+        if (flags.length) {
+          await flagRelatedAttendances(related);
+        }
+
         await new AuditLog({
           userId: req.user._id,
           action: 'SYNC_ATTENDANCE',
-          details: { classId, sessionId: qrSession.sessionId, syncVersion, status }, // Log string sessionId
+          details: { classId, sessionId: qrSession.sessionId, syncVersion, status, flags: flags.map((flag) => flag.type) }, // Log string sessionId
           status: 'success',
         }).save();
 
@@ -271,8 +523,7 @@ export const getAllAttendance = async (req, res) => {
     const query = {};
 
     if (req.user.role !== 'admin') {
-      const classes = await Class.find({ teacherId: req.user._id }).select('_id');
-      query.classId = { $in: classes.map((c) => c._id) };
+      query.classId = { $in: await getTeacherClassIds(req.user._id) };
     }
 
     // Add date range filter
@@ -318,8 +569,7 @@ export const getAttendanceByStudent = async (req, res) => {
     const query = { studentId };
 
     if (req.user.role !== 'admin') {
-      const classes = await Class.find({ teacherId: req.user._id }).select('_id');
-      query.classId = { $in: classes.map((c) => c._id) };
+      query.classId = { $in: await getTeacherClassIds(req.user._id) };
     }
 
     // Add date range filter
@@ -334,6 +584,7 @@ export const getAttendanceByStudent = async (req, res) => {
       if (!mongoose.isValidObjectId(classId)) {
         throw new Error('Invalid classId');
       }
+      await assertClassAccess(req.user, classId, 'view');
       query.classId = classId;
     }
 
@@ -343,17 +594,14 @@ export const getAttendanceByStudent = async (req, res) => {
       .populate('sessionId', 'qrPayload.timestamp')
       .sort({ attendedAt: -1 });
 
-    const stats = {
-      total: attendances.length,
-      present: attendances.filter((a) => a.status === 'present').length,
-      late: attendances.filter((a) => a.status === 'late').length,
-      absent: attendances.filter((a) => a.status === 'absent').length
-    };
+    const { stats } = await buildAttendanceStats(attendances);
 
     res.json({ attendances, stats });
   } catch (err) {
     logger.error('Get student attendance error:', err);
-    res.status(err.message.includes('Invalid') ? 400 : 500).json({ error: err.message });
+    res.status(err.message.includes('Invalid') ? 400 : err.message === CLASS_ACCESS_DENIED ? 403 : 500).json({
+      error: err.message
+    });
   }
 };
 
@@ -371,12 +619,7 @@ export const getAttendanceByClass = async (req, res) => {
       throw new Error('Invalid classId');
     }
 
-    if (req.user.role === 'teacher') {
-      const classObj = await Class.findOne({ _id: classId, teacherId: req.user._id });
-      if (!classObj) {
-        return res.status(403).json({ error: 'Not authorized for this class' });
-      }
-    }
+    await assertClassAccess(req.user, classId, 'view');
 
     const query = { classId };
 
@@ -399,13 +642,8 @@ export const getAttendanceByClass = async (req, res) => {
       .sort({ attendedAt: -1 });
 
     // Calculate class statistics
-    const stats = {
-      total: attendances.length,
-      present: attendances.filter((a) => a.status === 'present').length,
-      late: attendances.filter((a) => a.status === 'late').length,
-      absent: attendances.filter((a) => a.status === 'absent').length,
-      manualEntries: attendances.filter((a) => a.manualEntry).length,
-    };
+    const { stats, counted } = await buildAttendanceStats(attendances);
+    stats.manualEntries = counted.filter((a) => a.manualEntry).length;
 
     res.json({ attendances, stats });
   } catch (err) {
@@ -423,7 +661,7 @@ export const getAttendanceByClass = async (req, res) => {
  */
 export const manualAttendance = async (req, res) => {
   try {
-    const { studentId, classId, scheduleId, status = 'present', attendedAt } = req.body;
+    const { studentId, classId, scheduleId, classSessionId, status = 'present', attendedAt, reason } = req.body;
 
     if (
       !mongoose.isValidObjectId(studentId) ||
@@ -455,29 +693,40 @@ export const manualAttendance = async (req, res) => {
       return res.status(400).json({ error: 'Schedule does not belong to the specified class' });
     }
 
-    if (req.user.role === 'teacher') {
-      if (classObj.teacherId.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ error: 'Not authorized for this class'});
-      }
-    }
+    await assertClassAccess(req.user, classId, 'attendance');
 
     const now = attendedAt ? new Date(attendedAt) : new Date();
-    const scheduleDate = new Date(`${now.toISOString().split('T')[0]}T${schedule.startTime}:00`);
-    const scheduleEnd = new Date(`${now.toISOString().split('T')[0]}T${schedule.endTime}:00`);
+
+    // The lecture being recorded; make-up lectures keep their own times
+    const classSession = await resolveClassSession({ classId, classSessionId, scheduleId, at: now });
+    try {
+      assertSessionTakesAttendance(classSession);
+    } catch (error) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (classSession?.scheduleId && classSession.scheduleId.toString() !== scheduleId) {
+      return res.status(400).json({ error: 'Class session does not belong to this schedule' });
+    }
+    const slot = classSession || schedule;
+
+    const scheduleDate = new Date(`${now.toISOString().split('T')[0]}T${slot.startTime}:00`);
+    const scheduleEnd = new Date(`${now.toISOString().split('T')[0]}T${slot.endTime}:00`);
     if (now < scheduleDate || now > scheduleEnd) {
       return res.status(400).json({ error: 'Attendance time outside schedule'});
     }
 
     // Check if attendance already exists
-    const existingAttendance = await Attendance.findOne({
-      studentId,
-      classId,
-      scheduleId,
-      attendedAt: {
-        $gte: new Date(now).setHours(0, 0, 0, 0),
-        $lt: new Date(now).setHours(23, 59, 59, 999),
-      },
-    });
+    const existingAttendance = await Attendance.findOne(classSession
+      ? { studentId, classSessionId: classSession._id }
+      : {
+        studentId,
+        classId,
+        scheduleId,
+        attendedAt: {
+          $gte: new Date(now).setHours(0, 0, 0, 0),
+          $lt: new Date(now).setHours(23, 59, 59, 999),
+        },
+      });
 
     if (existingAttendance) {
       return res.status(409).json({ error: 'Attendance already exists for this schedule and date' });
@@ -487,6 +736,7 @@ export const manualAttendance = async (req, res) => {
       studentId,
       classId,
       scheduleId,
+      classSessionId: classSession?._id,
       sessionId: null,
       studentCoordinates: null,
       livenessPassed: false,
@@ -498,11 +748,17 @@ export const manualAttendance = async (req, res) => {
     });
 
     await attendance.save();
+    await recordAttendanceCreation(attendance, ['status', 'attendedAt'], {
+      changedBy: req.user._id,
+      source: 'manual',
+      reason,
+    });
+    await markClassSessionHeld(classSession?._id);
 
     await new AuditLog({
       userId: req.user._id,
       action: 'MANUAL_ATTENDANCE',
-      details: { classId, studentId, status, attendedAt },
+      details: { classId, studentId, status, attendedAt, classSessionId: classSession?._id },
       status: 'success',
     }).save();
 
@@ -514,7 +770,10 @@ export const manualAttendance = async (req, res) => {
   } catch (err) {
     logger.error('Manual attendance error:', err);
     res.status(
-      err.message.includes('not found') ? 404 : err.message.includes('already exists') ? 409 : 400
+      err.message.includes('not found') ? 404
+        : err.message.includes('already exists') ? 409
+        : err.message === CLASS_ACCESS_DENIED ? 403
+        : 400
     ).json({ error: err.message });
   }
 };
@@ -533,22 +792,8 @@ export const getAttendanceReport = async (req, res) => {
       throw new Error('Invalid classId');
     }
 
-    // Verify access
-    if (req.user.role === 'student') {
-      const enrollment = await ClassEnrollment.findOne({
-        classId,
-        studentId: req.user._id,
-        isActive: true,
-      });
-      if (!enrollment) {
-        return res.status(403).json({ error: 'Not enrolled in this class' });
-      }
-    } else if (req.user.role === 'teacher') {
-      const classObj = await Class.findOne({ _id: classId, teacherId: req.user._id });
-      if (!classObj) {
-        return res.status(403).json({ error: 'Not authorized for this class' });
-      }
-    }
+    // Verify access: enrolled students, any teacher of the class, or an admin
+    await assertClassAccess(req.user, classId, 'view', { allowStudents: true });
 
     const query = { classId };
 
@@ -571,14 +816,12 @@ export const getAttendanceReport = async (req, res) => {
       .skip(parseInt(offset))
       .limit(parseInt(limit));
 
-    // Calculate statistics
-    const stats = {
-      total: attendances.length,
-      present: attendances.filter((a) => a.status === 'present').length,
-      late: attendances.filter((a) => a.status === 'late').length,
-      absent: attendances.filter((a) => a.status === 'absent').length,
-      manualEntries: attendances.filter((a) => a.manualEntry).length,
-    };
+    // Statistics cover every record in the range, not just this page
+    const allAttendances = await Attendance.find(query)
+      .select('status manualEntry attendedAt scheduleId')
+      .lean();
+    const { stats, counted } = await buildAttendanceStats(allAttendances);
+    stats.manualEntries = counted.filter((a) => a.manualEntry).length;
 
     res.json({
       attendances,
@@ -680,4 +923,121 @@ export const getTodayAttendance = async (req, res) => {
     logger.error('Get today attendance error:', err);
     res.status(500).json({ error: err.message });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @route GET /api/attendances/reviews
+ * @desc Get flagged attendance submissions awaiting review
+ * @access Teacher or Admin
+ */
+export const getReviewQueue = async (req, res) => {
+  try {
+    const { classId, status = 'pending', reason, flag, limit = 50, offset = 0 } = req.query;
+    const query = { 'review.status': status };
+
+    if (req.user.role !== 'admin') {
+      const classIds = (await getTeacherClassIds(req.user._id, 'attendance')).map((id) => id.toString());
+      if (classId && !classIds.includes(classId)) {
+        return res.status(403).json({ error: 'Not authorized for this class' });
+      }
+      query.classId = classId || { $in: classIds };
+    } else if (classId) {
+      query.classId = classId;
+    }
+
+    if (reason) {
+      query['review.reasons'] = reason;
+    }
+    if (flag) {
+      query['flags.type'] = flag;
+    }
+
+    const total = await Attendance.countDocuments(query);
+    const attendances = await Attendance.find(query)
+      .select('-faceEmbedding')
+      .populate('studentId', 'fullName enrollmentNo email profilePictureUrl')
+      .populate('classId', 'classNumber subjectCode subjectName')
+      .populate('sessionId', 'sessionId qrPayload.timestamp')
+      .populate('review.reviewedBy', 'fullName email')
+      .sort({ attendedAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit));
+
+    res.json({
+      attendances,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: total > parseInt(offset) + parseInt(limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Get review queue error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PATCH /api/attendances/reviews/:id
+ * @desc Resolve a flagged submission; rejecting it marks the student absent
+ * @access Teacher or Admin
+ */
+export const resolveReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, comments } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid attendance ID');
+    }
+
+    const attendance = await Attendance.findById(id);
+    if (!attendance) {
+      return res.status(404).json({ error: 'Attendance not found' });
+    }
+
+    await assertClassAccess(req.user, attendance.classId, 'attendance');
+
+    if (attendance.review?.status !== 'pending') {
+      return res.status(409).json({ error: 'Attendance is not awaiting review' });
+    }
+
+    const previousStatus = attendance.status;
+    attendance.review.reviewedBy = req.user._id;
+    attendance.review.reviewedAt = new Date();
+    attendance.review.comments = comments;
+    await applyAttendanceChange(
+      attendance,
+      { 'review.status': decision, ...(decision === 'rejected' ? { status: 'absent' } : {}) },
+      { changedBy: req.user._id, source: 'review', reason: comments }
+    );
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: decision === 'approved' ? 'APPROVE_ATTENDANCE_REVIEW' : 'REJECT_ATTENDANCE_REVIEW',
+      details: {
+        attendanceId: attendance._id,
+        classId: attendance.classId,
+        studentId: attendance.studentId,
+        reasons: attendance.review.reasons,
+        flags: attendance.flags.map((f) => f.type),
+        previousStatus,
+        status: attendance.status,
+        comments,
+      },
+      status: 'success',
+    }).save();
+
+    const populatedAttendance = await Attendance.findById(attendance._id)
+      .select('-faceEmbedding')
+      .populate('studentId', 'fullName enrollmentNo email')
+      .populate('classId', 'classNumber subjectName')
+      .populate('review.reviewedBy', 'fullName email');
+
+    res.json(populatedAttendance);
+  } catch (err) {
+    logger.error('Resolve attendance review error:', err);
+    res.status(err.message === CLASS_ACCESS_DENIED ? 403 : 400).json({ error: err.message });
+  }
+};
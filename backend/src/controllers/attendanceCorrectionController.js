@@ -0,0 +1,501 @@
+import logger from '../utils/logger.js';
+import { AttendanceCorrection } from '../models/attendanceCorrectionModel.js';
+import { Attendance } from '../models/attendanceModel.js';
+import { QRCodeSession } from '../models/qrCodeSessionModel.js';
+import { ClassSession } from '../models/classSessionModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { Class } from '../models/classModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { queueMail } from '../utils/mailer.js';
+import { getStorage, generateStorageKey } from '../utils/storage.js';
+import { assertClassAccess, getTeacherClassIds, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import { applyAttendanceChange, recordAttendanceCreation } from '../utils/attendanceRevisions.js';
+
+const correctionErrorStatus = (err) => {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === CLASS_ACCESS_DENIED || err.message.includes('Not enrolled')) return 403;
+  if (err.message.includes('already')) return 409;
+  return 400;
+};
+
+const getCorrectionWindowDays = () => parseInt(process.env.ATTENDANCE_CORRECTION_WINDOW_DAYS || '7', 10);
+
+const populateCorrection = (query) => query
+  .populate('studentId', 'fullName enrollmentNo email')
+  .populate('classId', 'classNumber subjectCode subjectName')
+  .populate('attendanceId', 'status attendedAt manualEntry')
+  .populate('reviewedBy', 'fullName email');
+
+// What a dispute about an existing record points at
+const recordTarget = (attendance) => {
+  if (!['absent', 'late'].includes(attendance.status)) {
+    throw new Error('Attendance is already recorded as present or excused');
+  }
+  return {
+    classId: attendance.classId,
+    attendance,
+    sessionId: attendance.sessionId,
+    classSessionId: attendance.classSessionId,
+    scheduleId: attendance.scheduleId,
+    lectureAt: attendance.attendedAt,
+  };
+};
+
+/**
+ * Resolve what a student disputes: one of their absent or late records, or a
+ * QR session or lecture they have no record for. A QR session or lecture the
+ * student does have a record for resolves to that record.
+ */
+const resolveCorrectionTarget = async (studentId, { attendanceId, sessionId, classSessionId }) => {
+  if (attendanceId) {
+    const attendance = await Attendance.findOne({ _id: attendanceId, studentId });
+    if (!attendance) {
+      throw new Error('Attendance not found');
+    }
+    return recordTarget(attendance);
+  }
+
+  if (sessionId) {
+    const qrSession = await QRCodeSession.findById(sessionId);
+    if (!qrSession) {
+      throw new Error('QR session not found');
+    }
+    const attendance = await Attendance.findOne({
+      studentId,
+      $or: [
+        { sessionId: qrSession._id },
+        ...(qrSession.classSessionId ? [{ classSessionId: qrSession.classSessionId }] : []),
+      ],
+    });
+    if (attendance) {
+      return recordTarget(attendance);
+    }
+    return {
+      classId: qrSession.classId,
+      sessionId: qrSession._id,
+      classSessionId: qrSession.classSessionId,
+      scheduleId: qrSession.scheduleId,
+      lectureAt: qrSession.createdAt,
+    };
+  }
+
+  const classSession = await ClassSession.findById(classSessionId);
+  if (!classSession) {
+    throw new Error('Class session not found');
+  }
+  if (classSession.status !== 'held') {
+    throw new Error('Attendance was not taken for this lecture');
+  }
+  const attendance = await Attendance.findOne({ studentId, classSessionId: classSession._id });
+  if (attendance) {
+    return recordTarget(attendance);
+  }
+  const [hours, minutes] = classSession.startTime.split(':').map(Number);
+  const lectureAt = new Date(classSession.date);
+  lectureAt.setHours(hours, minutes, 0, 0);
+  return {
+    classId: classSession.classId,
+    classSessionId: classSession._id,
+    scheduleId: classSession.scheduleId,
+    lectureAt,
+  };
+};
+
+/**
+ * Set the requested status on the disputed record, or create the record when
+ * the student has none, and link it to the correction. The caller saves the
+ * correction. Returns the attendance revision, or null when nothing changed.
+ */
+const applyCorrection = async (correction, changedBy) => {
+  const meta = {
+    changedBy,
+    source: 'correction',
+    reason: correction.reason,
+    correctionId: correction._id,
+  };
+
+  // The student may have been marked since filing, e.g. when absences were recorded
+  const attendance = correction.attendanceId
+    ? await Attendance.findById(correction.attendanceId)
+    : await Attendance.findOne({
+      studentId: correction.studentId,
+      $or: [
+        ...(correction.sessionId ? [{ sessionId: correction.sessionId }] : []),
+        ...(correction.classSessionId ? [{ classSessionId: correction.classSessionId }] : []),
+      ],
+    });
+
+  if (attendance) {
+    correction.attendanceId = attendance._id;
+    return applyAttendanceChange(attendance, { status: correction.requestedStatus }, meta);
+  }
+  if (correction.attendanceId) {
+    throw new Error('Attendance not found');
+  }
+
+  // Keeping the QR session stops the absence job from adding a second record for
+  // it; sessions past their retention window are gone and need no protection
+  const sessionExists = correction.sessionId && await QRCodeSession.exists({ _id: correction.sessionId });
+  const created = new Attendance({
+    studentId: correction.studentId,
+    classId: correction.classId,
+    sessionId: sessionExists ? correction.sessionId : undefined,
+    scheduleId: correction.scheduleId,
+    classSessionId: correction.classSessionId,
+    manualEntry: true,
+    synced: true,
+    status: correction.requestedStatus,
+    attendedAt: correction.lectureAt,
+  });
+  await created.save();
+  correction.attendanceId = created._id;
+  return recordAttendanceCreation(created, ['status', 'attendedAt'], meta);
+};
+
+/**
+ * @route POST /api/attendance-corrections
+ * @desc Dispute an absent or late record, or a QR session or lecture the
+ *       student has no record for, with a reason and optional evidence file
+ * @access Student only
+ */
+export const createCorrection = async (req, res) => {
+  let storageKey;
+  try {
+    const { attendanceId, sessionId, classSessionId, requestedStatus = 'present', reason } = req.body;
+
+    const target = await resolveCorrectionTarget(req.user._id, { attendanceId, sessionId, classSessionId });
+
+    const enrollment = await ClassEnrollment.exists({ classId: target.classId, studentId: req.user._id, isActive: true });
+    if (!enrollment) {
+      throw new Error('Not enrolled in this class');
+    }
+
+    const windowDays = getCorrectionWindowDays();
+    if (Date.now() - new Date(target.lectureAt).getTime() > windowDays * 24 * 60 * 60 * 1000) {
+      throw new Error(`Corrections must be filed within ${windowDays} days of the lecture`);
+    }
+    if (target.attendance?.status === requestedStatus) {
+      throw new Error(`Attendance is already recorded as ${requestedStatus}`);
+    }
+
+    // One open dispute per record or lecture
+    const sameTarget = [
+      target.attendance && { attendanceId: target.attendance._id },
+      target.sessionId && { sessionId: target.sessionId },
+      target.classSessionId && { classSessionId: target.classSessionId },
+    ].filter(Boolean);
+    if (await AttendanceCorrection.exists({ studentId: req.user._id, status: 'pending', $or: sameTarget })) {
+      throw new Error('A correction is already pending for this lecture');
+    }
+
+    const correction = new AttendanceCorrection({
+      studentId: req.user._id,
+      classId: target.classId,
+      attendanceId: target.attendance?._id,
+      sessionId: target.sessionId,
+      classSessionId: target.classSessionId,
+      scheduleId: target.scheduleId,
+      lectureAt: target.lectureAt,
+      originalStatus: target.attendance?.status,
+      requestedStatus,
+      reason,
+    });
+
+    if (req.file) {
+      storageKey = generateStorageKey(`corrections/${target.classId}`, req.file.originalname);
+      await getStorage().save(storageKey, req.file.buffer, { contentType: req.file.mimetype });
+      correction.evidence = {
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        fileSize: req.file.size,
+        storageKey,
+      };
+    }
+    await correction.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'CREATE_ATTENDANCE_CORRECTION',
+      details: {
+        correctionId: correction._id,
+        classId: target.classId,
+        attendanceId: correction.attendanceId,
+        sessionId: correction.sessionId,
+        classSessionId: correction.classSessionId,
+        requestedStatus,
+      },
+      status: 'success',
+    }).save();
+
+    const populatedCorrection = await populateCorrection(AttendanceCorrection.findById(correction._id));
+
+    res.status(201).json(populatedCorrection);
+  } catch (err) {
+    logger.error('Create attendance correction error:', err);
+    // Don't leave orphaned evidence behind when the correction could not be saved
+    if (storageKey) {
+      await getStorage().remove(storageKey).catch((removeErr) => {
+        logger.error('Failed to remove orphaned correction evidence:', removeErr);
+      });
+    }
+    res.status(correctionErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/attendance-corrections/my
+ * @desc Get the current student's correction requests
+ * @access Student only
+ */
+export const getMyCorrections = async (req, res) => {
+  try {
+    const { status, classId } = req.query;
+    const query = { studentId: req.user._id };
+
+    if (status) query.status = status;
+    if (classId) query.classId = classId;
+
+    const corrections = await populateCorrection(AttendanceCorrection.find(query))
+      .sort({ createdAt: -1 });
+
+    res.json(corrections);
+  } catch (err) {
+    logger.error('Get my attendance corrections error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/attendance-corrections
+ * @desc Get correction requests for the teacher's classes, or all of them for admins
+ * @access Teacher or Admin
+ */
+export const getCorrections = async (req, res) => {
+  try {
+    const { status, classId, limit = 50, offset = 0 } = req.query;
+    const query = {};
+
+    if (req.user.role !== 'admin') {
+      const classIds = (await getTeacherClassIds(req.user._id)).map((id) => id.toString());
+
+      if (classId && !classIds.includes(classId)) {
+        return res.status(403).json({ error: 'Not authorized for this class' });
+      }
+      query.classId = classId || { $in: classIds };
+    } else if (classId) {
+      query.classId = classId;
+    }
+
+    if (status) query.status = status;
+
+    const total = await AttendanceCorrection.countDocuments(query);
+    const corrections = await populateCorrection(AttendanceCorrection.find(query))
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit));
+
+    res.json({
+      corrections,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: total > parseInt(offset) + parseInt(limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Get attendance corrections error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/attendance-corrections/pending-counts
+ * @desc Number of pending corrections in each of the teacher's classes, or in
+ *       every class for admins; classes without any are left out
+ * @access Teacher or Admin
+ */
+export const getPendingCorrectionCounts = async (req, res) => {
+  try {
+    const match = { status: 'pending' };
+    if (req.user.role !== 'admin') {
+      match.classId = { $in: await getTeacherClassIds(req.user._id) };
+    }
+
+    const counts = await AttendanceCorrection.aggregate([
+      { $match: match },
+      { $group: { _id: '$classId', pending: { $sum: 1 }, oldestAt: { $min: '$createdAt' } } },
+      { $sort: { pending: -1 } },
+    ]);
+    const classes = await Class.find({ _id: { $in: counts.map((c) => c._id) } })
+      .select('classNumber subjectCode subjectName division')
+      .lean();
+    const classesById = new Map(classes.map((c) => [c._id.toString(), c]));
+
+    res.json({
+      total: counts.reduce((sum, c) => sum + c.pending, 0),
+      classes: counts.map(({ _id, pending, oldestAt }) => ({
+        class: classesById.get(_id.toString()) || { _id },
+        pending,
+        oldestAt,
+      })),
+    });
+  } catch (err) {
+    logger.error('Get pending correction counts error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/attendance-corrections/:id
+ * @desc Get a correction request by ID
+ * @access Owning Student, Teacher of the class, or Admin
+ */
+export const getCorrectionById = async (req, res) => {
+  try {
+    const correction = await populateCorrection(AttendanceCorrection.findById(req.params.id));
+    if (!correction) {
+      throw new Error('Correction not found');
+    }
+
+    if (req.user.role === 'student') {
+      if (!correction.studentId._id.equals(req.user._id)) {
+        throw new Error(CLASS_ACCESS_DENIED);
+      }
+    } else {
+      await assertClassAccess(req.user, correction.classId._id, 'view');
+    }
+
+    res.json(correction);
+  } catch (err) {
+    logger.error('Get attendance correction error:', err);
+    res.status(correctionErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/attendance-corrections/:id/evidence
+ * @desc Download the evidence attached to a correction request
+ * @access Owning Student, Teacher of the class, or Admin
+ */
+export const downloadCorrectionEvidence = async (req, res) => {
+  try {
+    const correction = await AttendanceCorrection.findById(req.params.id).select('+evidence.storageKey');
+    if (!correction) {
+      throw new Error('Correction not found');
+    }
+
+    if (req.user.role === 'student') {
+      if (!correction.studentId.equals(req.user._id)) {
+        throw new Error(CLASS_ACCESS_DENIED);
+      }
+    } else {
+      await assertClassAccess(req.user, correction.classId, 'view');
+    }
+
+    if (!correction.evidence?.storageKey) {
+      throw new Error('Evidence not found');
+    }
+    const stream = await getStorage().createReadStream(correction.evidence.storageKey);
+
+    res.setHeader('Content-Type', correction.evidence.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(correction.evidence.fileName)}`);
+    if (correction.evidence.fileSize) {
+      res.setHeader('Content-Length', correction.evidence.fileSize);
+    }
+
+    stream.on('error', (streamErr) => {
+      logger.error('Correction evidence stream error:', streamErr);
+      res.destroy(streamErr);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    logger.error('Download correction evidence error:', err);
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Evidence file not found' });
+    }
+    res.status(correctionErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PATCH /api/attendance-corrections/:id/review
+ * @desc Approve or reject a pending correction. Approval sets the requested
+ *       status on the disputed record, or creates one when the student had
+ *       none, keeping the previous value in the record's revision history.
+ * @access Teacher of the class or Admin
+ */
+export const reviewCorrection = async (req, res) => {
+  try {
+    const { status, reviewComments } = req.body;
+
+    const pending = await AttendanceCorrection.findById(req.params.id);
+    if (!pending) {
+      throw new Error('Correction not found');
+    }
+
+    // Approving a correction changes attendance, so it needs the attendance permission
+    await assertClassAccess(req.user, pending.classId, 'attendance');
+
+    if (pending.status !== 'pending') {
+      throw new Error(`Correction has already been ${pending.status}`);
+    }
+
+    // Claim the review so a concurrent reviewer cannot apply it a second time
+    const correction = await AttendanceCorrection.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      { $set: { status, reviewedBy: req.user._id, reviewedAt: new Date(), reviewComments } },
+      { new: true }
+    );
+    if (!correction) {
+      throw new Error('Correction has already been reviewed');
+    }
+
+    let revision = null;
+    if (status === 'approved') {
+      try {
+        revision = await applyCorrection(correction, req.user._id);
+      } catch (error) {
+        // Hand the correction back to the queue when the attendance change fails
+        await AttendanceCorrection.updateOne(
+          { _id: correction._id },
+          { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1, reviewComments: 1 } }
+        );
+        throw error;
+      }
+      await correction.save();
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: status === 'approved' ? 'APPROVE_ATTENDANCE_CORRECTION' : 'REJECT_ATTENDANCE_CORRECTION',
+      details: {
+        correctionId: correction._id,
+        studentId: correction.studentId,
+        classId: correction.classId,
+        attendanceId: correction.attendanceId,
+        originalStatus: correction.originalStatus,
+        requestedStatus: correction.requestedStatus,
+        revisionId: revision?._id,
+        reviewComments,
+      },
+      status: 'success',
+    }).save();
+
+    const populatedCorrection = await populateCorrection(AttendanceCorrection.findById(correction._id));
+
+    await queueMail('attendanceCorrectionDecision', populatedCorrection.studentId.email, {
+      fullName: populatedCorrection.studentId.fullName,
+      subjectName: populatedCorrection.classId.subjectName,
+      lectureAt: populatedCorrection.lectureAt,
+      status,
+      reviewerName: populatedCorrection.reviewedBy.fullName,
+      reviewComments,
+    });
+
+    res.json(populatedCorrection);
+  } catch (err) {
+    logger.error('Review attendance correction error:', err);
+    res.status(correctionErrorStatus(err)).json({ error: err.message });
+  }
+};
@@ -0,0 +1,145 @@
+import logger from '../utils/logger.js';
+import { Class } from '../models/classModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { User } from '../models/userModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { assertClassAccess, getTeacherClassIds, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import { startOfDay, endOfDay } from '../utils/calendar.js';
+import { getAttendanceThreshold } from '../utils/attendanceSummary.js';
+import { buildClassRegister, buildStudentRegister, formatDay, streamRegister } from '../utils/attendanceExport.js';
+
+const MAX_EXPORT_DAYS = 366;
+
+const exportErrorStatus = (err) => {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === CLASS_ACCESS_DENIED) return 403;
+  return 400;
+};
+
+// The requested range, defaulting to the current month
+const resolveExportRange = ({ startDate, endDate }) => {
+  const now = new Date();
+  const from = startOfDay(startDate || new Date(now.getFullYear(), now.getMonth(), 1));
+  const to = endOfDay(endDate || new Date(now.getFullYear(), now.getMonth() + 1, 0));
+  if (to < from) {
+    throw new Error('End date must not be before start date');
+  }
+  if (to - from > MAX_EXPORT_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(`Export range cannot exceed ${MAX_EXPORT_DAYS} days`);
+  }
+  return { from, to };
+};
+
+const safeFileName = (...parts) => parts.join('-').replace(/[^A-Za-z0-9_-]+/g, '_');
+
+/**
+ * Once the download has started the status can no longer change, so a
+ * failure cuts the response short instead of sending a JSON error.
+ */
+const failExport = (res, err) => {
+  if (res.headersSent) {
+    res.destroy(err);
+    return;
+  }
+  res.status(exportErrorStatus(err)).json({ error: err.message });
+};
+
+/**
+ * @route  GET /api/attendances/export/class/:classId
+ * @desc   Download a class's attendance register (students × lectures) as
+ *         CSV, XLSX (a sheet per month) or PDF; defaults to the current month
+ * @access Teacher or Admin
+ */
+export const exportClassAttendance = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { format = 'csv' } = req.query;
+    const { from, to } = resolveExportRange(req.query);
+
+    const classObj = await Class.findById(classId).populate('teacherId', 'fullName').lean();
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+    await assertClassAccess(req.user, classId, 'view');
+
+    const register = await buildClassRegister(classObj, {
+      startDate: from,
+      endDate: to,
+      format,
+      threshold: getAttendanceThreshold(),
+    });
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'EXPORT_CLASS_ATTENDANCE',
+      details: { classId, format, startDate: from, endDate: to },
+      status: 'success',
+    }).save();
+
+    const fileName = safeFileName('attendance', classObj.subjectCode, classObj.division, formatDay(from), formatDay(to));
+    await streamRegister(res, format, fileName, register);
+  } catch (err) {
+    logger.error('Export class attendance error:', err);
+    failExport(res, err);
+  }
+};
+
+/**
+ * @route  GET /api/attendances/export/student/:studentId
+ * @route  GET /api/attendances/my-attendance/export
+ * @desc   Download one student's lectures and per-class summary as CSV,
+ *         XLSX or PDF. Teachers only see the classes they teach.
+ * @access Teacher or Admin; Student for their own
+ */
+export const exportStudentAttendance = async (req, res) => {
+  try {
+    const studentId = req.params.studentId || req.user._id;
+    const { format = 'csv', classId } = req.query;
+    const { from, to } = resolveExportRange(req.query);
+
+    const student = await User.findOne({ _id: studentId, role: 'student' })
+      .select('fullName enrollmentNo semester division')
+      .lean();
+    if (!student) {
+      throw new Error('Student not found');
+    }
+
+    const enrollmentQuery = { studentId };
+    if (classId) {
+      if (req.user.role !== 'student') {
+        await assertClassAccess(req.user, classId, 'view');
+      }
+      enrollmentQuery.classId = classId;
+    } else if (req.user.role === 'teacher') {
+      enrollmentQuery.classId = { $in: await getTeacherClassIds(req.user._id) };
+    }
+    const enrollments = (await ClassEnrollment.find(enrollmentQuery)
+      .populate('classId', 'subjectCode subjectName')
+      .lean())
+      .filter((e) => e.classId)
+      .sort((a, b) => a.classId.subjectCode.localeCompare(b.classId.subjectCode));
+    if (classId && !enrollments.length) {
+      throw new Error('Enrollment not found');
+    }
+
+    const register = await buildStudentRegister(student, enrollments, {
+      startDate: from,
+      endDate: to,
+      format,
+      threshold: getAttendanceThreshold(),
+    });
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'EXPORT_STUDENT_ATTENDANCE',
+      details: { studentId, classId, format, startDate: from, endDate: to },
+      status: 'success',
+    }).save();
+
+    const fileName = safeFileName('attendance', student.enrollmentNo || student.fullName, formatDay(from), formatDay(to));
+    await streamRegister(res, format, fileName, register);
+  } catch (err) {
+    logger.error('Export student attendance error:', err);
+    failExport(res, err);
+  }
+};
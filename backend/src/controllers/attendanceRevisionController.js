@@ -0,0 +1,131 @@
+import logger from '../utils/logger.js';
+import { Attendance } from '../models/attendanceModel.js';
+import { AttendanceRevision } from '../models/attendanceRevisionModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { assertClassAccess, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import { dateRangeFilter } from '../utils/attendanceSummary.js';
+import { revertAttendanceRevision } from '../utils/attendanceRevisions.js';
+
+const revisionErrorStatus = (err) => {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === CLASS_ACCESS_DENIED) return 403;
+  if (err.message.includes('already')) return 409;
+  return 400;
+};
+
+/**
+ * @route  GET /api/attendances/:id/history
+ * @desc   Every recorded change to an attendance record, oldest first
+ * @access Teacher or Admin
+ */
+export const getAttendanceHistory = async (req, res) => {
+  try {
+    const attendance = await Attendance.findById(req.params.id)
+      .select('-faceEmbedding')
+      .populate('studentId', 'fullName enrollmentNo email')
+      .populate('classId', 'classNumber subjectCode subjectName');
+    if (!attendance) {
+      throw new Error('Attendance not found');
+    }
+
+    await assertClassAccess(req.user, attendance.classId._id);
+
+    const revisions = await AttendanceRevision.find({ attendanceId: attendance._id })
+      .populate('changedBy', 'fullName email role')
+      .sort({ createdAt: 1, _id: 1 });
+
+    res.json({ attendance, revisions });
+  } catch (err) {
+    logger.error('Get attendance history error:', err);
+    res.status(revisionErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  POST /api/attendances/:id/revert
+ * @desc   Restore an attendance record to its state before a revision
+ * @access Teacher or Admin
+ */
+export const revertAttendance = async (req, res) => {
+  try {
+    const { revisionId, reason } = req.body;
+
+    const attendance = await Attendance.findById(req.params.id);
+    if (!attendance) {
+      throw new Error('Attendance not found');
+    }
+
+    await assertClassAccess(req.user, attendance.classId, 'attendance');
+
+    const revision = await AttendanceRevision.findOne({ _id: revisionId, attendanceId: attendance._id });
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+
+    const reverted = await revertAttendanceRevision(attendance, revision, { changedBy: req.user._id, reason });
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'REVERT_ATTENDANCE',
+      details: {
+        attendanceId: attendance._id,
+        classId: attendance.classId,
+        studentId: attendance.studentId,
+        revertedRevisionId: revision._id,
+        revisionId: reverted._id,
+        changes: reverted.changes.map(({ field, from, to }) => ({ field, from, to })),
+        reason,
+      },
+      status: 'success',
+    }).save();
+
+    const populatedAttendance = await Attendance.findById(attendance._id)
+      .select('-faceEmbedding')
+      .populate('studentId', 'fullName enrollmentNo email')
+      .populate('classId', 'classNumber subjectName');
+
+    res.json({ attendance: populatedAttendance, revision: reverted });
+  } catch (err) {
+    logger.error('Revert attendance error:', err);
+    res.status(revisionErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  GET /api/attendances/revisions
+ * @desc   Attendance changes across all records, e.g. everything a teacher has edited
+ * @access Admin
+ */
+export const getAttendanceRevisions = async (req, res) => {
+  try {
+    const { changedBy, classId, studentId, source, startDate, endDate, limit = 50, offset = 0 } = req.query;
+
+    const query = { ...dateRangeFilter('createdAt', { startDate, endDate }) };
+    if (changedBy) query.changedBy = changedBy;
+    if (classId) query.classId = classId;
+    if (studentId) query.studentId = studentId;
+    if (source) query.source = source;
+
+    const total = await AttendanceRevision.countDocuments(query);
+    const revisions = await AttendanceRevision.find(query)
+      .populate('changedBy', 'fullName email role')
+      .populate('studentId', 'fullName enrollmentNo email')
+      .populate('classId', 'classNumber subjectCode subjectName')
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit));
+
+    res.json({
+      revisions,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: total > parseInt(offset) + parseInt(limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Get attendance revisions error:', err);
+    res.status(revisionErrorStatus(err)).json({ error: err.message });
+  }
+};
@@ -0,0 +1,192 @@
+import logger from '../utils/logger.js';
+import { Class } from '../models/classModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { queueMail } from '../utils/mailer.js';
+import { assertClassAccess, getTeacherClassIds, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import { buildClassAttendanceSummary, getAttendanceThreshold } from '../utils/attendanceSummary.js';
+
+const CLASS_FIELDS = 'classNumber subjectCode subjectName semester division';
+
+const summaryErrorStatus = (err) => {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === CLASS_ACCESS_DENIED) return 403;
+  return 400;
+};
+
+const parseThreshold = (value) => (value !== undefined ? parseFloat(value) : getAttendanceThreshold());
+
+const byPercentage = (a, b) => (a.percentage ?? 100) - (b.percentage ?? 100);
+
+// Students below the threshold in each class, worst first
+const findShortages = async (classes, options) => {
+  const shortages = [];
+  for (const classObj of classes) {
+    const summary = await buildClassAttendanceSummary(classObj._id, options);
+    for (const row of summary.students) {
+      if (row.belowThreshold) {
+        shortages.push({ class: classObj, remainingLectures: summary.remainingLectures, ...row });
+      }
+    }
+  }
+  return shortages.sort(byPercentage);
+};
+
+/**
+ * @route  GET /api/attendances/summary/class/:classId
+ * @desc   Per-student attendance percentage of a class against the eligibility threshold
+ * @access Teacher or Admin
+ */
+export const getClassAttendanceSummary = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { startDate, endDate } = req.query;
+    const threshold = parseThreshold(req.query.threshold);
+
+    const classObj = await Class.findById(classId).select(CLASS_FIELDS).lean();
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+    await assertClassAccess(req.user, classId, 'view');
+
+    const summary = await buildClassAttendanceSummary(classId, { startDate, endDate, threshold });
+    if (req.query.belowThreshold === 'true') {
+      summary.students = summary.students.filter((row) => row.belowThreshold);
+    }
+    summary.students.sort(byPercentage);
+
+    res.json({ class: classObj, ...summary });
+  } catch (err) {
+    logger.error('Get class attendance summary error:', err);
+    res.status(summaryErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  GET /api/attendances/shortages
+ * @desc   Students below the eligibility threshold across the teacher's
+ *         current classes (all classes for admins), or in one class
+ * @access Teacher or Admin
+ */
+export const getAttendanceShortages = async (req, res) => {
+  try {
+    const { classId, startDate, endDate } = req.query;
+    const threshold = parseThreshold(req.query.threshold);
+
+    const classQuery = { archivedAt: null };
+    if (classId) {
+      await assertClassAccess(req.user, classId, 'view');
+      classQuery._id = classId;
+    } else if (req.user.role !== 'admin') {
+      classQuery._id = { $in: await getTeacherClassIds(req.user._id) };
+    }
+    const classes = await Class.find(classQuery).select(CLASS_FIELDS).sort({ subjectCode: 1 }).lean();
+
+    const shortages = await findShortages(classes, { startDate, endDate, threshold });
+
+    res.json({ threshold, classCount: classes.length, count: shortages.length, shortages });
+  } catch (err) {
+    logger.error('Get attendance shortages error:', err);
+    res.status(summaryErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  POST /api/attendances/shortages/notify
+ * @desc   Email every student below the eligibility threshold in a class
+ *         their attendance and what they need to recover
+ * @access Teacher or Admin
+ */
+export const notifyAttendanceShortages = async (req, res) => {
+  try {
+    const { classId } = req.body;
+    const threshold = parseThreshold(req.body.threshold);
+
+    const classObj = await Class.findById(classId).select(CLASS_FIELDS).lean();
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+    await assertClassAccess(req.user, classId, 'attendance');
+
+    const shortages = await findShortages([classObj], { threshold });
+    for (const shortage of shortages) {
+      await queueMail('attendanceShortage', shortage.student.email, {
+        fullName: shortage.student.fullName,
+        subjectName: classObj.subjectName,
+        subjectCode: classObj.subjectCode,
+        attended: shortage.attended,
+        lecturesHeld: shortage.lecturesHeld - shortage.excused,
+        percentage: shortage.percentage,
+        threshold,
+        lecturesToRecover: shortage.lecturesToRecover,
+      });
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'NOTIFY_ATTENDANCE_SHORTAGES',
+      details: { classId, threshold, notifiedCount: shortages.length },
+      status: 'success',
+    }).save();
+
+    res.json({ threshold, notifiedCount: shortages.length });
+  } catch (err) {
+    logger.error('Notify attendance shortages error:', err);
+    res.status(summaryErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  GET /api/attendances/my-summary
+ * @desc   Current student's attendance percentage in each enrolled class
+ *         against the eligibility threshold, plus the overall figure.
+ *         Classes of past terms are left out unless includeArchived=true.
+ * @access Student
+ */
+export const getMyAttendanceSummary = async (req, res) => {
+  try {
+    const { startDate, endDate, includeArchived } = req.query;
+    const threshold = getAttendanceThreshold();
+
+    const enrollments = await ClassEnrollment.find({ studentId: req.user._id, isActive: true })
+      .populate('classId', `${CLASS_FIELDS} archivedAt`)
+      .lean();
+
+    const classes = [];
+    for (const { classId: classObj } of enrollments) {
+      if (!classObj || (classObj.archivedAt && includeArchived !== 'true')) continue;
+      const summary = await buildClassAttendanceSummary(classObj._id, {
+        startDate,
+        endDate,
+        threshold,
+        studentIds: [req.user._id],
+      });
+      const [row] = summary.students;
+      if (!row) continue;
+      const { student, ...figures } = row;
+      classes.push({ class: classObj, remainingLectures: summary.remainingLectures, ...figures });
+    }
+
+    const totals = classes.reduce((sum, row) => ({
+      lecturesHeld: sum.lecturesHeld + row.lecturesHeld,
+      attended: sum.attended + row.attended,
+      excused: sum.excused + row.excused,
+    }), { lecturesHeld: 0, attended: 0, excused: 0 });
+    const expected = totals.lecturesHeld - totals.excused;
+    const percentage = expected > 0 ? Math.round((totals.attended / expected) * 10000) / 100 : null;
+
+    res.json({
+      threshold,
+      overall: {
+        ...totals,
+        percentage,
+        belowThreshold: percentage !== null && percentage < threshold,
+      },
+      shortageCount: classes.filter((row) => row.belowThreshold).length,
+      classes,
+    });
+  } catch (err) {
+    logger.error('Get my attendance summary error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
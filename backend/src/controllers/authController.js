@@ -1,9 +1,86 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import logger from '../utils/logger.js';
 import { User } from '../models/userModel.js';
 import { AuditLog } from '../models/auditLogModel.js';
+import { UserSession } from '../models/userSessionModel.js';
+import { Setting } from '../models/settingModel.js';
+import { createSession, rotateRefreshToken, revokeUserSessions, signTwoFactorChallenge } from '../utils/tokens.js';
+import { getLockRemainingSeconds, recordFailedLogin, clearLoginFailures } from '../utils/loginLockout.js';
+import { queueMail, buildAppUrl } from '../utils/mailer.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/totp.js';
+
+const TWO_FACTOR_POLICY_KEY = 'auth.twoFactorRequiredRoles';
+const TWO_FACTOR_ROLES = ['teacher', 'admin'];
+
+// Roles that must use two-factor, as configured by admins
+const getTwoFactorRequiredRoles = async () => {
+  const setting = await Setting.findOne({ key: TWO_FACTOR_POLICY_KEY });
+  return setting?.value || [];
+};
+
+// A role the policy covers must enroll before it is given a session
+const needsTwoFactorSetup = async (user) =>
+  !user.twoFactor?.enabled && (await getTwoFactorRequiredRoles()).includes(user.role);
+
+// Issue a session and respond the way a successful login always has
+const completeLogin = async (user, req, res, details = {}, extraData = {}) => {
+  if (user.failedLoginAttempts || user.lockoutCount || user.lockedUntil) {
+    await clearLoginFailures(user._id);
+  }
+
+  // Update last login time
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  // Start a session with a short-lived access token and a refresh token
+  const { accessToken, refreshToken, expiresIn, session } = await createSession(user, req);
+
+  // Log login in AuditLog
+  await new AuditLog({
+    userId: user._id,
+    action: 'LOGIN',
+    details: { enrollmentNo: user.enrollmentNo, email: user.email, sessionId: session._id, ...details }
+  }).save();
+
+  // Prepare user data for response (exclude password hash)
+  const userResponse = {
+    _id: user._id,
+    fullName: user.fullName,
+    email: user.email,
+    enrollmentNo: user.enrollmentNo,
+    role: user.role,
+  };
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: userResponse,
+      ...extraData
+    }
+  });
+};
+
+// Count a wrong second-factor code like a wrong password
+const recordFailedTwoFactor = async (user, req) => {
+  const { attempts, lockedUntil } = await recordFailedLogin(user._id);
+  await new AuditLog({
+    userId: user._id,
+    action: 'LOGIN_FAILED',
+    details: { reason: 'invalid_2fa_code', attempts, lockedUntil, ipAddress: req.ip },
+    status: 'failed'
+  }).save();
+};
 
 /**
  * @route POST /api/auth/register
@@ -47,9 +124,17 @@ export const registerUser = async (req, res) => {
       passwordHash,
       fullName,
       role,
-      faceEmbedding: faceEmbedding || [],
     };
 
+    // A self-registered embedding only becomes the reference once a teacher approves it
+    if (faceEmbedding?.length) {
+      userPayload.faceEnrollment = {
+        status: 'pending',
+        pendingEmbedding: faceEmbedding,
+        submittedAt: new Date(),
+      };
+    }
+
     if (role === 'student') {
       // Add student-specific fields
       Object.assign(userPayload, {
@@ -67,13 +152,6 @@ export const registerUser = async (req, res) => {
     const user = new User(userPayload);
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: '7d' }
-    );
-
     // Log registration in AuditLog
     await new AuditLog({
       userId: user._id,
@@ -97,11 +175,29 @@ export const registerUser = async (req, res) => {
       isActive: user.isActive
     };
 
+    // Roles that require two-factor enroll before receiving tokens
+    if (await needsTwoFactorSetup(user)) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully, two-factor enrollment required',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: signTwoFactorChallenge(user, '2fa_setup'),
+          user: userResponse
+        }
+      });
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+
     res.status(201).json({ 
       success: true,
       message: 'User registered successfully',
       data: {
-        token,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
         user: userResponse
       }
     });
@@ -133,52 +229,76 @@ export const loginUser = async (req, res) => {
       ],
     });
 
-    if (!user) {
+    // Unknown identifiers cannot be audited since AuditLog entries need a user
+    if (!user || user.deletedAt) {
       logger.warn(`Failed login attempt for identifier: ${enrollmentNo || email} - user not found`);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // Locked accounts are refused before the password is even checked
+    const lockRemaining = getLockRemainingSeconds(user);
+    if (lockRemaining > 0) {
+      await new AuditLog({
+        userId: user._id,
+        action: 'LOGIN_FAILED',
+        details: { reason: 'account_locked', lockedUntil: user.lockedUntil, ipAddress: req.ip },
+        status: 'failed'
+      }).save();
+      res.set('Retry-After', String(lockRemaining));
+      return res.status(423).json({ error: 'Account temporarily locked due to failed login attempts', retryAfterSeconds: lockRemaining });
+    }
+
     // Compare password
     if (!(await bcrypt.compare(password, user.passwordHash))) {
-      logger.warn(`Failed login attempt for identifier: ${enrollmentNo || email} - user not found`);
+      logger.warn(`Failed login attempt for identifier: ${enrollmentNo || email} - invalid password`);
+      const { attempts, lockedUntil } = await recordFailedLogin(user._id);
+      await new AuditLog({
+        userId: user._id,
+        action: 'LOGIN_FAILED',
+        details: { reason: 'invalid_password', attempts, lockedUntil, ipAddress: req.ip },
+        status: 'failed'
+      }).save();
+      if (lockedUntil) {
+        await new AuditLog({
+          userId: user._id,
+          action: 'ACCOUNT_LOCKED',
+          details: { lockedUntil, ipAddress: req.ip },
+          status: 'success'
+        }).save();
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Update last login time
-    user.lastLoginAt = new Date();
-    await user.save();
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: '7d' }
-    );
-
-    // Log login in AuditLog
-    await new AuditLog({
-      userId: user._id,
-      action: 'LOGIN',
-      details: { enrollmentNo: user.enrollmentNo, email: user.email }
-    }).save();
+    // Account state is only revealed once the password is known to be correct
+    if (!user.isActive || user.passwordResetRequired) {
+      await new AuditLog({
+        userId: user._id,
+        action: 'LOGIN_FAILED',
+        details: { reason: !user.isActive ? 'account_deactivated' : 'password_reset_required', ipAddress: req.ip },
+        status: 'failed'
+      }).save();
+      return !user.isActive
+        ? res.status(403).json({ error: 'Account is deactivated' })
+        : res.status(403).json({ error: 'Password reset required', passwordResetRequired: true });
+    }
 
-    // Prepare user data for response (exclude password hash)
-    const userResponse = {
-      _id: user._id,
-      fullName: user.fullName,
-      email: user.email,
-      enrollmentNo: user.enrollmentNo,
-      role: user.role,
-    };
+    // Second step: a TOTP code, or enrollment when the role requires two-factor
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        data: { twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user, '2fa') }
+      });
+    }
+    if (await needsTwoFactorSetup(user)) {
+      return res.json({
+        success: true,
+        message: 'Two-factor enrollment required',
+        data: { twoFactorSetupRequired: true, challengeToken: signTwoFactorChallenge(user, '2fa_setup') }
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        token,
-        user: userResponse
-      }
-    });
+    await completeLogin(user, req, res);
   } catch (err) {
     logger.error('Login error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -194,7 +314,7 @@ export const forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
 
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await User.findOne({ email: email.toLowerCase(), deletedAt: null });
     if (!user) {
       // This response is a security best practice to prevent email enumeration
       return res.json({ message: 'If an account with that email exists, a password reset link has been sent.' });
@@ -216,7 +336,13 @@ export const forgotPassword = async (req, res) => {
       details: { email: user.email }
     }).save();
 
-    // TODO: Implement email sending logic
+    // Delivered in the background by the mail queue job
+    await queueMail('passwordReset', user.email, {
+      fullName: user.fullName,
+      resetUrl: buildAppUrl('/reset-password', { token: resetToken }),
+      expiresInMinutes: 10,
+    });
+
     res.json({ 
       message: 'If an account with that email exists, a password reset link has been sent.',
       // In development, you might want to return the token for testing
@@ -255,6 +381,7 @@ export const resetPassword = async (req, res) => {
     user.passwordHash = passwordHash;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
     await user.save();
 
     // Log successful password reset
@@ -265,6 +392,7 @@ export const resetPassword = async (req, res) => {
       status: 'success'
     }).save();
 
+    // Saving the new hash bumps tokenVersion, which revokes every existing session
     res.json({ message: 'Password has been reset successfully' });
   } catch (err) {
     logger.error('Reset password error:', err);
@@ -293,4 +421,403 @@ export const verifyToken = async (req, res) => {
     logger.error('Verify token error:', err);
     res.status(500).json({ error: err.message });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for a new access token and refresh token
+ * @access Public (requires a valid refresh token)
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const { accessToken, refreshToken: newRefreshToken, expiresIn, user, session } =
+      await rotateRefreshToken(req.body.refreshToken, req);
+
+    // Sessions started before the policy covered the role end here until the user enrolls
+    if (await needsTwoFactorSetup(user)) {
+      await UserSession.updateOne(
+        { _id: session._id },
+        { $set: { revokedAt: new Date(), revokedReason: 'two_factor_required' } }
+      );
+      return res.json({
+        success: true,
+        message: 'Two-factor enrollment required',
+        data: { twoFactorSetupRequired: true, challengeToken: signTwoFactorChallenge(user, '2fa_setup') }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: accessToken,
+        refreshToken: newRefreshToken,
+        expiresIn,
+        sessionId: session._id,
+        user: {
+          _id: user._id,
+          fullName: user.fullName,
+          email: user.email,
+          enrollmentNo: user.enrollmentNo,
+          role: user.role,
+        },
+      },
+    });
+  } catch (err) {
+    logger.warn(`Refresh token rejected: ${err.message}`);
+    if (err.sessionUserId) {
+      await new AuditLog({
+        userId: err.sessionUserId,
+        action: 'REFRESH_TOKEN_REUSE',
+        details: { sessionId: err.sessionId, ipAddress: req.ip },
+        status: 'failed',
+      }).save().catch((auditErr) => logger.error('Audit log error:', auditErr));
+    }
+    res.status(401).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Revoke the current session, or every session with allDevices
+ * @access Private
+ */
+export const logoutUser = async (req, res) => {
+  try {
+    const { allDevices = false } = req.body;
+
+    let revokedCount = 0;
+    if (allDevices) {
+      // Bumping the version also kills access tokens that predate sessions
+      await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+      revokedCount = await revokeUserSessions(req.user._id, 'logout_all');
+    } else if (req.sessionId) {
+      const result = await UserSession.updateOne(
+        { _id: req.sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+      revokedCount = result.modifiedCount;
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: allDevices ? 'LOGOUT_ALL' : 'LOGOUT',
+      details: { sessionId: req.sessionId, revokedSessions: revokedCount },
+      status: 'success',
+    }).save();
+
+    res.json({ message: 'Logged out successfully', revokedSessions: revokedCount });
+  } catch (err) {
+    logger.error('Logout error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List the current user's active sessions
+ * @access Private
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await UserSession.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      tokenVersion: req.user.tokenVersion || 0,
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map((session) => ({
+      _id: session._id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: req.sessionId?.toString() === session._id.toString(),
+    })));
+  } catch (err) {
+    logger.error('Get sessions error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @desc Revoke one of the current user's sessions
+ * @access Private
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const session = await UserSession.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'REVOKE_SESSION',
+      details: { sessionId: session._id, deviceName: session.deviceName },
+      status: 'success',
+    }).save();
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (err) {
+    logger.error('Revoke session error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Generate a TOTP secret and otpauth URI to scan into an authenticator app
+ * @access Teacher or Admin (access token, or a setup challenge token during login)
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is available to teachers and admins' });
+    }
+    if (req.user.twoFactor?.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Attendance App',
+      }),
+    });
+  } catch (err) {
+    logger.error('Two-factor setup error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/setup/verify
+ * @desc Confirm enrollment with a first code; returns one-time recovery codes
+ * @access Teacher or Admin (access token, or a setup challenge token during login)
+ */
+export const verifyTwoFactorSetup = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map((recoveryCode) => ({ hash: hashRecoveryCode(recoveryCode) }));
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await new AuditLog({
+      userId: user._id,
+      action: 'ENABLE_2FA',
+      details: { duringLogin: Boolean(req.twoFactorChallenge) },
+      status: 'success'
+    }).save();
+
+    // Enrollment forced at login finishes that login as well
+    if (req.twoFactorChallenge) {
+      return completeLogin(user, req, res, { twoFactor: 'enrolled' }, { recoveryCodes });
+    }
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (err) {
+    logger.error('Two-factor setup verification error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Second login step: exchange a challenge token and a TOTP or recovery code for a session
+ * @access Public (requires a challenge token)
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const lockRemaining = getLockRemainingSeconds(user);
+    if (lockRemaining > 0) {
+      res.set('Retry-After', String(lockRemaining));
+      return res.status(423).json({ error: 'Account temporarily locked due to failed login attempts', retryAfterSeconds: lockRemaining });
+    }
+
+    let method;
+    if (code) {
+      const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep ?? -1 });
+      if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        method = 'totp';
+      }
+    } else if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const entry = user.twoFactor.recoveryCodes.find((rc) => rc.hash === hash && !rc.usedAt);
+      if (entry) {
+        entry.usedAt = new Date();
+        method = 'recovery_code';
+      }
+    }
+
+    if (!method) {
+      await recordFailedTwoFactor(user, req);
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const remainingRecoveryCodes = user.twoFactor.recoveryCodes.filter((rc) => !rc.usedAt).length;
+    await completeLogin(user, req, res, { twoFactor: method, ...(method === 'recovery_code' && { remainingRecoveryCodes }) });
+  } catch (err) {
+    logger.error('Two-factor login error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @desc Replace the recovery codes; requires a current TOTP code
+ * @access Private
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep ?? -1 });
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map((recoveryCode) => ({ hash: hashRecoveryCode(recoveryCode) }));
+    await user.save();
+
+    await new AuditLog({
+      userId: user._id,
+      action: 'REGENERATE_2FA_RECOVERY_CODES',
+      status: 'success'
+    }).save();
+
+    res.json({ recoveryCodes });
+  } catch (err) {
+    logger.error('Regenerate recovery codes error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Turn off two-factor; requires the password and a current code
+ * @access Private
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if ((await getTwoFactorRequiredRoles()).includes(user.role)) {
+      return res.status(403).json({ error: `Two-factor authentication is required for ${user.role} accounts` });
+    }
+
+    const passwordOk = await bcrypt.compare(password, user.passwordHash);
+    if (!passwordOk || verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep ?? -1 }) === null) {
+      return res.status(401).json({ error: 'Invalid password or verification code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await new AuditLog({
+      userId: user._id,
+      action: 'DISABLE_2FA',
+      status: 'success'
+    }).save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    logger.error('Disable two-factor error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/auth/2fa/policy
+ * @desc Get the roles that must use two-factor authentication
+ * @access Admin only
+ */
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    res.json({ requiredRoles: await getTwoFactorRequiredRoles(), availableRoles: TWO_FACTOR_ROLES });
+  } catch (err) {
+    logger.error('Get two-factor policy error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PUT /api/auth/2fa/policy
+ * @desc Set the roles that must use two-factor authentication
+ * @access Admin only
+ */
+export const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    await Setting.findOneAndUpdate(
+      { key: TWO_FACTOR_POLICY_KEY },
+      { value: requiredRoles, updatedBy: req.user._id },
+      { upsert: true, new: true }
+    );
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UPDATE_2FA_POLICY',
+      details: { requiredRoles },
+      status: 'success'
+    }).save();
+
+    res.json({ requiredRoles });
+  } catch (err) {
+    logger.error('Update two-factor policy error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
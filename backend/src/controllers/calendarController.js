@@ -0,0 +1,267 @@
+import logger from '../utils/logger.js';
+import { Schedule } from '../models/scheduleModel.js';
+import { ScheduleException } from '../models/scheduleExceptionModel.js';
+import { ClassSession } from '../models/classSessionModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { Announcement } from '../models/announcementModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { queueMail } from '../utils/mailer.js';
+import { assertClassAccess, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import { syncClassSessions } from '../utils/classSessions.js';
+import {
+  DAYS_OF_WEEK,
+  HELD_OCCURRENCE_STATUSES,
+  addDays,
+  endOfDay,
+  formatOccurrence,
+  getHolidaysBetween,
+  getScheduleOccurrences,
+  startOfDay,
+} from '../utils/calendar.js';
+
+const MAX_CALENDAR_DAYS = 120;
+
+const calendarErrorStatus = (err) => {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === CLASS_ACCESS_DENIED) return 403;
+  if (err.message.includes('conflicts')) return 409;
+  return 400;
+};
+
+const findScheduleWithClass = async (scheduleId) => {
+  const schedule = await Schedule.findById(scheduleId).populate('classId', 'subjectCode subjectName');
+  if (!schedule || !schedule.classId) {
+    throw new Error('Schedule not found');
+  }
+  return schedule;
+};
+
+// How the change reads in "Your class <slot> <change>."
+const describeChange = (exception) => {
+  if (!exception) return 'will take place as originally scheduled';
+  if (exception.type === 'cancelled') return 'has been cancelled';
+  if (exception.type === 'room_change') return `has moved to room ${exception.roomNumber}`;
+  const room = exception.roomNumber ? ` in room ${exception.roomNumber}` : '';
+  return `has been rescheduled to ${exception.newDate.toDateString()}, ${exception.startTime}-${exception.endTime}${room}`;
+};
+
+// Bring the schedule's generated class sessions on the given days in line with the calendar
+const resyncSessionDays = async (schedule, days) => {
+  if (!(await ClassSession.exists({ scheduleId: schedule._id }))) return;
+  const times = new Set(days.filter(Boolean).map((day) => startOfDay(day).getTime()));
+  for (const time of times) {
+    await syncClassSessions([schedule.classId._id], new Date(time), new Date(time));
+  }
+};
+
+/**
+ * Tell the enrolled students about a change to one occurrence: a class
+ * announcement plus an email each. `exception` is null when a change is
+ * undone. Returns the number of students emailed.
+ */
+const notifyScheduleChange = async (schedule, date, exception, author) => {
+  const { _id: classId, subjectCode, subjectName } = schedule.classId;
+  const change = describeChange(exception);
+  const lastRelevantDay = exception?.newDate > date ? exception.newDate : date;
+
+  await new Announcement({
+    classId,
+    authorId: author._id,
+    title: `${subjectCode} on ${date.toDateString()} ${change}`.slice(0, 200),
+    content: [
+      `The ${schedule.startTime} ${schedule.sessionType} on ${date.toDateString()} ${change}.`,
+      exception?.reason ? `Reason: ${exception.reason}` : null,
+    ].filter(Boolean).join('\n'),
+    priority: 'high',
+    expiresAt: endOfDay(lastRelevantDay),
+  }).save();
+
+  const enrollments = await ClassEnrollment.find({ classId, isActive: true })
+    .populate('studentId', 'fullName email isActive');
+  const students = enrollments.map((e) => e.studentId).filter((s) => s?.isActive);
+  for (const student of students) {
+    await queueMail('scheduleChange', student.email, {
+      fullName: student.fullName,
+      subjectName,
+      subjectCode,
+      date,
+      startTime: schedule.startTime,
+      change,
+      reason: exception?.reason,
+    });
+  }
+  return students.length;
+};
+
+/**
+ * @route  POST /api/schedules/:id/exceptions
+ * @desc   Cancel, reschedule or change the room of one occurrence of a schedule;
+ *         replaces any earlier exception for that date and notifies students
+ * @access Teacher or Admin
+ */
+export const createScheduleException = async (req, res) => {
+  try {
+    const { type, newDate, startTime, endTime, roomNumber, reason } = req.body;
+    const notify = req.body.notify !== false && req.body.notify !== 'false';
+    const date = startOfDay(req.body.date);
+
+    const schedule = await findScheduleWithClass(req.params.id);
+    await assertClassAccess(req.user, schedule.classId._id, 'manage');
+
+    if (DAYS_OF_WEEK[date.getDay()] !== schedule.dayOfWeek) {
+      throw new Error(`Schedule only occurs on ${schedule.dayOfWeek}`);
+    }
+
+    if (type === 'rescheduled') {
+      // The make-up slot must not overlap another class the teacher holds that day
+      const teacherSchedules = await Schedule.find({ teacherId: schedule.teacherId, isActive: true });
+      const occurrences = await getScheduleOccurrences(teacherSchedules, newDate, newDate);
+      const clash = occurrences.find((o) =>
+        HELD_OCCURRENCE_STATUSES.includes(o.status) &&
+        !(o.schedule._id.equals(schedule._id) && o.date.getTime() === date.getTime()) &&
+        !(o.exception && o.status === 'rescheduled' && o.exception.scheduleId.equals(schedule._id) && o.exception.date.getTime() === date.getTime()) &&
+        o.startTime < endTime && o.endTime > startTime
+      );
+      if (clash) {
+        throw new Error(`Rescheduled slot conflicts with ${clash.startTime}-${clash.endTime} in room ${clash.roomNumber}`);
+      }
+    }
+
+    const exception = await ScheduleException.findOne({ scheduleId: schedule._id, date }) ||
+      new ScheduleException({ scheduleId: schedule._id, classId: schedule.classId._id, date });
+    const previousNewDate = exception.newDate;
+    exception.set({
+      type,
+      newDate: type === 'rescheduled' ? startOfDay(newDate) : undefined,
+      startTime: type === 'rescheduled' ? startTime : undefined,
+      endTime: type === 'rescheduled' ? endTime : undefined,
+      roomNumber: type === 'cancelled' ? undefined : roomNumber,
+      reason,
+      createdBy: req.user._id,
+      notifiedAt: undefined,
+    });
+    await exception.save();
+    await resyncSessionDays(schedule, [date, previousNewDate, exception.newDate]);
+
+    let notifiedCount = 0;
+    if (notify) {
+      notifiedCount = await notifyScheduleChange(schedule, date, exception, req.user);
+      exception.notifiedAt = new Date();
+      await exception.save();
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'CREATE_SCHEDULE_EXCEPTION',
+      details: { scheduleId: schedule._id, classId: schedule.classId._id, exceptionId: exception._id, type, date, notifiedCount },
+      status: 'success',
+    }).save();
+
+    res.status(201).json({ exception, notifiedCount });
+  } catch (err) {
+    logger.error('Create schedule exception error:', err);
+    res.status(calendarErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  GET /api/schedules/:id/exceptions
+ * @desc   List the exceptions of a schedule, optionally within a date range
+ * @access Teacher or Admin
+ */
+export const getScheduleExceptions = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const schedule = await findScheduleWithClass(req.params.id);
+    await assertClassAccess(req.user, schedule.classId._id, 'view');
+
+    const query = { scheduleId: schedule._id };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = startOfDay(startDate);
+      if (endDate) query.date.$lte = endOfDay(endDate);
+    }
+
+    const exceptions = await ScheduleException.find(query)
+      .populate('createdBy', 'fullName email')
+      .sort({ date: 1 });
+
+    res.json(exceptions);
+  } catch (err) {
+    logger.error('Get schedule exceptions error:', err);
+    res.status(calendarErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  DELETE /api/schedules/:id/exceptions/:exceptionId
+ * @desc   Undo an exception so the occurrence takes place as scheduled
+ * @access Teacher or Admin
+ */
+export const deleteScheduleException = async (req, res) => {
+  try {
+    const { notify = 'true' } = req.query;
+
+    const schedule = await findScheduleWithClass(req.params.id);
+    await assertClassAccess(req.user, schedule.classId._id, 'manage');
+
+    const exception = await ScheduleException.findOne({ _id: req.params.exceptionId, scheduleId: schedule._id });
+    if (!exception) {
+      throw new Error('Schedule exception not found');
+    }
+    await exception.deleteOne();
+    await resyncSessionDays(schedule, [exception.date, exception.newDate]);
+
+    let notifiedCount = 0;
+    if (notify === 'true' && exception.notifiedAt) {
+      notifiedCount = await notifyScheduleChange(schedule, exception.date, null, req.user);
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'DELETE_SCHEDULE_EXCEPTION',
+      details: { scheduleId: schedule._id, classId: schedule.classId._id, exceptionId: exception._id, type: exception.type, date: exception.date, notifiedCount },
+      status: 'success',
+    }).save();
+
+    res.json({ message: 'Schedule exception removed', notifiedCount });
+  } catch (err) {
+    logger.error('Delete schedule exception error:', err);
+    res.status(calendarErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  GET /api/classes/:id/calendar
+ * @desc   Dated occurrences of a class between startDate and endDate (default: the
+ *         next two weeks), including cancelled, moved and holiday slots
+ * @access Student, Teacher, Admin
+ */
+export const getClassCalendar = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const from = startOfDay(req.query.startDate || new Date());
+    const to = endOfDay(req.query.endDate || addDays(from, 13));
+
+    if (to < from) {
+      throw new Error('End date must not be before start date');
+    }
+    if (to - from > MAX_CALENDAR_DAYS * 24 * 60 * 60 * 1000) {
+      throw new Error(`Calendar range cannot exceed ${MAX_CALENDAR_DAYS} days`);
+    }
+
+    await assertClassAccess(req.user, classId, 'view', { allowStudents: true });
+
+    const schedules = await Schedule.find({ classId, isActive: true }).populate('teacherId', 'fullName email');
+    const [occurrences, holidays] = await Promise.all([
+      getScheduleOccurrences(schedules, from, to),
+      getHolidaysBetween(from, to),
+    ]);
+
+    res.json({ startDate: from, endDate: to, occurrences: occurrences.map(formatOccurrence), holidays });
+  } catch (err) {
+    logger.error('Get class calendar error:', err);
+    res.status(calendarErrorStatus(err)).json({ error: err.message });
+  }
+};
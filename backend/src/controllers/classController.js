@@ -4,8 +4,16 @@ import { Class } from '../models/classModel.js';
 import { ClassEnrollment } from '../models/classEnrollmentModel.js';
 import { ClassTeacher } from '../models/classTeacherModel.js';
 import { Schedule } from '../models/scheduleModel.js';
+import { ClassJoinCode } from '../models/classJoinCodeModel.js';
+import { ClassJoinRequest } from '../models/classJoinRequestModel.js';
+import { ScheduleException } from '../models/scheduleExceptionModel.js';
+import { ClassSession } from '../models/classSessionModel.js';
+import { AcademicTerm } from '../models/academicTermModel.js';
 import { User } from '../models/userModel.js';
 import { AuditLog } from '../models/auditLogModel.js';
+import { getFaceVerificationSettings } from '../utils/face.js';
+import { enrollStudentInClass, withdrawStudentFromClass } from '../utils/enrollment.js';
+import { assertClassAccess, getClassRole, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
 
 /**
  * @route POST /api/classes
@@ -16,6 +24,14 @@ export const createClass = async (req, res) => {
   try {
     const { classNumber, subjectCode, subjectName, classYear, semester, division } = req.body;
 
+    // Classes belong to the given term, or the active one
+    const term = req.body.termId
+      ? await AcademicTerm.findById(req.body.termId)
+      : await AcademicTerm.findOne({ isActive: true });
+    if (req.body.termId && !term) {
+      throw new Error('Term not found');
+    }
+
     // Create class with teacherId from authenticated user
     const classObj = new Class({
       classNumber,
@@ -25,6 +41,7 @@ export const createClass = async (req, res) => {
       semester,
       division,
       teacherId: req.user._id,
+      termId: term?._id,
     });
     await classObj.save();
 
@@ -32,6 +49,8 @@ export const createClass = async (req, res) => {
     await new ClassTeacher({
       classId: classObj._id,
       teacherId: req.user._id,
+      role: 'owner',
+      assignedBy: req.user._id,
     }).save();
 
     // Log class creation in AuditLog
@@ -64,30 +83,20 @@ export const enrollStudent = async (req, res) => {
       throw new Error('Invalid class or student ID');
     }
 
-    // Verify class exists and user is authorized
-    const classTeacher = await ClassTeacher.findOne({ classId, teacherId: req.user._id });
-    if (!classTeacher && req.user.role !== 'admin') {
-      throw new Error('Not authorized to enroll students in this class');
-    }
+    // Verify user is authorized
+    await assertClassAccess(req.user, classId, 'manage');
 
-    // Check if student is already enrolled to avoid duplicates
-    const existingEnrollment = await ClassEnrollment.findOne({ classId, studentId });
-    if (existingEnrollment) {
+    // A withdrawn enrollment is reactivated instead of duplicated
+    const { status, enrollment } = await enrollStudentInClass(classId, studentId, { performedBy: req.user._id });
+    if (status === 'existing') {
       return res.status(409).json({ error: 'Student is already enrolled in this class' });
     }
 
-    // Create ClassEnrollment entry with correct field names
-    const enrollment = new ClassEnrollment({
-      classId: classId, // Use classId as defined in schema
-      studentId: studentId // Use studentId as defined in schema
-    });
-    await enrollment.save();
-
     // Log enrollment
     await new AuditLog({
       userId: req.user._id,
       action: 'ENROLL_STUDENT',
-      details: { classId, studentId },
+      details: { classId, studentId, reactivated: status === 'reactivated' },
     }).save();
 
     // Populate class and student details
@@ -98,31 +107,262 @@ export const enrollStudent = async (req, res) => {
     res.status(201).json(populatedEnrollment);
   } catch (err) {
     logger.error('Enrollment error:', err);
-    res.status(400).json({ error: err.message });
+    res.status(err.message === CLASS_ACCESS_DENIED ? 403 : 400).json({ error: err.message });
+  }
+};
+
+// Loads the class and throws unless the user may manage it
+const assertCanManageClass = async (classId, user) => {
+  const classObj = await Class.findById(classId);
+  if (!classObj) {
+    throw new Error('Class not found');
+  }
+  await assertClassAccess(user, classId, 'manage');
+  return classObj;
+};
+
+const enrollmentErrorStatus = (err) => {
+  if (err.message === 'Class not found' || err.message === 'Target class not found') return 404;
+  if (err.message.startsWith('Not authorized')) return 403;
+  if (err.message === 'Student is not enrolled in this class') return 404;
+  return 400;
+};
+
+/**
+ * @route POST /api/classes/:id/enrollments/bulk
+ * @desc Enroll many students by ID, by enrollment number, or by matching division, semester and year
+ * @access Teacher or Admin
+ */
+export const bulkEnrollStudents = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { studentIds = [], enrollmentNos = [], match } = req.body;
+
+    await assertCanManageClass(classId, req.user);
+
+    const errors = [];
+    const students = new Map();
+    const studentQuery = { role: 'student', isActive: true, deletedAt: null };
+
+    if (studentIds.length) {
+      const found = await User.find({ ...studentQuery, _id: { $in: studentIds } }).select('_id');
+      found.forEach((student) => students.set(student._id.toString(), student));
+      studentIds
+        .filter((id) => !students.has(id))
+        .forEach((id) => errors.push({ studentId: id, error: 'Active student not found' }));
+    }
+
+    if (enrollmentNos.length) {
+      const found = await User.find({ ...studentQuery, enrollmentNo: { $in: enrollmentNos } }).select('_id enrollmentNo');
+      found.forEach((student) => students.set(student._id.toString(), student));
+      const foundNos = new Set(found.map((student) => student.enrollmentNo));
+      enrollmentNos
+        .filter((enrollmentNo) => !foundNos.has(enrollmentNo))
+        .forEach((enrollmentNo) => errors.push({ enrollmentNo, error: 'Active student not found' }));
+    }
+
+    const criteria = {};
+    for (const field of ['division', 'semester', 'year']) {
+      if (match?.[field]) criteria[field] = match[field];
+    }
+    // An empty match would select every active student
+    if (Object.keys(criteria).length) {
+      const found = await User.find({ ...studentQuery, ...criteria }).select('_id');
+      found.forEach((student) => students.set(student._id.toString(), student));
+    }
+
+    const enrolled = [];
+    const reactivated = [];
+    const alreadyEnrolled = [];
+    for (const studentId of students.keys()) {
+      try {
+        const { status } = await enrollStudentInClass(classId, studentId, {
+          performedBy: req.user._id,
+          reason: 'Bulk enrollment',
+        });
+        if (status === 'enrolled') enrolled.push(studentId);
+        else if (status === 'reactivated') reactivated.push(studentId);
+        else alreadyEnrolled.push(studentId);
+      } catch (error) {
+        errors.push({ studentId, error: error.message });
+      }
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'BULK_ENROLL_STUDENTS',
+      details: {
+        classId,
+        match,
+        enrolled: enrolled.length,
+        reactivated: reactivated.length,
+        alreadyEnrolled: alreadyEnrolled.length,
+        failed: errors.length,
+        studentIds: [...enrolled, ...reactivated],
+      },
+      status: enrolled.length || reactivated.length ? 'success' : 'failed',
+    }).save();
+
+    res.json({ enrolled, reactivated, alreadyEnrolled, errors });
+  } catch (err) {
+    logger.error('Bulk enrollment error:', err);
+    res.status(enrollmentErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/classes/:id/students/:studentId/withdraw
+ * @desc Withdraw a student from a class; the enrollment is kept as inactive
+ * @access Teacher or Admin
+ */
+export const withdrawStudent = async (req, res) => {
+  try {
+    const { id: classId, studentId } = req.params;
+    const { reason } = req.body;
+
+    await assertCanManageClass(classId, req.user);
+
+    const enrollment = await withdrawStudentFromClass(classId, studentId, {
+      performedBy: req.user._id,
+      reason,
+    });
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'WITHDRAW_STUDENT',
+      details: { classId, studentId, reason },
+      status: 'success',
+    }).save();
+
+    res.json({ message: 'Student withdrawn from class', enrollment });
+  } catch (err) {
+    logger.error('Withdraw student error:', err);
+    res.status(enrollmentErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/classes/:id/students/:studentId/transfer
+ * @desc Move a student to another division of the same subject and semester
+ * @access Teacher or Admin (of both classes)
+ */
+export const transferStudent = async (req, res) => {
+  try {
+    const { id: classId, studentId } = req.params;
+    const { toClassId, reason } = req.body;
+
+    const fromClass = await assertCanManageClass(classId, req.user);
+    if (!(await Class.exists({ _id: toClassId }))) {
+      throw new Error('Target class not found');
+    }
+    const toClass = await assertCanManageClass(toClassId, req.user);
+
+    if (toClass.subjectCode !== fromClass.subjectCode || toClass.semester !== fromClass.semester) {
+      throw new Error('Students can only be transferred between divisions of the same subject and semester');
+    }
+    if (toClass.division === fromClass.division) {
+      throw new Error('Target class is in the same division');
+    }
+
+    const current = await ClassEnrollment.findOne({ classId, studentId, isActive: true });
+    if (!current) {
+      throw new Error('Student is not enrolled in this class');
+    }
+
+    // Enroll into the target first so a failure never leaves the student without a class
+    const { status } = await enrollStudentInClass(toClassId, studentId, {
+      performedBy: req.user._id,
+      action: 'transferred_in',
+      reason,
+      relatedClassId: classId,
+    });
+    if (status === 'existing') {
+      throw new Error('Student is already enrolled in the target class');
+    }
+
+    await withdrawStudentFromClass(classId, studentId, {
+      performedBy: req.user._id,
+      action: 'transferred_out',
+      reason,
+      relatedClassId: toClassId,
+    });
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'TRANSFER_STUDENT',
+      details: {
+        studentId,
+        fromClassId: classId,
+        toClassId,
+        fromDivision: fromClass.division,
+        toDivision: toClass.division,
+        reason,
+      },
+      status: 'success',
+    }).save();
+
+    res.json({
+      message: `Student transferred from division ${fromClass.division} to ${toClass.division}`,
+      fromClassId: classId,
+      toClassId,
+    });
+  } catch (err) {
+    logger.error('Transfer student error:', err);
+    res.status(enrollmentErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/classes/:id/enrollments/history
+ * @desc Get all enrollments of a class, including withdrawn ones, with their history
+ * @access Teacher or Admin
+ */
+export const getEnrollmentHistory = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { studentId, status = 'all' } = req.query;
+
+    await assertCanManageClass(classId, req.user);
+
+    const query = { classId };
+    if (studentId) query.studentId = studentId;
+    if (status !== 'all') query.isActive = status === 'active';
+
+    const enrollments = await ClassEnrollment.find(query)
+      .populate('studentId', 'fullName email enrollmentNo division')
+      .populate('history.performedBy', 'fullName email')
+      .populate('history.relatedClassId', 'subjectCode division semester')
+      .sort({ updatedAt: -1 });
+
+    res.json(enrollments);
+  } catch (err) {
+    logger.error('Get enrollment history error:', err);
+    res.status(enrollmentErrorStatus(err)).json({ error: err.message });
   }
 };
 
 /**
  * @route GET /api/classes
- * @desc Get all classes for the authenticated user
+ * @desc Get all classes for the authenticated user; archived classes only with `includeArchived=true`
  * @access Teacher or Student
  */
 export const getClasses = async (req, res) => {
   try {
+    const includeArchived = req.query.includeArchived === 'true';
     let classes;
     if (req.user.role === 'teacher' || req.user.role === 'admin') {
       const classTeachers = await ClassTeacher.find({ teacherId: req.user._id }).populate(
         'classId',
-        'classNumber subjectCode subjectName classYear semester division teacherId'
+        'classNumber subjectCode subjectName classYear semester division teacherId termId archivedAt'
       );
       classes = classTeachers.map((ct) => ct.classId).filter((c) => c);
       if (classes.length < classTeachers.length) {
         logger.warn('Some classes not found for teacher:', { userId: req.user._id });
       }
     } else {
-      const enrollments = await ClassEnrollment.find({ studentId: req.user._id }).populate(
+      const enrollments = await ClassEnrollment.find({ studentId: req.user._id, isActive: true }).populate(
         'classId',
-        'classNumber subjectCode subjectName classYear semester division teacherId'
+        'classNumber subjectCode subjectName classYear semester division teacherId termId archivedAt'
       );
       classes = enrollments.map((e) => e.classId).filter((c) => c);
       if (classes.length < enrollments.length) {
@@ -130,6 +370,10 @@ export const getClasses = async (req, res) => {
       }
     }
 
+    if (!includeArchived) {
+      classes = classes.filter((c) => !c.archivedAt);
+    }
+
     // Populate teacher details
     await Class.populate(classes, { path: 'teacherId', select: 'fullName email' });
 
@@ -154,11 +398,7 @@ export const getClassById = async (req, res) => {
     }
 
     // Verify user has access
-    const isTeacher = await ClassTeacher.findOne({ classId, teacherId: req.user._id });
-    const isStudent = await ClassEnrollment.findOne({ classId, studentId: req.user._id });
-    if (!isTeacher && !isStudent && req.user.role !== 'admin') {
-      throw new Error('Not authorized to access this class');
-    }
+    await assertClassAccess(req.user, classId, 'view', { allowStudents: true });
 
     const classObj = await Class.findById(classId).populate('teacherId', 'fullName email');
     if (!classObj) {
@@ -170,6 +410,8 @@ export const getClassById = async (req, res) => {
     logger.error('Get class by ID error:', err);
     if (err.message === 'Class not found') {
       res.status(404).json({ error: err.message });
+    } else if (err.message === CLASS_ACCESS_DENIED) {
+      res.status(403).json({ error: err.message });
     } else {
       res.status(400).json({ error: err.message })
     }
@@ -191,15 +433,12 @@ export const updateClass = async (req, res) => {
     }
 
     // Verify user is authorized
-    const classTeacher = await ClassTeacher.findOne({ classId, teacherId: req.user._id });
-    if (!classTeacher && req.user.role !== 'admin') {
-      throw new Error('Not authorized to update this class');
-    }
+    await assertClassAccess(req.user, classId, 'manage');
 
-    // Update class    
+    // Update class; ownership only changes through the teacher assignment endpoints
     const updatedClass = await Class.findByIdAndUpdate(
       classId,
-      { classNumber, subjectCode, subjectName, classYear, semester, division, teacherId: req.user._id },
+      { classNumber, subjectCode, subjectName, classYear, semester, division },
       { new: true, runValidators: true }
     ).populate('teacherId', 'fullName email');
 
@@ -219,6 +458,8 @@ export const updateClass = async (req, res) => {
     logger.error('Update class error:', err);
     if (err.message === 'Class not found') {
       res.status(404).json({ error: err.message });
+    } else if (err.message === CLASS_ACCESS_DENIED) {
+      res.status(403).json({ error: err.message });
     } else {
       res.status(400).json({ error: err.message });
     }
@@ -244,10 +485,7 @@ export const getClassStudents = async (req, res) => {
     }
 
     // Verify user is authorized to access this class
-    const classTeacher = await ClassTeacher.findOne({ classId, teacherId: req.user._id });
-    if (!classTeacher && req.user.role !== 'admin') {
-      throw new Error('Not authorized to access this class');
-    }
+    await assertClassAccess(req.user, classId, 'view');
 
     // Get all enrollments for this class with student details
     const enrollments = await ClassEnrollment.find({ classId, isActive: true })
@@ -268,8 +506,10 @@ export const getClassStudents = async (req, res) => {
     res.json(students);
   } catch (err) {
     logger.error('Get class students error:', err);
-    if (err.message === 'Class not found' || err.message === 'Not authorized to access this class') {
+    if (err.message === 'Class not found') {
       res.status(404).json({ error: err.message });
+    } else if (err.message === CLASS_ACCESS_DENIED) {
+      res.status(403).json({ error: err.message });
     } else {
       res.status(400).json({ error: err.message });
     }
@@ -284,11 +524,8 @@ export const deleteClass = async (req, res) => {
       throw new Error('Invalid class ID');
     }
 
-    // Verify user is authorized
-    const classTeacher = await ClassTeacher.findOne({ classId, teacherId: req.user._id });
-    if (!classTeacher && req.user.role !== 'admin') {
-      throw new Error('Not authorized to delete this class');
-    }
+    // Only the owner or an admin may delete the class
+    await assertClassAccess(req.user, classId, 'assign');
 
     // Delete class
     const deletedClass = await Class.findByIdAndDelete(classId);
@@ -299,6 +536,10 @@ export const deleteClass = async (req, res) => {
     // Delete related records
     await ClassTeacher.deleteMany({ classId });
     await ClassEnrollment.deleteMany({ classId });
+    await ClassJoinCode.deleteMany({ classId });
+    await ClassJoinRequest.deleteMany({ classId });
+    await ScheduleException.deleteMany({ classId });
+    await ClassSession.deleteMany({ classId });
 
     // Log class deletion
     await new AuditLog({
@@ -312,6 +553,8 @@ export const deleteClass = async (req, res) => {
     logger.error('Delete class error:', err);
     if (err.message === 'Class not found') {
       res.status(404).json({ error: err.message });
+    } else if (err.message === CLASS_ACCESS_DENIED) {
+      res.status(403).json({ error: err.message });
     } else {
       res.status(400).json({ error: err.message });
     }
@@ -332,12 +575,7 @@ export const getClassSchedule = async (req, res) => {
     }
 
     // Verify user has access to this class
-    const isTeacher = await ClassTeacher.findOne({ classId, teacherId: req.user._id });
-    const isStudent = await ClassEnrollment.findOne({ classId, studentId: req.user._id, isActive: true });
-    
-    if (!isTeacher && !isStudent && req.user.role !== 'admin') {
-      throw new Error('Not authorized to access this class');
-    }
+    await assertClassAccess(req.user, classId, 'view', { allowStudents: true });
 
     // Get schedules for this class
     const schedules = await Schedule.find({ classId, isActive: true })
@@ -347,7 +585,7 @@ export const getClassSchedule = async (req, res) => {
     res.json(schedules);
   } catch (err) {
     logger.error('Get class schedule error:', err);
-    if (err.message === 'Not authorized to access this class') {
+    if (err.message === CLASS_ACCESS_DENIED) {
       res.status(403).json({ error: err.message });
     } else {
       res.status(400).json({ error: err.message });
@@ -369,12 +607,7 @@ export const getClassmates = async (req, res) => {
     }
 
     // Verify user has access to this class
-    const isTeacher = await ClassTeacher.findOne({ classId, teacherId: req.user._id });
-    const isStudent = await ClassEnrollment.findOne({ classId, studentId: req.user._id, isActive: true });
-    
-    if (!isTeacher && !isStudent && req.user.role !== 'admin') {
-      throw new Error('Not authorized to access this class');
-    }
+    await assertClassAccess(req.user, classId, 'view', { allowStudents: true });
 
     // Get all active enrollments for this class
     const enrollments = await ClassEnrollment.find({ classId, isActive: true })
@@ -402,10 +635,254 @@ export const getClassmates = async (req, res) => {
     res.json(classmates);
   } catch (err) {
     logger.error('Get classmates error:', err);
-    if (err.message === 'Not authorized to access this class') {
+    if (err.message === CLASS_ACCESS_DENIED) {
+      res.status(403).json({ error: err.message });
+    } else {
+      res.status(400).json({ error: err.message });
+    }
+  }
+};
+
+/**
+ * @route PUT /api/classes/:id/face-verification
+ * @desc Configure face verification and similarity thresholds for a class
+ * @access Teacher or Admin
+ */
+export const updateFaceVerificationSettings = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { enabled, acceptThreshold, rejectThreshold } = req.body;
+
+    if (!mongoose.isValidObjectId(classId)) {
+      throw new Error('Invalid class ID');
+    }
+
+    // Verify user is authorized
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const classObj = await Class.findById(classId);
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+
+    const current = classObj.faceVerification || {};
+    const settings = {
+      enabled: enabled ?? current.enabled,
+      acceptThreshold: acceptThreshold ?? current.acceptThreshold,
+      rejectThreshold: rejectThreshold ?? current.rejectThreshold,
+    };
+    const effective = getFaceVerificationSettings({ faceVerification: settings });
+    if (effective.acceptThreshold < effective.rejectThreshold) {
+      throw new Error('Accept threshold must not be lower than reject threshold');
+    }
+
+    classObj.faceVerification = settings;
+    await classObj.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UPDATE_FACE_VERIFICATION_SETTINGS',
+      details: { classId, ...settings },
+      status: 'success',
+    }).save();
+
+    res.json({ classId, faceVerification: getFaceVerificationSettings(classObj) });
+  } catch (err) {
+    logger.error('Update face verification settings error:', err);
+    if (err.message === 'Class not found') {
+      res.status(404).json({ error: err.message });
+    } else if (err.message.includes('Not authorized')) {
       res.status(403).json({ error: err.message });
     } else {
       res.status(400).json({ error: err.message });
     }
   }
-};
\ No newline at end of file
+};
+
+// Make the teacher the owner; any previous owner stays on as a co-teacher
+const transferClassOwnership = async (classObj, teacherId) => {
+  await ClassTeacher.updateMany(
+    { classId: classObj._id, role: 'owner', teacherId: { $ne: teacherId } },
+    { $set: { role: 'co_teacher' } }
+  );
+  await ClassTeacher.updateOne({ classId: classObj._id, teacherId }, { $set: { role: 'owner' } });
+  classObj.teacherId = teacherId;
+  await classObj.save();
+};
+
+const teacherErrorStatus = (err) => {
+  if (['Class not found', 'Teacher not found', 'Teacher is not assigned to this class'].includes(err.message)) return 404;
+  if (err.message === CLASS_ACCESS_DENIED) return 403;
+  if (err.message === 'Teacher is already assigned to this class') return 409;
+  return 400;
+};
+
+/**
+ * @route GET /api/classes/:id/teachers
+ * @desc List the teachers of a class with their roles
+ * @access Teacher or Admin
+ */
+export const getClassTeachers = async (req, res) => {
+  try {
+    const classId = req.params.id;
+
+    const classObj = await Class.findById(classId);
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+    await assertClassAccess(req.user, classId, 'view');
+
+    const assignments = await ClassTeacher.find({ classId })
+      .populate('teacherId', 'fullName email')
+      .populate('assignedBy', 'fullName email')
+      .sort({ assignedAt: 1 });
+
+    res.json(assignments.filter((a) => a.teacherId).map((a) => ({
+      _id: a.teacherId._id,
+      fullName: a.teacherId.fullName,
+      email: a.teacherId.email,
+      // Assignments made before roles existed, see utils/classAccess.js
+      role: a.role || (a.teacherId._id.equals(classObj.teacherId) ? 'owner' : 'co_teacher'),
+      assignedBy: a.assignedBy,
+      assignedAt: a.assignedAt,
+    })));
+  } catch (err) {
+    logger.error('Get class teachers error:', err);
+    res.status(teacherErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/classes/:id/teachers
+ * @desc Assign a teacher to a class as owner, co-teacher or TA
+ * @access Class owner or Admin
+ */
+export const assignClassTeacher = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { teacherId, role } = req.body;
+
+    const classObj = await Class.findById(classId);
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+    await assertClassAccess(req.user, classId, 'assign');
+
+    const teacher = await User.findOne({ _id: teacherId, role: 'teacher', deletedAt: null });
+    if (!teacher) {
+      throw new Error('Teacher not found');
+    }
+    if (!teacher.isActive) {
+      throw new Error('Teacher account is deactivated');
+    }
+    if (await ClassTeacher.exists({ classId, teacherId })) {
+      throw new Error('Teacher is already assigned to this class');
+    }
+
+    await new ClassTeacher({
+      classId,
+      teacherId,
+      role: role === 'owner' ? 'co_teacher' : role,
+      assignedBy: req.user._id,
+    }).save();
+    if (role === 'owner') {
+      await transferClassOwnership(classObj, teacherId);
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'ASSIGN_CLASS_TEACHER',
+      details: { classId, teacherId, role },
+      status: 'success',
+    }).save();
+
+    res.status(201).json({ classId, teacherId, role });
+  } catch (err) {
+    logger.error('Assign class teacher error:', err);
+    res.status(teacherErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PATCH /api/classes/:id/teachers/:teacherId
+ * @desc Change the role of a teacher in a class; assigning owner transfers ownership
+ * @access Class owner or Admin
+ */
+export const updateClassTeacherRole = async (req, res) => {
+  try {
+    const { id: classId, teacherId } = req.params;
+    const { role } = req.body;
+
+    const classObj = await Class.findById(classId);
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+    await assertClassAccess(req.user, classId, 'assign');
+
+    const previousRole = await getClassRole(teacherId, classId);
+    if (!previousRole) {
+      throw new Error('Teacher is not assigned to this class');
+    }
+    if (previousRole === 'owner' && role !== 'owner') {
+      throw new Error('Make another teacher the owner first');
+    }
+
+    if (role === 'owner') {
+      await transferClassOwnership(classObj, teacherId);
+    } else {
+      await ClassTeacher.updateOne({ classId, teacherId }, { $set: { role } });
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UPDATE_CLASS_TEACHER_ROLE',
+      details: { classId, teacherId, previousRole, role },
+      status: 'success',
+    }).save();
+
+    res.json({ classId, teacherId, role });
+  } catch (err) {
+    logger.error('Update class teacher role error:', err);
+    res.status(teacherErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route DELETE /api/classes/:id/teachers/:teacherId
+ * @desc Remove a teacher from a class. Teachers may also remove themselves.
+ * @access Class owner or Admin
+ */
+export const removeClassTeacher = async (req, res) => {
+  try {
+    const { id: classId, teacherId } = req.params;
+
+    if (!(await Class.exists({ _id: classId }))) {
+      throw new Error('Class not found');
+    }
+    if (teacherId !== req.user._id.toString()) {
+      await assertClassAccess(req.user, classId, 'assign');
+    }
+
+    const role = await getClassRole(teacherId, classId);
+    if (!role) {
+      throw new Error('Teacher is not assigned to this class');
+    }
+    if (role === 'owner') {
+      throw new Error('The owner cannot be removed; make another teacher the owner first');
+    }
+
+    await ClassTeacher.deleteOne({ classId, teacherId });
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'REMOVE_CLASS_TEACHER',
+      details: { classId, teacherId, role },
+      status: 'success',
+    }).save();
+
+    res.json({ message: 'Teacher removed from class' });
+  } catch (err) {
+    logger.error('Remove class teacher error:', err);
+    res.status(teacherErrorStatus(err)).json({ error: err.message });
+  }
+};
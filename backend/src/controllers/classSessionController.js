@@ -0,0 +1,218 @@
+import logger from '../utils/logger.js';
+import { Class } from '../models/classModel.js';
+import { ClassSession } from '../models/classSessionModel.js';
+import { AcademicTerm } from '../models/academicTermModel.js';
+import { Attendance } from '../models/attendanceModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { assertClassAccess, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import { syncClassSessions } from '../utils/classSessions.js';
+import { startOfDay, endOfDay } from '../utils/calendar.js';
+
+const MAX_GENERATE_DAYS = 366;
+
+const sessionErrorStatus = (err) => {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === CLASS_ACCESS_DENIED) return 403;
+  if (err.message.includes('already exists')) return 409;
+  return 400;
+};
+
+/**
+ * Date range for a class's sessions: the explicit `startDate`/`endDate`, or
+ * else the dates of the class's term, falling back to the active term.
+ */
+const resolveSessionRange = async (classObj, startDate, endDate) => {
+  const term = classObj.termId
+    ? await AcademicTerm.findById(classObj.termId)
+    : await AcademicTerm.findOne({ isActive: true });
+
+  const from = startDate ? startOfDay(startDate) : term?.startDate;
+  const to = endDate ? endOfDay(endDate) : term && endOfDay(term.endDate);
+  if (!from || !to) {
+    throw new Error('startDate and endDate are required for classes without a term');
+  }
+  if (to < from) {
+    throw new Error('End date must not be before start date');
+  }
+  return { from, to };
+};
+
+// Ends before `now`: the lecture is over
+const hasEnded = (classSession, now) => {
+  const [hours, minutes] = classSession.endTime.split(':').map(Number);
+  const end = new Date(classSession.date);
+  end.setHours(hours, minutes, 0, 0);
+  return end <= now;
+};
+
+/**
+ * @route  GET /api/classes/:id/sessions
+ * @desc   List a class's lectures with their status and attendance counts.
+ *         `attendancePending` marks past lectures nobody took attendance for.
+ * @access Teacher or Admin
+ */
+export const getClassSessions = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { startDate, endDate, status } = req.query;
+
+    const classObj = await Class.findById(classId);
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+    await assertClassAccess(req.user, classId, 'view');
+
+    const { from, to } = await resolveSessionRange(classObj, startDate, endDate);
+    const query = { classId, date: { $gte: from, $lte: to } };
+    if (status) query.status = status;
+
+    const classSessions = await ClassSession.find(query)
+      .populate('teacherId', 'fullName email')
+      .sort({ date: 1, startTime: 1 })
+      .lean();
+
+    const counts = await Attendance.aggregate([
+      { $match: { classSessionId: { $in: classSessions.map((s) => s._id) } } },
+      { $group: { _id: { classSessionId: '$classSessionId', status: '$status' }, count: { $sum: 1 } } },
+    ]);
+    const countsBySession = new Map();
+    for (const { _id, count } of counts) {
+      const key = _id.classSessionId.toString();
+      if (!countsBySession.has(key)) {
+        countsBySession.set(key, { present: 0, late: 0, absent: 0, excused: 0 });
+      }
+      countsBySession.get(key)[_id.status] = count;
+    }
+
+    const now = new Date();
+    res.json(classSessions.map((classSession) => ({
+      ...classSession,
+      attendance: countsBySession.get(classSession._id.toString()) || { present: 0, late: 0, absent: 0, excused: 0 },
+      attendanceTaken: Boolean(classSession.attendanceTakenAt),
+      attendancePending: classSession.status === 'scheduled' && hasEnded(classSession, now),
+    })));
+  } catch (err) {
+    logger.error('Get class sessions error:', err);
+    res.status(sessionErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  POST /api/classes/:id/sessions/generate
+ * @desc   Generate the class's lectures from its active schedules, for its term
+ *         or the given range. Safe to re-run after schedule changes.
+ * @access Teacher or Admin
+ */
+export const generateClassSessions = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { startDate, endDate } = req.body;
+
+    const classObj = await Class.findById(classId);
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const { from, to } = await resolveSessionRange(classObj, startDate, endDate);
+    if (to - from > MAX_GENERATE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new Error(`Cannot generate more than ${MAX_GENERATE_DAYS} days of sessions`);
+    }
+
+    const result = await syncClassSessions([classObj._id], from, to);
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'GENERATE_CLASS_SESSIONS',
+      details: { classId, from, to, ...result },
+      status: 'success',
+    }).save();
+
+    res.json({ startDate: from, endDate: to, ...result });
+  } catch (err) {
+    logger.error('Generate class sessions error:', err);
+    res.status(sessionErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  POST /api/classes/:id/sessions
+ * @desc   Add an extra lecture outside the weekly schedule
+ * @access Teacher or Admin
+ */
+export const createClassSession = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { date, startTime, endTime, roomNumber, sessionType = 'lecture' } = req.body;
+
+    const classObj = await Class.findById(classId);
+    if (!classObj) {
+      throw new Error('Class not found');
+    }
+    if (classObj.archivedAt) {
+      throw new Error('Class is archived');
+    }
+    await assertClassAccess(req.user, classId, 'manage');
+    if (endTime <= startTime) {
+      throw new Error('End time must be after start time');
+    }
+
+    const day = startOfDay(date);
+    if (await ClassSession.exists({ classId, date: day, startTime })) {
+      throw new Error('A lecture already exists at this time');
+    }
+
+    const classSession = await ClassSession.create({
+      classId,
+      termId: classObj.termId,
+      teacherId: req.user.role === 'teacher' ? req.user._id : classObj.teacherId,
+      sessionType,
+      date: day,
+      startTime,
+      endTime,
+      roomNumber,
+      createdBy: req.user._id,
+    });
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'CREATE_CLASS_SESSION',
+      details: { classId, classSessionId: classSession._id, date: day, startTime },
+      status: 'success',
+    }).save();
+
+    res.status(201).json(classSession);
+  } catch (err) {
+    logger.error('Create class session error:', err);
+    res.status(sessionErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  POST /api/terms/:id/sessions/generate
+ * @desc   Generate the lectures of every class in a term from its active schedules
+ * @access Admin only
+ */
+export const generateTermSessions = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      throw new Error('Term not found');
+    }
+
+    const classIds = await Class.find({ termId: term._id, archivedAt: null }).distinct('_id');
+    const result = await syncClassSessions(classIds, term.startDate, term.endDate);
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'GENERATE_TERM_SESSIONS',
+      details: { termId: term._id, classCount: classIds.length, ...result },
+      status: 'success',
+    }).save();
+
+    res.json({ classCount: classIds.length, ...result });
+  } catch (err) {
+    logger.error('Generate term sessions error:', err);
+    res.status(sessionErrorStatus(err)).json({ error: err.message });
+  }
+};
@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { User } from '../models/userModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { ClassTeacher } from '../models/classTeacherModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+
+// IDs of students enrolled in any class the teacher teaches
+const getTeacherStudentIds = async (teacherId) => {
+  const classTeachers = await ClassTeacher.find({ teacherId }).select('classId');
+  const enrollments = await ClassEnrollment.find({
+    classId: { $in: classTeachers.map((ct) => ct.classId) },
+    isActive: true,
+  }).select('studentId');
+  return [...new Set(enrollments.map((e) => e.studentId.toString()))];
+};
+
+/**
+ * @route POST /api/face-enrollments
+ * @desc Submit a reference face embedding for approval
+ * @access Student only
+ */
+export const submitFaceEnrollment = async (req, res) => {
+  try {
+    const { faceEmbedding } = req.body;
+
+    const user = await User.findById(req.user._id);
+    user.faceEnrollment = {
+      status: 'pending',
+      pendingEmbedding: faceEmbedding,
+      submittedAt: new Date(),
+    };
+    await user.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'SUBMIT_FACE_ENROLLMENT',
+      details: { embeddingLength: faceEmbedding.length },
+      status: 'success',
+    }).save();
+
+    res.status(201).json({
+      message: 'Face enrollment submitted for approval',
+      faceEnrollment: {
+        status: user.faceEnrollment.status,
+        submittedAt: user.faceEnrollment.submittedAt,
+      },
+    });
+  } catch (err) {
+    logger.error('Submit face enrollment error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/face-enrollments/me
+ * @desc Get the current student's face enrollment status
+ * @access Student only
+ */
+export const getMyFaceEnrollment = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('faceEnrollment')
+      .populate('faceEnrollment.reviewedBy', 'fullName email');
+
+    res.json({
+      faceEnrollment: user.faceEnrollment,
+      hasReferenceEmbedding: req.user.faceEmbedding.length > 0,
+    });
+  } catch (err) {
+    logger.error('Get my face enrollment error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/face-enrollments
+ * @desc List face enrollments of the teacher's students, or all of them for admins
+ * @access Teacher or Admin
+ */
+export const getFaceEnrollments = async (req, res) => {
+  try {
+    const { status = 'pending', limit = 50, offset = 0 } = req.query;
+    const query = { role: 'student', 'faceEnrollment.status': status };
+
+    if (req.user.role !== 'admin') {
+      query._id = { $in: await getTeacherStudentIds(req.user._id) };
+    }
+
+    const total = await User.countDocuments(query);
+    const students = await User.find(query)
+      .select('fullName enrollmentNo email profilePictureUrl faceEnrollment')
+      .populate('faceEnrollment.reviewedBy', 'fullName email')
+      .sort({ 'faceEnrollment.submittedAt': 1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit));
+
+    res.json({
+      students,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: total > parseInt(offset) + parseInt(limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Get face enrollments error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PATCH /api/face-enrollments/:userId
+ * @desc Approve or reject a pending face enrollment
+ * @access Teacher of the student or Admin
+ */
+export const reviewFaceEnrollment = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { decision, comments } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    const user = await User.findOne({ _id: userId, role: 'student' }).select('+faceEnrollment.pendingEmbedding');
+    if (!user) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    if (req.user.role !== 'admin') {
+      const studentIds = await getTeacherStudentIds(req.user._id);
+      if (!studentIds.includes(userId)) {
+        return res.status(403).json({ error: 'Not authorized for this student' });
+      }
+    }
+
+    if (user.faceEnrollment?.status !== 'pending') {
+      return res.status(409).json({ error: 'No pending face enrollment for this student' });
+    }
+
+    // Approval promotes the pending embedding to the reference used at check-in
+    if (decision === 'approved') {
+      user.faceEmbedding = user.faceEnrollment.pendingEmbedding;
+    }
+    user.faceEnrollment.status = decision;
+    user.faceEnrollment.pendingEmbedding = undefined;
+    user.faceEnrollment.reviewedBy = req.user._id;
+    user.faceEnrollment.reviewedAt = new Date();
+    user.faceEnrollment.reviewComments = comments;
+    await user.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: decision === 'approved' ? 'APPROVE_FACE_ENROLLMENT' : 'REJECT_FACE_ENROLLMENT',
+      details: { studentId: user._id, comments },
+      status: 'success',
+    }).save();
+
+    res.json({
+      studentId: user._id,
+      faceEnrollment: {
+        status: user.faceEnrollment.status,
+        submittedAt: user.faceEnrollment.submittedAt,
+        reviewedBy: user.faceEnrollment.reviewedBy,
+        reviewedAt: user.faceEnrollment.reviewedAt,
+        reviewComments: user.faceEnrollment.reviewComments,
+      },
+    });
+  } catch (err) {
+    logger.error('Review face enrollment error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
@@ -0,0 +1,377 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { Grade, ASSIGNMENT_TYPES, calculateLetterGrade } from '../models/gradeModel.js';
+import { Class } from '../models/classModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { assertClassAccess } from '../utils/classAccess.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const getClassWeights = (classObj) =>
+  classObj?.gradeWeights ? Object.fromEntries(classObj.gradeWeights) : {};
+
+/**
+ * Builds per-assignment-type averages and a weighted course total.
+ * Types without a configured weight are ignored once any weight is set;
+ * with no weights at all every graded type counts equally.
+ */
+const summarizeGrades = (grades, weights = {}) => {
+  const byType = {};
+  for (const grade of grades) {
+    const bucket = byType[grade.assignmentType] || { count: 0, score: 0, maxScore: 0 };
+    bucket.count += 1;
+    bucket.score += grade.score;
+    bucket.maxScore += grade.maxScore;
+    byType[grade.assignmentType] = bucket;
+  }
+
+  const hasWeights = Object.keys(weights).length > 0;
+  const typeAverages = {};
+  let weightedSum = 0;
+  let weightTotal = 0;
+
+  for (const [type, bucket] of Object.entries(byType)) {
+    const average = round2((bucket.score / bucket.maxScore) * 100);
+    const weight = hasWeights ? (weights[type] || 0) : 1;
+    typeAverages[type] = { count: bucket.count, average, weight: hasWeights ? weight : null };
+    weightedSum += average * weight;
+    weightTotal += weight;
+  }
+
+  const percentage = weightTotal > 0 ? round2(weightedSum / weightTotal) : null;
+  return {
+    typeAverages,
+    courseTotal: {
+      percentage,
+      grade: percentage === null ? null : calculateLetterGrade(percentage),
+    },
+  };
+};
+
+/**
+ * @route POST /api/grades/bulk
+ * @desc Create grades for a whole class for one assignment
+ * @access Teacher of the class or Admin
+ */
+export const createBulkGrades = async (req, res) => {
+  try {
+    const { classId, assignmentName, assignmentType, maxScore, date, isPublished = false, grades } = req.body;
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const enrollments = await ClassEnrollment.find({ classId, isActive: true }).select('studentId');
+    const enrolledIds = new Set(enrollments.map((e) => e.studentId.toString()));
+
+    const created = [];
+    const errors = [];
+
+    for (const entry of grades) {
+      try {
+        if (!enrolledIds.has(entry.studentId)) {
+          throw new Error('Student not enrolled in this class');
+        }
+
+        const existing = await Grade.findOne({ classId, assignmentName, studentId: entry.studentId });
+        if (existing) {
+          throw new Error('Grade already exists for this assignment');
+        }
+
+        const grade = new Grade({
+          studentId: entry.studentId,
+          classId,
+          gradedBy: req.user._id,
+          assignmentName,
+          assignmentType,
+          score: entry.score,
+          maxScore,
+          comments: entry.comments,
+          date,
+          isPublished,
+        });
+        await grade.save();
+        created.push(grade);
+      } catch (error) {
+        errors.push({ studentId: entry.studentId, error: error.message });
+      }
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'CREATE_BULK_GRADES',
+      details: { classId, assignmentName, assignmentType, created: created.length, failed: errors.length },
+      status: created.length ? 'success' : 'failed',
+    }).save();
+
+    res.status(created.length ? 201 : 400).json({ success: created, errors });
+  } catch (err) {
+    logger.error('Bulk create grades error:', err);
+    res.status(err.message.includes('Not authorized') ? 403 : 400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PUT /api/grades/:id
+ * @desc Edit a grade
+ * @access Teacher of the class or Admin
+ */
+export const updateGrade = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { score, maxScore, comments, assignmentName, assignmentType, date } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid grade ID');
+    }
+
+    const grade = await Grade.findById(id);
+    if (!grade) {
+      return res.status(404).json({ error: 'Grade not found' });
+    }
+
+    await assertClassAccess(req.user, grade.classId, 'manage');
+
+    const previous = { score: grade.score, maxScore: grade.maxScore };
+
+    if (score !== undefined) grade.score = score;
+    if (maxScore !== undefined) grade.maxScore = maxScore;
+    if (comments !== undefined) grade.comments = comments;
+    if (assignmentName !== undefined) grade.assignmentName = assignmentName;
+    if (assignmentType !== undefined) grade.assignmentType = assignmentType;
+    if (date !== undefined) grade.date = date;
+    grade.gradedBy = req.user._id;
+
+    await grade.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UPDATE_GRADE',
+      details: {
+        gradeId: grade._id,
+        classId: grade.classId,
+        studentId: grade.studentId,
+        from: previous,
+        to: { score: grade.score, maxScore: grade.maxScore },
+      },
+      status: 'success',
+    }).save();
+
+    res.json(grade);
+  } catch (err) {
+    logger.error('Update grade error:', err);
+    res.status(err.message.includes('Not authorized') ? 403 : 400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PATCH /api/grades/publish
+ * @desc Publish or unpublish all grades of an assignment
+ * @access Teacher of the class or Admin
+ */
+export const publishGrades = async (req, res) => {
+  try {
+    const { classId, assignmentName, isPublished = true } = req.body;
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const result = await Grade.updateMany({ classId, assignmentName }, { $set: { isPublished } });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'No grades found for this assignment' });
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: isPublished ? 'PUBLISH_GRADES' : 'UNPUBLISH_GRADES',
+      details: { classId, assignmentName, gradesUpdated: result.modifiedCount },
+      status: 'success',
+    }).save();
+
+    res.json({
+      message: isPublished ? 'Grades published successfully' : 'Grades unpublished successfully',
+      updatedCount: result.modifiedCount,
+    });
+  } catch (err) {
+    logger.error('Publish grades error:', err);
+    res.status(err.message.includes('Not authorized') ? 403 : 400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/grades/class/:classId
+ * @desc Get the gradebook of a class with per-student summaries
+ * @access Teacher of the class or Admin
+ */
+export const getClassGradebook = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { assignmentType, assignmentName } = req.query;
+
+    if (!mongoose.isValidObjectId(classId)) {
+      throw new Error('Invalid classId');
+    }
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const classObj = await Class.findById(classId);
+    if (!classObj) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    const query = { classId };
+    if (assignmentType) query.assignmentType = assignmentType;
+    if (assignmentName) query.assignmentName = assignmentName;
+
+    const grades = await Grade.find(query)
+      .populate('studentId', 'fullName enrollmentNo email')
+      .sort({ date: -1, assignmentName: 1 });
+
+    const weights = getClassWeights(classObj);
+    const gradesByStudent = new Map();
+    for (const grade of grades) {
+      if (!grade.studentId) continue;
+      const key = grade.studentId._id.toString();
+      if (!gradesByStudent.has(key)) {
+        gradesByStudent.set(key, { student: grade.studentId, grades: [] });
+      }
+      gradesByStudent.get(key).grades.push(grade);
+    }
+
+    const students = [...gradesByStudent.values()].map(({ student, grades: studentGrades }) => ({
+      student,
+      ...summarizeGrades(studentGrades, weights),
+    }));
+
+    res.json({
+      weights,
+      classSummary: summarizeGrades(grades, weights),
+      students,
+      grades,
+    });
+  } catch (err) {
+    logger.error('Get class gradebook error:', err);
+    res.status(err.message.includes('Not authorized') ? 403 : 400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/grades/my
+ * @desc Get the current student's published grades with summaries per class
+ * @access Student only
+ */
+export const getMyGrades = async (req, res) => {
+  try {
+    const { classId } = req.query;
+    const query = { studentId: req.user._id, isPublished: true };
+    if (classId) query.classId = classId;
+
+    const grades = await Grade.find(query)
+      .select('-gradedBy')
+      .populate('classId', 'classNumber subjectCode subjectName gradeWeights')
+      .sort({ date: -1 });
+
+    const gradesByClass = new Map();
+    for (const grade of grades) {
+      if (!grade.classId) continue;
+      const key = grade.classId._id.toString();
+      if (!gradesByClass.has(key)) {
+        gradesByClass.set(key, { classObj: grade.classId, grades: [] });
+      }
+      gradesByClass.get(key).grades.push(grade);
+    }
+
+    const classes = [...gradesByClass.values()].map(({ classObj, grades: classGrades }) => ({
+      class: {
+        _id: classObj._id,
+        classNumber: classObj.classNumber,
+        subjectCode: classObj.subjectCode,
+        subjectName: classObj.subjectName,
+      },
+      ...summarizeGrades(classGrades, getClassWeights(classObj)),
+      grades: classGrades.map((grade) => {
+        const { classId, ...rest } = grade.toObject();
+        return rest;
+      }),
+    }));
+
+    res.json(classes);
+  } catch (err) {
+    logger.error('Get my grades error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/grades/class/:classId/weights
+ * @desc Get the assignment type weights of a class
+ * @access Teacher of the class or Admin
+ */
+export const getGradeWeights = async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    if (!mongoose.isValidObjectId(classId)) {
+      throw new Error('Invalid classId');
+    }
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const classObj = await Class.findById(classId);
+    if (!classObj) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    res.json({ classId, weights: getClassWeights(classObj) });
+  } catch (err) {
+    logger.error('Get grade weights error:', err);
+    res.status(err.message.includes('Not authorized') ? 403 : 400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PUT /api/grades/class/:classId/weights
+ * @desc Set the assignment type weights of a class
+ * @access Teacher of the class or Admin
+ */
+export const updateGradeWeights = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { weights } = req.body;
+
+    if (!mongoose.isValidObjectId(classId)) {
+      throw new Error('Invalid classId');
+    }
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const invalidTypes = Object.keys(weights).filter((type) => !ASSIGNMENT_TYPES.includes(type));
+    if (invalidTypes.length) {
+      throw new Error(`Invalid assignment types: ${invalidTypes.join(', ')}`);
+    }
+
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (Math.abs(total - 100) > 0.01) {
+      throw new Error('Weights must add up to 100');
+    }
+
+    const classObj = await Class.findByIdAndUpdate(
+      classId,
+      { gradeWeights: weights },
+      { new: true, runValidators: true }
+    );
+    if (!classObj) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UPDATE_GRADE_WEIGHTS',
+      details: { classId, weights },
+      status: 'success',
+    }).save();
+
+    res.json({ classId, weights: getClassWeights(classObj) });
+  } catch (err) {
+    logger.error('Update grade weights error:', err);
+    res.status(err.message.includes('Not authorized') ? 403 : 400).json({ error: err.message });
+  }
+};
@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { Class } from '../models/classModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { ClassJoinCode } from '../models/classJoinCodeModel.js';
+import { ClassJoinRequest } from '../models/classJoinRequestModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { assertClassAccess, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import { enrollStudentInClass } from '../utils/enrollment.js';
+import { buildAppUrl } from '../utils/mailer.js';
+
+// No 0/O or 1/I so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateJoinCode = () =>
+  Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+const formatJoinCode = (joinCode) => ({
+  ...joinCode.toObject(),
+  link: buildAppUrl('/join', { code: joinCode.code }),
+});
+
+const joinErrorStatus = (err) => {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === CLASS_ACCESS_DENIED) return 403;
+  if (err.message.toLowerCase().includes('already')) return 409;
+  return 400;
+};
+
+// Throws with a reason when the join code cannot be redeemed by the student
+const assertRedeemable = (joinCode, student, now = new Date()) => {
+  if (joinCode.revokedAt) {
+    throw new Error('Join code has been revoked');
+  }
+  if (joinCode.expiresAt <= now) {
+    throw new Error('Join code has expired');
+  }
+  if (joinCode.maxUses && joinCode.uses >= joinCode.maxUses) {
+    throw new Error('Join code has reached its maximum uses');
+  }
+  const { division, semester } = joinCode.restrictions || {};
+  if (division && student.division !== division) {
+    throw new Error(`Join code is limited to division ${division}`);
+  }
+  if (semester && student.semester !== semester) {
+    throw new Error(`Join code is limited to semester ${semester}`);
+  }
+};
+
+/**
+ * @route POST /api/classes/:id/join-codes
+ * @desc Create an expiring join code for a class
+ * @access Teacher or Admin
+ */
+export const createJoinCode = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { expiresInHours = 168, maxUses, division, semester, requiresApproval = false } = req.body;
+
+    if (!(await Class.exists({ _id: classId }))) {
+      throw new Error('Class not found');
+    }
+    await assertClassAccess(req.user, classId, 'manage');
+
+    let joinCode;
+    // Retry on the rare collision with an existing code
+    for (let attempt = 0; !joinCode; attempt += 1) {
+      try {
+        joinCode = await ClassJoinCode.create({
+          classId,
+          code: generateJoinCode(),
+          createdBy: req.user._id,
+          expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+          restrictions: { division, semester },
+          maxUses,
+          requiresApproval,
+        });
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= 4) throw err;
+      }
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'CREATE_JOIN_CODE',
+      details: { classId, joinCodeId: joinCode._id, expiresAt: joinCode.expiresAt, maxUses, division, semester, requiresApproval },
+      status: 'success',
+    }).save();
+
+    res.status(201).json(formatJoinCode(joinCode));
+  } catch (err) {
+    logger.error('Create join code error:', err);
+    res.status(joinErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/classes/:id/join-codes
+ * @desc List the join codes of a class
+ * @access Teacher or Admin
+ */
+export const getJoinCodes = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { includeInactive = 'false' } = req.query;
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const query = { classId };
+    if (includeInactive !== 'true') {
+      query.revokedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const joinCodes = await ClassJoinCode.find(query)
+      .populate('createdBy', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    res.json(joinCodes.map(formatJoinCode));
+  } catch (err) {
+    logger.error('Get join codes error:', err);
+    res.status(joinErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route DELETE /api/classes/:id/join-codes/:codeId
+ * @desc Revoke a join code; pending requests made with it stay open
+ * @access Teacher or Admin
+ */
+export const revokeJoinCode = async (req, res) => {
+  try {
+    const { id: classId, codeId } = req.params;
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const joinCode = await ClassJoinCode.findOne({ _id: codeId, classId });
+    if (!joinCode) {
+      throw new Error('Join code not found');
+    }
+    if (joinCode.revokedAt) {
+      throw new Error('Join code is already revoked');
+    }
+
+    joinCode.revokedAt = new Date();
+    joinCode.revokedBy = req.user._id;
+    await joinCode.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'REVOKE_JOIN_CODE',
+      details: { classId, joinCodeId: joinCode._id },
+      status: 'success',
+    }).save();
+
+    res.json({ message: 'Join code revoked' });
+  } catch (err) {
+    logger.error('Revoke join code error:', err);
+    res.status(joinErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route POST /api/classes/join
+ * @desc Redeem a join code; enrolls the student or files a request for approval
+ * @access Student
+ */
+export const redeemJoinCode = async (req, res) => {
+  try {
+    const code = req.body.code.trim().toUpperCase();
+
+    const joinCode = await ClassJoinCode.findOne({ code });
+    if (!joinCode) {
+      throw new Error('Join code not found');
+    }
+    const classId = joinCode.classId;
+
+    try {
+      assertRedeemable(joinCode, req.user);
+    } catch (error) {
+      await new AuditLog({
+        userId: req.user._id,
+        action: 'JOIN_CLASS',
+        details: { classId, joinCodeId: joinCode._id, reason: error.message },
+        status: 'failed',
+      }).save();
+      throw error;
+    }
+
+    if (await ClassEnrollment.exists({ classId, studentId: req.user._id, isActive: true })) {
+      throw new Error('Already enrolled in this class');
+    }
+    if (joinCode.requiresApproval && await ClassJoinRequest.exists({ classId, studentId: req.user._id, status: 'pending' })) {
+      throw new Error('A join request for this class is already pending');
+    }
+
+    // Count the use atomically so parallel redemptions cannot exceed maxUses
+    const claimed = await ClassJoinCode.findOneAndUpdate(
+      {
+        _id: joinCode._id,
+        ...(joinCode.maxUses ? { uses: { $lt: joinCode.maxUses } } : {}),
+      },
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('Join code has reached its maximum uses');
+    }
+
+    try {
+      if (joinCode.requiresApproval) {
+        const joinRequest = await ClassJoinRequest.create({
+          classId,
+          studentId: req.user._id,
+          joinCodeId: joinCode._id,
+        });
+
+        await new AuditLog({
+          userId: req.user._id,
+          action: 'REQUEST_JOIN_CLASS',
+          details: { classId, joinCodeId: joinCode._id, joinRequestId: joinRequest._id },
+          status: 'success',
+        }).save();
+
+        return res.status(202).json({ message: 'Join request sent to the teacher for approval', joinRequest });
+      }
+
+      const { status } = await enrollStudentInClass(classId, req.user._id, {
+        performedBy: req.user._id,
+        reason: `Join code ${joinCode.code}`,
+      });
+
+      await new AuditLog({
+        userId: req.user._id,
+        action: 'JOIN_CLASS',
+        details: { classId, joinCodeId: joinCode._id, reactivated: status === 'reactivated' },
+        status: 'success',
+      }).save();
+
+      const classObj = await Class.findById(classId).select('classNumber subjectCode subjectName semester division');
+      res.status(201).json({ message: 'Joined class', class: classObj });
+    } catch (error) {
+      // Give the use back when nothing came of it
+      await ClassJoinCode.updateOne({ _id: joinCode._id }, { $inc: { uses: -1 } });
+      throw error.code === 11000 ? new Error('A join request for this class is already pending') : error;
+    }
+  } catch (err) {
+    logger.error('Redeem join code error:', err);
+    res.status(joinErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/classes/:id/join-requests
+ * @desc List join requests for a class
+ * @access Teacher or Admin
+ */
+export const getJoinRequests = async (req, res) => {
+  try {
+    const classId = req.params.id;
+    const { status = 'pending' } = req.query;
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const joinRequests = await ClassJoinRequest.find({ classId, status })
+      .populate('studentId', 'fullName email enrollmentNo division semester')
+      .populate('joinCodeId', 'code')
+      .populate('reviewedBy', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    res.json(joinRequests);
+  } catch (err) {
+    logger.error('Get join requests error:', err);
+    res.status(joinErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PATCH /api/classes/:id/join-requests/:requestId
+ * @desc Approve or reject a join request; approving enrolls the student
+ * @access Teacher or Admin
+ */
+export const reviewJoinRequest = async (req, res) => {
+  try {
+    const { id: classId, requestId } = req.params;
+    const { decision, comments } = req.body;
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const joinRequest = await ClassJoinRequest.findOne({ _id: requestId, classId });
+    if (!joinRequest) {
+      throw new Error('Join request not found');
+    }
+    if (joinRequest.status !== 'pending') {
+      throw new Error(`Join request has already been ${joinRequest.status}`);
+    }
+
+    if (decision === 'approved') {
+      await enrollStudentInClass(classId, joinRequest.studentId, {
+        performedBy: req.user._id,
+        reason: 'Join request approved',
+      });
+    }
+
+    joinRequest.status = decision;
+    joinRequest.reviewedBy = req.user._id;
+    joinRequest.reviewedAt = new Date();
+    joinRequest.reviewComments = comments;
+    await joinRequest.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: decision === 'approved' ? 'APPROVE_JOIN_REQUEST' : 'REJECT_JOIN_REQUEST',
+      details: { classId, joinRequestId: joinRequest._id, studentId: joinRequest.studentId, comments },
+      status: 'success',
+    }).save();
+
+    res.json(joinRequest);
+  } catch (err) {
+    logger.error('Review join request error:', err);
+    res.status(joinErrorStatus(err)).json({ error: err.message });
+  }
+};
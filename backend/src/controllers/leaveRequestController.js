@@ -0,0 +1,292 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { LeaveRequest } from '../models/leaveRequestModel.js';
+import { Attendance } from '../models/attendanceModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { queueMail } from '../utils/mailer.js';
+import { getTeacherClassIds, getClassRole, hasClassPermission } from '../utils/classAccess.js';
+import { applyAttendanceChange } from '../utils/attendanceRevisions.js';
+
+// Returns the [start, end] bounds of the calendar day containing `date`
+const getDayBounds = (date) => {
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+  return [startOfDay, endOfDay];
+};
+
+/**
+ * @route POST /api/leave-requests
+ * @desc Submit a leave request for a class and date
+ * @access Student only
+ */
+export const createLeaveRequest = async (req, res) => {
+  try {
+    const { classId, leaveDate, reason, documentUrl } = req.body;
+
+    if (!mongoose.isValidObjectId(classId)) {
+      throw new Error('Invalid classId');
+    }
+
+    const enrollment = await ClassEnrollment.findOne({
+      classId,
+      studentId: req.user._id,
+      isActive: true,
+    });
+    if (!enrollment) {
+      return res.status(403).json({ error: 'Not enrolled in this class' });
+    }
+
+    const [startOfDay, endOfDay] = getDayBounds(leaveDate);
+
+    // Only one open or approved request per class and day
+    const existingRequest = await LeaveRequest.findOne({
+      studentId: req.user._id,
+      classId,
+      leaveDate: { $gte: startOfDay, $lte: endOfDay },
+      status: { $in: ['pending', 'approved'] },
+    });
+    if (existingRequest) {
+      return res.status(409).json({ error: 'A leave request already exists for this class and date' });
+    }
+
+    const leaveRequest = new LeaveRequest({
+      studentId: req.user._id,
+      classId,
+      leaveDate: startOfDay,
+      reason,
+      documentUrl,
+    });
+    await leaveRequest.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'CREATE_LEAVE_REQUEST',
+      details: { leaveRequestId: leaveRequest._id, classId, leaveDate: startOfDay },
+      status: 'success',
+    }).save();
+
+    const populatedRequest = await LeaveRequest.findById(leaveRequest._id)
+      .populate('classId', 'classNumber subjectCode subjectName');
+
+    res.status(201).json(populatedRequest);
+  } catch (err) {
+    logger.error('Create leave request error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/leave-requests/my
+ * @desc Get the current student's leave requests
+ * @access Student only
+ */
+export const getMyLeaveRequests = async (req, res) => {
+  try {
+    const { status, classId } = req.query;
+    const query = { studentId: req.user._id };
+
+    if (status) query.status = status;
+    if (classId) query.classId = classId;
+
+    const leaveRequests = await LeaveRequest.find(query)
+      .populate('classId', 'classNumber subjectCode subjectName')
+      .populate('reviewedBy', 'fullName email')
+      .sort({ leaveDate: -1 });
+
+    res.json(leaveRequests);
+  } catch (err) {
+    logger.error('Get my leave requests error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/leave-requests
+ * @desc Get leave requests for the teacher's classes, or all of them for admins
+ * @access Teacher or Admin
+ */
+export const getLeaveRequests = async (req, res) => {
+  try {
+    const { status, classId, startDate, endDate, limit = 50, offset = 0 } = req.query;
+    const query = {};
+
+    if (req.user.role !== 'admin') {
+      const classIds = (await getTeacherClassIds(req.user._id)).map((id) => id.toString());
+
+      if (classId && !classIds.includes(classId)) {
+        return res.status(403).json({ error: 'Not authorized for this class' });
+      }
+      query.classId = classId || { $in: classIds };
+    } else if (classId) {
+      query.classId = classId;
+    }
+
+    if (status) query.status = status;
+
+    if (startDate || endDate) {
+      query.leaveDate = {};
+      if (startDate) query.leaveDate.$gte = new Date(startDate);
+      if (endDate) query.leaveDate.$lte = new Date(endDate);
+    }
+
+    const total = await LeaveRequest.countDocuments(query);
+    const leaveRequests = await LeaveRequest.find(query)
+      .populate('studentId', 'fullName enrollmentNo email')
+      .populate('classId', 'classNumber subjectCode subjectName')
+      .populate('reviewedBy', 'fullName email')
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit));
+
+    res.json({
+      leaveRequests,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: total > parseInt(offset) + parseInt(limit),
+      },
+    });
+  } catch (err) {
+    logger.error('Get leave requests error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/leave-requests/:id
+ * @desc Get a leave request by ID
+ * @access Owning Student, Teacher of the class, or Admin
+ */
+export const getLeaveRequestById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid leave request ID');
+    }
+
+    const leaveRequest = await LeaveRequest.findById(id)
+      .populate('studentId', 'fullName enrollmentNo email')
+      .populate('classId', 'classNumber subjectCode subjectName')
+      .populate('reviewedBy', 'fullName email');
+
+    if (!leaveRequest) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    if (req.user.role === 'student') {
+      if (leaveRequest.studentId._id.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: 'Not authorized to view this leave request' });
+      }
+    } else if (req.user.role === 'teacher') {
+      if (!(await getClassRole(req.user._id, leaveRequest.classId._id))) {
+        return res.status(403).json({ error: 'Not authorized for this class' });
+      }
+    }
+
+    res.json(leaveRequest);
+  } catch (err) {
+    logger.error('Get leave request by ID error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route PATCH /api/leave-requests/:id/review
+ * @desc Approve or reject a pending leave request
+ * @access Teacher of the class or Admin
+ */
+export const reviewLeaveRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reviewComments } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid leave request ID');
+    }
+
+    const pending = await LeaveRequest.findById(id);
+    if (!pending) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    // Approving a leave excuses absences, so it needs the attendance permission
+    if (req.user.role !== 'admin') {
+      const role = await getClassRole(req.user._id, pending.classId);
+      if (!hasClassPermission(role, 'attendance')) {
+        return res.status(403).json({ error: 'Not authorized for this class' });
+      }
+    }
+
+    if (pending.status !== 'pending') {
+      return res.status(409).json({ error: `Leave request has already been ${pending.status}` });
+    }
+
+    // Claim the request so a concurrent reviewer cannot decide it a second time
+    const leaveRequest = await LeaveRequest.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status, reviewedBy: req.user._id, reviewedAt: new Date(), reviewComments } },
+      { new: true }
+    );
+    if (!leaveRequest) {
+      return res.status(409).json({ error: 'Leave request has already been reviewed' });
+    }
+
+    // Reclassify absences on the leave date as excused
+    let excusedCount = 0;
+    if (status === 'approved') {
+      const [startOfDay, endOfDay] = getDayBounds(leaveRequest.leaveDate);
+      const absences = await Attendance.find({
+        studentId: leaveRequest.studentId,
+        classId: leaveRequest.classId,
+        status: 'absent',
+        attendedAt: { $gte: startOfDay, $lte: endOfDay },
+      });
+      for (const attendance of absences) {
+        const revision = await applyAttendanceChange(attendance, { status: 'excused' }, {
+          changedBy: req.user._id,
+          source: 'leave',
+          reason: reviewComments || 'Leave request approved',
+        });
+        if (revision) excusedCount += 1;
+      }
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: status === 'approved' ? 'APPROVE_LEAVE_REQUEST' : 'REJECT_LEAVE_REQUEST',
+      details: {
+        leaveRequestId: leaveRequest._id,
+        studentId: leaveRequest.studentId,
+        classId: leaveRequest.classId,
+        leaveDate: leaveRequest.leaveDate,
+        reviewComments,
+        excusedAttendances: excusedCount,
+      },
+      status: 'success',
+    }).save();
+
+    const populatedRequest = await LeaveRequest.findById(leaveRequest._id)
+      .populate('studentId', 'fullName enrollmentNo email')
+      .populate('classId', 'classNumber subjectCode subjectName')
+      .populate('reviewedBy', 'fullName email');
+
+    await queueMail('leaveRequestDecision', populatedRequest.studentId.email, {
+      fullName: populatedRequest.studentId.fullName,
+      subjectName: populatedRequest.classId.subjectName,
+      leaveDate: populatedRequest.leaveDate,
+      status,
+      reviewerName: populatedRequest.reviewedBy.fullName,
+      reviewComments,
+    });
+
+    res.json({ leaveRequest: populatedRequest, excusedAttendances: excusedCount });
+  } catch (err) {
+    logger.error('Review leave request error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
@@ -7,6 +7,15 @@ import { ClassEnrollment } from '../models/classEnrollmentModel.js';
 import { Schedule } from '../models/scheduleModel.js';
 import { QRCodeSession } from '../models/qrCodeSessionModel.js';
 import { AuditLog } from '../models/auditLogModel.js';
+import { markAbsenteesForSession } from '../utils/absenceMarker.js';
+import { assertClassAccess, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import { assertSessionTakesAttendance, markClassSessionHeld, resolveClassSession } from '../utils/classSessions.js';
+import {
+  generateRotationSecret,
+  getRotationState,
+  parseRotatingToken,
+  verifyRotatingToken,
+} from '../utils/qrToken.js';
 
 /**
  * @route POST /api/qr/generate
@@ -15,7 +24,7 @@ import { AuditLog } from '../models/auditLogModel.js';
  */
 export const generateQRSession = async (req, res) => {
   try {
-    const { classId, scheduleId, coordinates, teacherId } = req.body;
+    const { classId, scheduleId, classSessionId, coordinates, teacherId, rotating = false, rotationIntervalSeconds } = req.body;
 
     console.log('QR Generation Request:', { classId, scheduleId, coordinates, teacherId });
 
@@ -44,18 +53,31 @@ export const generateQRSession = async (req, res) => {
 
     const classObj = await Class.findById(classId);
     if (!classObj) return res.status(404).json({ error: 'Class not found' });
+    if (classObj.archivedAt) {
+      return res.status(400).json({ error: 'Class is archived' });
+    }
+
+    // Owners, co-teachers and TAs of the class may run attendance
+    await assertClassAccess(req.user, classId, 'attendance');
 
     let schedule = null;
     if (scheduleId) {
       schedule = await Schedule.findById(scheduleId).populate('teacherId', 'fullName email');
       if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
-      
-      // Check if teacher is assigned to this class/schedule
-      if (schedule.teacherId._id.toString() !== authenticatedTeacherId.toString()) {
-        return res.status(403).json({ error: 'Not authorized for this schedule' });
+
+      if (schedule.classId.toString() !== classId) {
+        return res.status(400).json({ error: 'Schedule does not belong to this class' });
       }
     }
 
+    // Link the session to today's lecture; none for cancelled lectures or holidays
+    const classSession = await resolveClassSession({ classId, classSessionId, scheduleId });
+    try {
+      assertSessionTakesAttendance(classSession);
+    } catch (error) {
+      return res.status(409).json({ error: error.message });
+    }
+
     // Generate session data
     const timestamp = new Date();
     const expiryMinutes = parseInt(process.env.QR_SESSION_EXPIRY_MINUTES || '5', 10);
@@ -99,15 +121,30 @@ export const generateQRSession = async (req, res) => {
     if (scheduleId) {
       qrSessionData.scheduleId = scheduleId;
     }
+    if (classSession) {
+      qrSessionData.classSessionId = classSession._id;
+    }
+
+    if (rotating) {
+      qrSessionData.rotation = {
+        enabled: true,
+        intervalSeconds: parseInt(rotationIntervalSeconds || process.env.QR_ROTATION_INTERVAL_SECONDS || '15', 10),
+        secret: generateRotationSecret(),
+      };
+    }
 
     const qrSession = new QRCodeSession(qrSessionData);
 
     await qrSession.save();
+    await markClassSessionHeld(classSession?._id);
 
-    const auditDetails = { classId, sessionId };
+    const auditDetails = { classId, sessionId, rotating: Boolean(rotating) };
     if (scheduleId) {
       auditDetails.scheduleId = scheduleId;
     }
+    if (classSession) {
+      auditDetails.classSessionId = classSession._id;
+    }
 
     await new AuditLog({
       userId: authenticatedTeacherId,
@@ -119,10 +156,13 @@ export const generateQRSession = async (req, res) => {
     const populatedSession = await QRCodeSession.findById(qrSession._id)
       .populate('teacherId', 'fullName email');
 
+    // In rotating mode only the current rotating token may be displayed
+    const rotationState = rotating ? getRotationState(qrSession) : null;
+
     // qr-student-app expects QRData format: { sessionId: string, token: string, expiredAt: string }
     const qrData = {
       sessionId,
-      token,
+      token: rotationState ? rotationState.token : token,
       expiredAt: expiresAt.toISOString()
     };
 
@@ -132,9 +172,16 @@ export const generateQRSession = async (req, res) => {
       // Additional data for teacher frontend
       qrPayload: {
         sessionId,
-        token: 'QR_' + sessionId,
+        token: rotationState ? rotationState.token : 'QR_' + sessionId,
         timestamp: Math.floor(timestamp.getTime() / 1000)
       },
+      // The teacher display derives later tokens from the secret and the server clock
+      rotation: rotationState ? {
+        intervalSeconds: rotationState.intervalSeconds,
+        secret: qrSession.rotation.secret,
+        validUntil: rotationState.validUntil,
+        serverTime: rotationState.serverTime,
+      } : null,
       displayData: {
         classNumber: classObj.classNumber,
         subjectCode: classObj.subjectCode,
@@ -150,14 +197,17 @@ export const generateQRSession = async (req, res) => {
         className: classObj.classNumber,
         subject: classObj.subjectName,
       },
-      teacher: populatedSession.teacherId ? { fullName: populatedSession.teacherId.fullName, email: populatedSession.teacherId.email } : null
+      teacher: populatedSession.teacherId ? { fullName: populatedSession.teacherId.fullName, email: populatedSession.teacherId.email } : null,
+      classSessionId: classSession?._id || null
     };
 
     console.log('QR Generation Response:', response);
     res.status(201).json(response);
   } catch (err) {
     logger.error('Generate QR session error:', err);
-    res.status(400).json({ error: err.message });
+    res.status(
+      err.message === CLASS_ACCESS_DENIED ? 403 : err.message === 'Class session not found' ? 404 : 400
+    ).json({ error: err.message });
   }
 };
 
@@ -179,7 +229,9 @@ export const refreshQRToken = async (req, res) => {
       teacherId: req.user._id,
       isActive: true,
       expiresAt: { $gt: new Date() },
-    }).populate('teacherId', 'fullName email');
+    })
+      .select('+rotation.secret')
+      .populate('teacherId', 'fullName email');
 
     if (!qrSession) {
       return res.status(404).json({ error: 'Active session not found' });
@@ -212,16 +264,18 @@ export const refreshQRToken = async (req, res) => {
       status: 'success',
     }).save();
 
+    const rotationState = qrSession.rotation?.enabled ? getRotationState(qrSession) : null;
+
     // Construct the QR payload for refresh with minimal data
     const qrPayload = {
       sessionId,
-      token: 'QR_' + sessionId, // Simple token reference
+      token: rotationState ? rotationState.token : 'QR_' + sessionId, // Simple token reference
       timestamp: Math.floor(timestamp.getTime() / 1000)
     };
 
     // qr-student-app expects { token: string, expiredAt: string }
     const refreshResponse = {
-      token,
+      token: rotationState ? rotationState.token : token,
       expiredAt: expiresAt.toISOString()
     };
 
@@ -241,7 +295,12 @@ export const refreshQRToken = async (req, res) => {
         division: qrSession.qrPayload.division,
         coordinates: qrSession.qrPayload.coordinates
       },
-      qrCode: token,
+      qrCode: refreshResponse.token,
+      rotation: rotationState ? {
+        intervalSeconds: rotationState.intervalSeconds,
+        validUntil: rotationState.validUntil,
+        serverTime: rotationState.serverTime,
+      } : null,
       expiresAt,
       teacher: qrSession.teacherId ? { fullName: qrSession.teacherId.fullName, email: qrSession.teacherId.email } : null,
     });
@@ -288,7 +347,15 @@ export const terminateQRSession = async (req, res) => {
       status: 'success',
     }).save();
 
-    res.json({ message: 'Session terminated successfully' });
+    // Students who never scanned are marked absent; the expiry job retries on failure
+    let absencesMarked = 0;
+    try {
+      absencesMarked = await markAbsenteesForSession(qrSession);
+    } catch (markErr) {
+      logger.error('Mark absences on terminate error:', markErr);
+    }
+
+    res.json({ message: 'Session terminated successfully', absencesMarked });
   } catch (err) {
     logger.error('Terminate QR session error:', err);
     res.status(err.message === 'Active session not found' ? 404 : 400).json({ error: err.message });
@@ -326,9 +393,14 @@ export const getActiveQRSessions = async (req, res) => {
  */
 export const terminateAllQRSessions = async (req, res) => {
   try {
+    const activeSessions = await QRCodeSession.find({
+      teacherId: req.user._id,
+      isActive: true,
+    });
+
     const result = await QRCodeSession.updateMany(
       {
-        teacherId: req.user._id,
+        _id: { $in: activeSessions.map((session) => session._id) },
         isActive: true,
       },
       {
@@ -344,9 +416,19 @@ export const terminateAllQRSessions = async (req, res) => {
       status: 'success',
     }).save();
 
+    let absencesMarked = 0;
+    for (const session of activeSessions) {
+      try {
+        absencesMarked += await markAbsenteesForSession(session);
+      } catch (markErr) {
+        logger.error('Mark absences on terminate all error:', markErr);
+      }
+    }
+
     res.json({
       message: 'All sessions terminated successfully',
       terminatedCount: result.modifiedCount,
+      absencesMarked,
     });
   } catch (err) {
     logger.error('Terminate all QR sessions error:', err);
@@ -367,19 +449,29 @@ export const validateQRToken = async (req, res) => {
     // 1. JSON string from QR code (teacher frontend generates JSON.stringify)
     // 2. JWT token 
     // 3. Simple session reference (QR_sessionId)
+    // 4. Rotating token (sessionId.step.code), alone or inside the JSON
     let sessionId;
+    let rotatingToken = null;
     
     // First, try to parse as JSON (from QR code scan)
     try {
       const qrData = JSON.parse(token);
+      if (parseRotatingToken(qrData.token)) {
+        rotatingToken = qrData.token;
+      }
       if (qrData.sessionId) {
         sessionId = qrData.sessionId;
+      } else if (rotatingToken) {
+        sessionId = parseRotatingToken(rotatingToken).sessionId;
       } else if (qrData.token && qrData.token.startsWith('QR_')) {
         sessionId = qrData.token.substring(3);
       }
     } catch (jsonError) {
       // Not JSON, try other formats
-      if (token.startsWith('QR_')) {
+      if (parseRotatingToken(token)) {
+        rotatingToken = token;
+        sessionId = parseRotatingToken(token).sessionId;
+      } else if (token.startsWith('QR_')) {
         // Simple session reference format
         sessionId = token.substring(3);
       } else {
@@ -403,6 +495,7 @@ export const validateQRToken = async (req, res) => {
       isActive: true,
       expiresAt: { $gt: new Date() },
     })
+      .select('+rotation.secret')
       .populate('classId', 'classNumber subjectName')
       .populate('teacherId', 'fullName email');
 
@@ -410,6 +503,11 @@ export const validateQRToken = async (req, res) => {
       return res.status(404).json({ error: 'Invalid or expired QR session' });
     }
 
+    // Rotating sessions only accept the code currently on the teacher's screen
+    if (qrSession.rotation?.enabled && !verifyRotatingToken(qrSession, rotatingToken)) {
+      return res.status(400).json({ error: 'QR code has expired, scan the current code' });
+    }
+
     // Verify student enrollment
     const enrollment = await ClassEnrollment.findOne({
       classId: qrSession.classId._id,
@@ -443,9 +541,59 @@ export const validateQRToken = async (req, res) => {
       },
       teacher: qrSession.teacherId ? { fullName: qrSession.teacherId.fullName, email: qrSession.teacherId.email } : null,
       timestamp: qrSession.qrPayload.timestamp,
+      rotating: Boolean(qrSession.rotation?.enabled),
     });
   } catch (err) {
     logger.error('Validate QR token error:', err);
     res.status(400).json({ error: err.message || 'Token validation failed' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @route GET /api/qr/rotating/:sessionId
+ * @desc Get the current token of a rotating QR session
+ * @access Teacher only
+ */
+export const getRotatingToken = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const qrSession = await QRCodeSession.findOne({
+      sessionId,
+      teacherId: req.user._id,
+      isActive: true,
+      expiresAt: { $gt: new Date() },
+    }).select('+rotation.secret');
+
+    if (!qrSession) {
+      return res.status(404).json({ error: 'Active session not found' });
+    }
+    if (!qrSession.rotation?.enabled) {
+      return res.status(400).json({ error: 'Session is not in rotating mode' });
+    }
+
+    const rotationState = getRotationState(qrSession);
+    res.json({
+      sessionId,
+      ...rotationState,
+      expiresAt: qrSession.expiresAt,
+    });
+  } catch (err) {
+    logger.error('Get rotating token error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/qr/time
+ * @desc Server clock for aligning rotating QR displays
+ * @access Private
+ */
+export const getServerTime = (req, res) => {
+  const now = new Date();
+  res.json({
+    serverTime: now.toISOString(),
+    epochMs: now.getTime(),
+    rotationIntervalSeconds: parseInt(process.env.QR_ROTATION_INTERVAL_SECONDS || '15', 10),
+  });
+};
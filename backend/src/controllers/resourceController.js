@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { Resource, RESOURCE_MIME_TYPES } from '../models/resourceModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { assertClassAccess } from '../utils/classAccess.js';
+import { getStorage, generateStorageKey } from '../utils/storage.js';
+
+
+const errorStatus = (err) =>
+  err.message.includes('not found') ? 404 :
+  err.message.includes('Not authorized') || err.message.includes('Not enrolled') ? 403 : 400;
+
+/**
+ * @route POST /api/resources
+ * @desc Upload a course resource for a class
+ * @access Teacher of the class or Admin
+ */
+export const uploadResource = async (req, res) => {
+  let storageKey;
+  try {
+    const { classId, title, description } = req.body;
+
+    if (!req.file) {
+      throw new Error('Resource file is required');
+    }
+
+    await assertClassAccess(req.user, classId, 'manage');
+
+    const fileType = RESOURCE_MIME_TYPES[req.file.mimetype];
+    if (!fileType) {
+      throw new Error(`Unsupported file type: ${req.file.mimetype}`);
+    }
+
+    storageKey = generateStorageKey(`resources/${classId}`, req.file.originalname);
+    await getStorage().save(storageKey, req.file.buffer, { contentType: req.file.mimetype });
+
+    const resource = new Resource({
+      classId,
+      uploadedBy: req.user._id,
+      title,
+      description,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      fileType,
+      mimeType: req.file.mimetype,
+      storageKey,
+    });
+    resource.fileUrl = `/api/resources/${resource._id}/download`;
+    await resource.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UPLOAD_RESOURCE',
+      details: { resourceId: resource._id, classId, fileName: resource.fileName, fileSize: resource.fileSize },
+      status: 'success',
+    }).save();
+
+    const populatedResource = await Resource.findById(resource._id)
+      .populate('uploadedBy', 'fullName email');
+
+    res.status(201).json(populatedResource);
+  } catch (err) {
+    logger.error('Upload resource error:', err);
+    // Don't leave orphaned files behind when the record could not be saved
+    if (storageKey) {
+      await getStorage().remove(storageKey).catch((removeErr) => {
+        logger.error('Failed to remove orphaned resource file:', removeErr);
+      });
+    }
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/resources/class/:classId
+ * @desc List active resources of a class
+ * @access Enrolled Student, Teacher of the class, or Admin
+ */
+export const getClassResources = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { fileType } = req.query;
+
+    if (!mongoose.isValidObjectId(classId)) {
+      throw new Error('Invalid classId');
+    }
+
+    await assertClassAccess(req.user, classId, 'view', { allowStudents: true });
+
+    const query = { classId, isActive: true };
+    if (fileType) query.fileType = fileType;
+
+    const resources = await Resource.find(query)
+      .populate('uploadedBy', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    res.json(resources);
+  } catch (err) {
+    logger.error('Get class resources error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route GET /api/resources/:id/download
+ * @desc Download a resource file
+ * @access Enrolled Student, Teacher of the class, or Admin
+ */
+export const downloadResource = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid resource ID');
+    }
+
+    const resource = await Resource.findOne({ _id: id, isActive: true }).select('+storageKey');
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    await assertClassAccess(req.user, resource.classId, 'view', { allowStudents: true });
+
+    const stream = await getStorage().createReadStream(resource.storageKey);
+
+    await Resource.updateOne({ _id: resource._id }, { $inc: { downloadCount: 1 } });
+
+    res.setHeader('Content-Type', resource.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(resource.fileName)}`);
+    if (resource.fileSize) {
+      res.setHeader('Content-Length', resource.fileSize);
+    }
+
+    stream.on('error', (streamErr) => {
+      logger.error('Resource download stream error:', streamErr);
+      res.destroy(streamErr);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    logger.error('Download resource error:', err);
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Resource file not found' });
+    }
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route DELETE /api/resources/:id
+ * @desc Delete a resource (soft delete)
+ * @access Teacher of the class or Admin
+ */
+export const deleteResource = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid resource ID');
+    }
+
+    const resource = await Resource.findOne({ _id: id, isActive: true });
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    await assertClassAccess(req.user, resource.classId, 'manage');
+
+    resource.isActive = false;
+    await resource.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'DELETE_RESOURCE',
+      details: { resourceId: resource._id, classId: resource.classId, fileName: resource.fileName },
+      status: 'success',
+    }).save();
+
+    res.json({ message: 'Resource deleted successfully' });
+  } catch (err) {
+    logger.error('Delete resource error:', err);
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+};
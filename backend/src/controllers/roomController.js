@@ -3,6 +3,7 @@ import logger from '../utils/logger.js';
 import { Room } from '../models/roomModel.js';
 import { Schedule } from '../models/scheduleModel.js';
 import { AuditLog } from '../models/auditLogModel.js';
+import { toGeoJSONRing } from '../utils/geo.js';
 
 /**
  * @route  GET /api/rooms
@@ -48,7 +49,7 @@ export const getRoomsByType = async (req, res) => {
  */
 export const createRoom = async (req, res) => {
   try {
-    const { roomNumber, type } = req.body;
+    const { roomNumber, type, building, floor } = req.body;
 
     if (req.user.role !== 'admin' && req.user._id.toString() !== req.body.createdBy) {
       throw new Error('CreatedBy ID must match authenticated user');
@@ -63,6 +64,8 @@ export const createRoom = async (req, res) => {
     const room = new Room({
       roomNumber,
       type,
+      building,
+      floor,
       createdBy: req.user._id
     });
 
@@ -92,7 +95,7 @@ export const createRoom = async (req, res) => {
 export const updateRoom = async (req, res) => {
   try {
     const { id } = req.params;
-    const { roomNumber, type, isActive } = req.body;
+    const { roomNumber, type, isActive, building, floor } = req.body;
 
     if (!mongoose.isValidObjectId(id)) {
       throw new Error('Invalid room ID');
@@ -115,7 +118,7 @@ export const updateRoom = async (req, res) => {
 
     const room = await Room.findByIdAndUpdate(
       id,
-      { roomNumber, type, isActive },
+      { roomNumber, type, isActive, building, floor },
       { new: true, runValidators: true },
     ).populate('createdBy', 'fullName email');
 
@@ -261,4 +264,79 @@ export const initializeDefaultRooms = async (req, res) => {
     logger.error('Initialize default rooms error:', err);
     res.status(400).json({ error: err.message });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @route  PUT /api/rooms/:id/geofence
+ * @desc   Set the geofence polygon of a room
+ * @access Admin only
+ */
+export const updateRoomGeofence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { points, building, floor } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid room ID');
+    }
+
+    const update = {
+      geofence: { type: 'Polygon', coordinates: [toGeoJSONRing(points)] },
+    };
+    if (building !== undefined) update.building = building;
+    if (floor !== undefined) update.floor = floor;
+
+    const room = await Room.findByIdAndUpdate(id, update, { new: true, runValidators: true })
+      .populate('createdBy', 'fullName email');
+
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UPDATE_ROOM_GEOFENCE',
+      details: { roomId: room._id, roomNumber: room.roomNumber, points: points.length },
+      status: 'success',
+    }).save();
+
+    res.json(room);
+  } catch (err) {
+    logger.error('Update room geofence error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  DELETE /api/rooms/:id/geofence
+ * @desc   Remove the geofence of a room, falling back to the radius check
+ * @access Admin only
+ */
+export const deleteRoomGeofence = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid room ID');
+    }
+
+    const room = await Room.findByIdAndUpdate(id, { $unset: { geofence: 1 } }, { new: true })
+      .populate('createdBy', 'fullName email');
+
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'DELETE_ROOM_GEOFENCE',
+      details: { roomId: room._id, roomNumber: room.roomNumber },
+      status: 'success',
+    }).save();
+
+    res.json(room);
+  } catch (err) {
+    logger.error('Delete room geofence error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
@@ -2,7 +2,40 @@ import mongoose from 'mongoose';
 import moment from 'moment';
 import logger from '../utils/logger.js';
 import { Schedule } from '../models/scheduleModel.js';
+import { Class } from '../models/classModel.js';
 import { AuditLog } from '../models/auditLogModel.js';
+import { assertClassAccess, getClassRole, CLASS_ACCESS_DENIED } from '../utils/classAccess.js';
+import {
+  DAYS_OF_WEEK,
+  HELD_OCCURRENCE_STATUSES,
+  addDays,
+  formatOccurrence,
+  getScheduleOccurrences,
+  startOfWeek,
+} from '../utils/calendar.js';
+
+/**
+ * Throws unless the user may manage the class, the class is not archived and
+ * the scheduled teacher is assigned to it. Returns the class's term, which the
+ * schedule belongs to.
+ */
+const assertCanScheduleClass = async (user, classId, teacherId) => {
+  await assertClassAccess(user, classId, 'manage');
+  const classObj = await Class.findById(classId).select('termId archivedAt');
+  if (classObj?.archivedAt) {
+    throw new Error('Class is archived');
+  }
+  if (!(await getClassRole(teacherId, classId))) {
+    throw new Error('Teacher is not assigned to this class');
+  }
+  return classObj?.termId;
+};
+
+// Parse a YYYY-MM-DD query value as a local date
+const parseDateQuery = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
 
 /**
 * @route  POST /api/schedules
@@ -28,9 +61,7 @@ export const createSchedule = async (req, res) => {
       throw new Error('Invalid class or teacher ID');
     }
 
-    if (teacherId !== req.user._id.toString() && req.user.role !== 'admin') {
-      throw new Error('Teacher ID must match authenticated user');
-    }
+    const termId = await assertCanScheduleClass(req.user, classId, teacherId);
 
     // Check for schedule conflicts
     const start = moment(startTime, 'HH:mm');
@@ -64,7 +95,8 @@ export const createSchedule = async (req, res) => {
       roomNumber,
       semester,
       academicYear,
-      location
+      location,
+      termId
     });
 
     await schedule.save();
@@ -82,7 +114,7 @@ export const createSchedule = async (req, res) => {
     res.status(201).json(populatedSchedule);
   } catch (err) {
     logger.error('Schedule creation error:', err);
-    res.status(400).json({ error: err.message });
+    res.status(err.message === CLASS_ACCESS_DENIED ? 403 : 400).json({ error: err.message });
   }
 };
 
@@ -125,14 +157,14 @@ export const getScheduleById = async (req, res) => {
       return res.status(404).json({ error: 'Schedule not found' });
     }
 
-    if (schedule.teacherId._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to access this schedule' });
-    }
+    await assertClassAccess(req.user, schedule.classId._id, 'view');
 
     res.json(schedule);
   } catch (err) {
     logger.error('Get schedule by ID error:', err);
-    res.status(err.message === 'Schedule not found' ? 404 : 400).json({ error: err.message });
+    res.status(
+      err.message === 'Schedule not found' ? 404 : err.message === CLASS_ACCESS_DENIED ? 403 : 400
+    ).json({ error: err.message });
   }
 };
 
@@ -162,10 +194,15 @@ export const updateSchedule = async (req, res) => {
       throw new Error('Invalid schedule, class, or teacher ID');
     }
 
-    if (teacherId !== req.user._id.toString() && req.user.role !== 'admin') {
-      throw new Error('Teacher ID must match authenticated user');
+    const existingSchedule = await Schedule.findById(id);
+    if (!existingSchedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
     }
 
+    // Both the current class and the (possibly new) target class must be manageable
+    await assertClassAccess(req.user, existingSchedule.classId, 'manage');
+    const termId = await assertCanScheduleClass(req.user, classId, teacherId);
+
     // Check for conflicts
     const start = moment(startTime, 'HH:mm');
     const end = moment(endTime, 'HH:mm');
@@ -202,7 +239,8 @@ export const updateSchedule = async (req, res) => {
         semester,
         academicYear,
         location,
-        isActive
+        isActive,
+        termId
       },
       { new: true, runValidators: true }
     )
@@ -222,7 +260,9 @@ export const updateSchedule = async (req, res) => {
     res.json(schedule);
   } catch (err) {
     logger.error('Update schedule error:', err);
-    res.status(err.message === 'Schedule not found' ? 404 : 400).json({ error: err.message });
+    res.status(
+      err.message === 'Schedule not found' ? 404 : err.message === CLASS_ACCESS_DENIED ? 403 : 400
+    ).json({ error: err.message });
   }
 };
 
@@ -244,9 +284,7 @@ export const deleteSchedule = async (req, res) => {
       return res.status(404).json({ error: 'Schedule not found' });
     }
 
-    if (schedule.teacherId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to delete this schedule' });
-    }
+    await assertClassAccess(req.user, schedule.classId, 'manage');
 
     schedule.isActive = false;
     await schedule.save();
@@ -260,33 +298,44 @@ export const deleteSchedule = async (req, res) => {
     res.json({ message: 'Schedule deleted successfully' });
   } catch (err) {
     logger.error('Delete schedule error:', err);
-    res.status(err.message === 'Schedule not found' ? 404 : 400).json({ error: err.message });
+    res.status(
+      err.message === 'Schedule not found' ? 404 : err.message === CLASS_ACCESS_DENIED ? 403 : 400
+    ).json({ error: err.message });
   }
 };
 
 /**
  * @route  GET /api/schedules/weekly
- * @desc   Get weekly schedule for a teacher
+ * @desc   Get a teacher's classes for the week starting `startDate` (default: this
+ *         week's Monday), grouped by day, with holidays and exceptions applied.
+ *         Cancelled, moved and holiday slots are left out unless `includeCancelled=true`.
  * @access Teachers or Admin
  */
 export const getTeacherWeeklySchedule = async (req, res) => {
   try {
     const teacherId = req.user._id;
+    const { startDate, includeCancelled } = req.query;
+    const weekStart = startDate ? parseDateQuery(startDate) : startOfWeek(new Date());
+
     const schedules = await Schedule.find({
       teacherId,
       isActive: true,
     })
       .populate('classId', 'subjectCode subjectName')
-      .populate('teacherId', 'fullName email')
-      .sort({ dayOfWeek: 1, startTime: 1 });
+      .populate('teacherId', 'fullName email');
 
-    const weeklySchedule = schedules.reduce((acc, schedule) => {
-      if (!acc[schedule.dayOfWeek]) {
-        acc[schedule.dayOfWeek] = [];
-      }
-      acc[schedule.dayOfWeek].push(schedule);
-      return acc;
-    }, {});
+    const occurrences = await getScheduleOccurrences(schedules, weekStart, addDays(weekStart, 6));
+
+    const weeklySchedule = occurrences
+      .filter((o) => includeCancelled === 'true' || HELD_OCCURRENCE_STATUSES.includes(o.status))
+      .reduce((acc, occurrence) => {
+        const day = DAYS_OF_WEEK[occurrence.date.getDay()];
+        if (!acc[day]) {
+          acc[day] = [];
+        }
+        acc[day].push(formatOccurrence(occurrence));
+        return acc;
+      }, {});
 
     res.json(weeklySchedule);
   } catch (err) {
@@ -297,25 +346,29 @@ export const getTeacherWeeklySchedule = async (req, res) => {
 
 /**
  * @route  GET /api/schedules/today
- * @desc   Get today's schedule for a teacher
+ * @desc   Get a teacher's classes for today (or `date`), with holidays and
+ *         exceptions applied. Cancelled, moved and holiday slots are left out
+ *         unless `includeCancelled=true`.
  * @access Teachers or Admin
  */
 export const getTodaySchedule = async (req, res) => {
   try {
     const teacherId = req.user._id;
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const today = days[new Date().getDay()];
+    const { date, includeCancelled } = req.query;
+    const day = date ? parseDateQuery(date) : new Date();
 
     const schedules = await Schedule.find({
       teacherId,
-      dayOfWeek: today,
       isActive: true,
     })
       .populate('classId', 'subjectCode subjectName')
-      .populate('teacherId', 'fullName email')
-      .sort({ startTime: 1 });
+      .populate('teacherId', 'fullName email');
 
-    res.json(schedules);
+    const occurrences = await getScheduleOccurrences(schedules, day, day);
+
+    res.json(occurrences
+      .filter((o) => includeCancelled === 'true' || HELD_OCCURRENCE_STATUSES.includes(o.status))
+      .map(formatOccurrence));
   } catch (err) {
     logger.error('Get today schedule error:', err);
     res.status(500).json({ error: err.message });
@@ -335,9 +388,7 @@ export const createBulkSchedules = async (req, res) => {
 
     for (const scheduleData of schedules) {
       try {
-        if (scheduleData.teacherId !== req.user._id.toString() && req.user.role !== 'admin') {
-          throw new Error('Teacher ID must match authenticated user');
-        }
+        const termId = await assertCanScheduleClass(req.user, scheduleData.classId, scheduleData.teacherId);
 
         const start = moment(scheduleData.startTime, 'HH:mm');
         const end = moment(scheduleData.endTime, 'HH:mm');
@@ -357,7 +408,7 @@ export const createBulkSchedules = async (req, res) => {
           throw new Error('Schedule conflict detected');
         }
 
-        const newSchedule = new Schedule(scheduleData);
+        const newSchedule = new Schedule({ ...scheduleData, termId });
         await newSchedule.save();
         const populatedSchedule = await Schedule.findById(newSchedule._id)
           .populate('classId', 'subjectCode subjectName')
@@ -424,9 +475,7 @@ export const mergeSchedules = async (req, res) => {
       return res.status(400).json({ error: 'Schedules cannot be merged' });
     }
 
-    if (firstSchedule.teacherId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to merge these schedules' });
-    }
+    await assertClassAccess(req.user, firstSchedule.classId, 'manage');
 
     // Create new merged schedule
     const mergedSchedule = new Schedule({
@@ -439,7 +488,8 @@ export const mergeSchedules = async (req, res) => {
       roomNumber: firstSchedule.roomNumber,
       semester: firstSchedule.semester,
       academicYear: firstSchedule.academicYear,
-      location: firstSchedule.location
+      location: firstSchedule.location,
+      termId: firstSchedule.termId
     });
 
     await mergedSchedule.save();
@@ -462,7 +512,9 @@ export const mergeSchedules = async (req, res) => {
     res.json(populatedSchedule);
   } catch (err) {
     logger.error('Merge schedules error:', err);
-    res.status(err.message.includes('not found') ? 404 : 400).json({ error: err.message });
+    res.status(
+      err.message.includes('not found') ? 404 : err.message === CLASS_ACCESS_DENIED ? 403 : 400
+    ).json({ error: err.message });
   }
 };
 
@@ -485,9 +537,7 @@ export const splitSchedule = async (req, res) => {
       return res.status(404).json({ error: 'Schedule not found' });
     }
 
-    if (originalSchedule.teacherId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to split this schedule' });
-    }
+    await assertClassAccess(req.user, originalSchedule.classId, 'manage');
 
     const newSchedules = [];
     let currentStartTime = moment(originalSchedule.startTime, 'HH:mm');
@@ -508,7 +558,8 @@ export const splitSchedule = async (req, res) => {
         roomNumber: originalSchedule.roomNumber,
         semester: originalSchedule.semester,
         academicYear: originalSchedule.academicYear,
-        location: originalSchedule.location
+        location: originalSchedule.location,
+        termId: originalSchedule.termId
       });
 
       await newSchedule.save();
@@ -535,7 +586,9 @@ export const splitSchedule = async (req, res) => {
     res.json(newSchedules);
   } catch (err) {
     logger.error('Split schedule error:', err);
-    res.status(err.message === 'Schedule not found' ? 404 : 400).json({ error: err.message });
+    res.status(
+      err.message === 'Schedule not found' ? 404 : err.message === CLASS_ACCESS_DENIED ? 403 : 400
+    ).json({ error: err.message });
   }
 };
 
@@ -0,0 +1,407 @@
+import logger from '../utils/logger.js';
+import { AcademicTerm } from '../models/academicTermModel.js';
+import { Class } from '../models/classModel.js';
+import { ClassTeacher } from '../models/classTeacherModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { Schedule } from '../models/scheduleModel.js';
+import { ClassSession } from '../models/classSessionModel.js';
+import { User } from '../models/userModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+import { syncClassSessions } from '../utils/classSessions.js';
+
+const FINAL_SEMESTER = 8;
+
+const termErrorStatus = (err) => {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.toLowerCase().includes('already') || err.code === 11000) return 409;
+  return 400;
+};
+
+/**
+ * @route  POST /api/terms
+ * @desc   Create an academic term
+ * @access Admin only
+ */
+export const createTerm = async (req, res) => {
+  try {
+    const { name, academicYear, startDate, endDate, holidays = [] } = req.body;
+
+    const term = await AcademicTerm.create({
+      name,
+      academicYear,
+      startDate,
+      endDate,
+      holidays,
+      createdBy: req.user._id,
+    });
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'CREATE_TERM',
+      details: { termId: term._id, name },
+      status: 'success',
+    }).save();
+
+    res.status(201).json(term);
+  } catch (err) {
+    logger.error('Create term error:', err);
+    res.status(termErrorStatus(err)).json({ error: err.code === 11000 ? 'A term with this name already exists' : err.message });
+  }
+};
+
+/**
+ * @route  GET /api/terms
+ * @desc   List academic terms, newest first
+ * @access Authenticated users
+ */
+export const getTerms = async (req, res) => {
+  try {
+    const terms = await AcademicTerm.find().sort({ startDate: -1 });
+    res.json(terms);
+  } catch (err) {
+    logger.error('Get terms error:', err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  GET /api/terms/current
+ * @desc   Get the active academic term
+ * @access Authenticated users
+ */
+export const getCurrentTerm = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findOne({ isActive: true });
+    if (!term) {
+      throw new Error('Active term not found');
+    }
+    res.json(term);
+  } catch (err) {
+    logger.error('Get current term error:', err);
+    res.status(termErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  GET /api/terms/:id
+ * @desc   Get an academic term
+ * @access Authenticated users
+ */
+export const getTermById = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      throw new Error('Term not found');
+    }
+    res.json(term);
+  } catch (err) {
+    logger.error('Get term error:', err);
+    res.status(termErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  PUT /api/terms/:id
+ * @desc   Update a term's name, dates or holidays; `holidays` replaces the list.
+ *         Class sessions already generated for the term follow the new calendar.
+ * @access Admin only
+ */
+export const updateTerm = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      throw new Error('Term not found');
+    }
+
+    const previousRange = { from: term.startDate, to: term.endDate };
+    for (const field of ['name', 'academicYear', 'startDate', 'endDate', 'holidays']) {
+      if (req.body[field] !== undefined) {
+        term[field] = req.body[field];
+      }
+    }
+    const calendarChanged = ['startDate', 'endDate', 'holidays'].some((field) => term.isModified(field));
+    await term.save();
+
+    if (calendarChanged && await ClassSession.exists({ termId: term._id })) {
+      const classIds = await Class.find({ termId: term._id, archivedAt: null }).distinct('_id');
+      await syncClassSessions(
+        classIds,
+        previousRange.from < term.startDate ? previousRange.from : term.startDate,
+        previousRange.to > term.endDate ? previousRange.to : term.endDate
+      );
+    }
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UPDATE_TERM',
+      details: { termId: term._id, fields: Object.keys(req.body) },
+      status: 'success',
+    }).save();
+
+    res.json(term);
+  } catch (err) {
+    logger.error('Update term error:', err);
+    res.status(termErrorStatus(err)).json({ error: err.code === 11000 ? 'A term with this name already exists' : err.message });
+  }
+};
+
+/**
+ * @route  POST /api/terms/:id/activate
+ * @desc   Make a term the active one, deactivating the current term
+ * @access Admin only
+ */
+export const activateTerm = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      throw new Error('Term not found');
+    }
+    if (term.isActive) {
+      throw new Error('Term is already active');
+    }
+
+    await AcademicTerm.updateMany({ isActive: true }, { $set: { isActive: false } });
+    term.isActive = true;
+    await term.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'ACTIVATE_TERM',
+      details: { termId: term._id },
+      status: 'success',
+    }).save();
+
+    res.json(term);
+  } catch (err) {
+    logger.error('Activate term error:', err);
+    res.status(termErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * @route  DELETE /api/terms/:id
+ * @desc   Delete a term no class or schedule belongs to
+ * @access Admin only
+ */
+export const deleteTerm = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      throw new Error('Term not found');
+    }
+    if (term.isActive) {
+      throw new Error('The active term cannot be deleted');
+    }
+    if (await Class.exists({ termId: term._id }) || await Schedule.exists({ termId: term._id })) {
+      throw new Error('Term still has classes or schedules');
+    }
+
+    await term.deleteOne();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'DELETE_TERM',
+      details: { termId: term._id, name: term.name },
+      status: 'success',
+    }).save();
+
+    res.json({ message: 'Term deleted' });
+  } catch (err) {
+    logger.error('Delete term error:', err);
+    res.status(termErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+// Copy a class and its teacher assignments into another term, reusing a class already there
+const cloneClassIntoTerm = async (sourceClass, termId, performedBy) => {
+  const { classNumber, subjectCode, subjectName, classYear, semester, division, teacherId, gradeWeights, faceVerification } = sourceClass.toObject();
+
+  let clone = await Class.findOne({ subjectCode, semester, division, termId });
+  const created = !clone;
+  if (!clone) {
+    clone = await Class.create({
+      classNumber, subjectCode, subjectName, classYear, semester, division, teacherId, gradeWeights, faceVerification, termId,
+    });
+  }
+
+  const assignments = await ClassTeacher.find({ classId: sourceClass._id });
+  for (const assignment of assignments) {
+    if (await ClassTeacher.exists({ classId: clone._id, teacherId: assignment.teacherId })) continue;
+    await new ClassTeacher({
+      classId: clone._id,
+      teacherId: assignment.teacherId,
+      role: assignment.role || (assignment.teacherId.equals(sourceClass.teacherId) ? 'owner' : 'co_teacher'),
+      assignedBy: performedBy,
+    }).save();
+  }
+  return { clone, created };
+};
+
+/**
+ * @route  POST /api/terms/:id/rollover
+ * @desc   Roll the source term over into this term: clone its classes, teacher
+ *         assignments and active schedules, archive the cloned classes, promote
+ *         their students by one semester and make this term active.
+ *         Enrollments are not carried over. A term can only be rolled into once;
+ *         when any clone fails nothing is archived and the rollover can be retried.
+ * @access Admin only
+ */
+export const rolloverTerm = async (req, res) => {
+  try {
+    const { fromTermId } = req.body;
+    const promoteStudents = req.body.promoteStudents !== false && req.body.promoteStudents !== 'false';
+    const cloneSchedules = req.body.cloneSchedules !== false && req.body.cloneSchedules !== 'false';
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const [targetTerm, sourceTerm] = await Promise.all([
+      AcademicTerm.findById(req.params.id),
+      AcademicTerm.findById(fromTermId),
+    ]);
+    if (!targetTerm) {
+      throw new Error('Term not found');
+    }
+    if (!sourceTerm) {
+      throw new Error('Source term not found');
+    }
+    if (targetTerm._id.equals(sourceTerm._id)) {
+      throw new Error('A term cannot be rolled over into itself');
+    }
+    if (targetTerm.startDate <= sourceTerm.startDate) {
+      throw new Error('The new term must start after the source term');
+    }
+    if (targetTerm.rolledOverAt) {
+      throw new Error('Term has already been rolled over');
+    }
+
+    const sourceClasses = await Class.find({ termId: sourceTerm._id, archivedAt: null });
+    const sourceClassIds = sourceClasses.map((c) => c._id);
+    const [schedules, studentIds] = await Promise.all([
+      Schedule.find({ classId: { $in: sourceClassIds }, isActive: true }),
+      promoteStudents
+        ? ClassEnrollment.distinct('studentId', { classId: { $in: sourceClassIds }, isActive: true })
+        : [],
+    ]);
+    const studentQuery = { _id: { $in: studentIds }, role: 'student' };
+    const studentsInFinalSemester = await User.countDocuments({ ...studentQuery, semester: String(FINAL_SEMESTER) });
+
+    const summary = {
+      classesArchived: cloneSchedules ? sourceClasses.length : 0,
+      classesCloned: cloneSchedules ? sourceClasses.length : 0,
+      schedulesCloned: cloneSchedules ? schedules.length : 0,
+      studentsPromoted: promoteStudents ? await User.countDocuments(studentQuery) - studentsInFinalSemester : 0,
+      studentsInFinalSemester,
+    };
+
+    if (dryRun) {
+      return res.json({ dryRun: true, summary, errors: [] });
+    }
+
+    // Claim the target term first so a retried or parallel request cannot promote students twice
+    const claimed = await AcademicTerm.findOneAndUpdate(
+      { _id: targetTerm._id, rolledOverAt: null },
+      { $set: { rolledOverAt: new Date(), rolledOverFrom: sourceTerm._id } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('Term has already been rolled over');
+    }
+
+    const errors = [];
+    if (cloneSchedules) {
+      summary.classesCloned = 0;
+      summary.schedulesCloned = 0;
+      const clonesBySourceId = new Map();
+      for (const sourceClass of sourceClasses) {
+        try {
+          const { clone, created } = await cloneClassIntoTerm(sourceClass, targetTerm._id, req.user._id);
+          clonesBySourceId.set(sourceClass._id.toString(), clone);
+          if (created) summary.classesCloned += 1;
+        } catch (error) {
+          errors.push({ classId: sourceClass._id, error: error.message });
+        }
+      }
+
+      for (const schedule of schedules) {
+        const clone = clonesBySourceId.get(schedule.classId.toString());
+        if (!clone) continue;
+        try {
+          const { teacherId, sessionType, dayOfWeek, startTime, endTime, roomNumber, semester, location } = schedule;
+          // A retried rollover keeps the schedules it cloned the first time
+          if (await Schedule.exists({ classId: clone._id, dayOfWeek, startTime, roomNumber, termId: targetTerm._id })) {
+            continue;
+          }
+          await new Schedule({
+            classId: clone._id,
+            teacherId,
+            sessionType,
+            dayOfWeek,
+            startTime,
+            endTime,
+            roomNumber,
+            semester,
+            academicYear: targetTerm.academicYear,
+            location,
+            termId: targetTerm._id,
+          }).save();
+          summary.schedulesCloned += 1;
+        } catch (error) {
+          errors.push({ scheduleId: schedule._id, error: error.message });
+        }
+      }
+    }
+
+    // A partial rollover changes nothing in the source term and releases the
+    // claim, so it can be retried once the failures are fixed
+    if (errors.length) {
+      await AcademicTerm.updateOne(
+        { _id: targetTerm._id },
+        { $set: { rolledOverAt: null, rolledOverFrom: null } }
+      );
+      await new AuditLog({
+        userId: req.user._id,
+        action: 'ROLLOVER_TERM',
+        details: { fromTermId: sourceTerm._id, toTermId: targetTerm._id, ...summary, errorCount: errors.length },
+        status: 'failed',
+      }).save();
+      return res.status(409).json({
+        error: 'Some classes or schedules could not be cloned; the term was not rolled over',
+        summary,
+        errors,
+      });
+    }
+
+    // Only classes that now live on in the target term are archived
+    if (cloneSchedules) {
+      await Schedule.updateMany({ classId: { $in: sourceClassIds }, isActive: true }, { $set: { isActive: false } });
+      await Class.updateMany({ _id: { $in: sourceClassIds } }, { $set: { archivedAt: new Date() } });
+    }
+
+    if (promoteStudents) {
+      summary.studentsPromoted = 0;
+      // Highest semester first so nobody is promoted twice
+      for (let semester = FINAL_SEMESTER - 1; semester >= 1; semester -= 1) {
+        const result = await User.updateMany(
+          { ...studentQuery, semester: String(semester) },
+          { $set: { semester: String(semester + 1), year: String(Math.ceil((semester + 1) / 2)) } }
+        );
+        summary.studentsPromoted += result.modifiedCount;
+      }
+    }
+
+    await AcademicTerm.updateMany({ _id: { $ne: targetTerm._id }, isActive: true }, { $set: { isActive: false } });
+    claimed.isActive = true;
+    await claimed.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'ROLLOVER_TERM',
+      details: { fromTermId: sourceTerm._id, toTermId: targetTerm._id, ...summary, errorCount: errors.length },
+      status: 'success',
+    }).save();
+
+    res.json({ dryRun: false, summary, errors, term: claimed });
+  } catch (err) {
+    logger.error('Term rollover error:', err);
+    res.status(termErrorStatus(err)).json({ error: err.message });
+  }
+};
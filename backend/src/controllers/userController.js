@@ -1,10 +1,28 @@
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
 import logger from '../utils/logger.js';
 import { User } from '../models/userModel.js';
+import { Class } from '../models/classModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { ClassTeacher } from '../models/classTeacherModel.js';
 import { AuditLog } from '../models/auditLogModel.js';
+import { createSession } from '../utils/tokens.js';
+import { clearLoginFailures } from '../utils/loginLockout.js';
+import { getStorage, generateStorageKey } from '../utils/storage.js';
+import { queueMail, buildAppUrl } from '../utils/mailer.js';
+import { parseRosterFile, generateTemporaryPassword } from '../utils/rosterImport.js';
+import { enrollStudentInClass } from '../utils/enrollment.js';
 
 const SALT_ROUNDS = 10;
 
+// Square edge length in pixels of the stored profile picture variants
+const PROFILE_PICTURE_SIZES = {
+  full: parseInt(process.env.PROFILE_PICTURE_FULL_SIZE || '512', 10),
+  thumbnail: parseInt(process.env.PROFILE_PICTURE_THUMBNAIL_SIZE || '128', 10),
+};
+
 /**
  * Get user profile
  * @route GET /api/users/profile
@@ -149,7 +167,13 @@ export const changePassword = async (req, res) => {
 
     logger.info('Password changed successfully', { userId: user._id });
 
-    res.json({ message: 'Password updated successfully' });
+    // The save revoked every session, so hand this device a fresh one
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+
+    res.json({
+      message: 'Password updated successfully',
+      data: { token: accessToken, refreshToken, expiresIn },
+    });
   } catch (err) {
     logger.error('Change password error:', err);
     res.status(400).json({ error: err.message });
@@ -194,6 +218,10 @@ export const createUser = async (req, res) => {
       fullName,
       role,
       faceEmbedding: faceEmbedding || [],
+      // Embeddings supplied by an admin are trusted as the approved reference
+      ...(faceEmbedding?.length ? {
+        faceEnrollment: { status: 'approved', reviewedBy: req.user?._id, reviewedAt: new Date() }
+      } : {}),
       ...(role === 'student' ? { enrollmentNo } : {})
     });
 
@@ -209,6 +237,13 @@ export const createUser = async (req, res) => {
       status: 'success'
     }).save();
 
+    await queueMail('accountCreated', user.email, {
+      fullName: user.fullName,
+      email: user.email,
+      role: user.role,
+      loginUrl: buildAppUrl('/login'),
+    });
+
     res.status(201).json({
       id: user._id,
       email: user.email,
@@ -228,6 +263,216 @@ export const createUser = async (req, res) => {
   }
 };
 
+// Roster columns copied onto the user; student-only fields are skipped for other roles
+const IMPORT_FIELDS = ['fullName', 'phoneNumber', 'department'];
+const IMPORT_STUDENT_FIELDS = ['enrollmentNo', 'division', 'semester', 'year'];
+const IMPORT_ROLES = ['student', 'teacher'];
+
+const getImportMaxRows = () => parseInt(process.env.USER_IMPORT_MAX_ROWS || '2000', 10);
+
+// Pick the class a roster row enrolls into, by subject code and the student's division
+const resolveImportClass = (classes, subjectCode, user) => {
+  let matches = classes.filter((c) => c.subjectCode === subjectCode && c.division === user.division);
+  if (matches.length > 1) {
+    matches = matches.filter((c) => c.semester === user.semester);
+  }
+  if (matches.length === 1) {
+    return matches[0];
+  }
+  throw new Error(matches.length
+    ? `Several classes match ${subjectCode} division ${user.division}`
+    : `No class found for ${subjectCode} division ${user.division}`);
+};
+
+/**
+ * Validate one roster row and build the user it creates or updates.
+ * Nothing is written; errors are collected so every problem is reported at once.
+ */
+const prepareImportRow = (row, context) => {
+  const { defaultRole, usersByEmail, usersByEnrollmentNo, classes, seenEmails, seenEnrollmentNos } = context;
+  const errors = [];
+  const role = row.role || defaultRole;
+
+  if (!row.email) {
+    errors.push('Email is required');
+  } else if (seenEmails.has(row.email)) {
+    errors.push(`Duplicate email, already used on row ${seenEmails.get(row.email)}`);
+  } else {
+    seenEmails.set(row.email, row.rowNumber);
+  }
+
+  if (!IMPORT_ROLES.includes(role)) {
+    errors.push(`Role must be one of: ${IMPORT_ROLES.join(', ')}`);
+  }
+
+  if (role === 'student' && row.enrollmentNo) {
+    if (seenEnrollmentNos.has(row.enrollmentNo)) {
+      errors.push(`Duplicate enrollment number, already used on row ${seenEnrollmentNos.get(row.enrollmentNo)}`);
+    } else {
+      seenEnrollmentNos.set(row.enrollmentNo, row.rowNumber);
+    }
+    const owner = usersByEnrollmentNo.get(row.enrollmentNo);
+    if (owner && owner.email !== row.email) {
+      errors.push('Enrollment number belongs to another user');
+    }
+  }
+
+  const fields = {};
+  for (const field of [...IMPORT_FIELDS, ...(role === 'student' ? IMPORT_STUDENT_FIELDS : [])]) {
+    if (row[field] !== undefined) fields[field] = row[field];
+  }
+
+  let user = usersByEmail.get(row.email);
+  let action;
+  if (user) {
+    if (user.deletedAt) {
+      errors.push('User has been deleted');
+    } else if (user.role !== role) {
+      errors.push(`Existing user is a ${user.role}; roles cannot be changed by import`);
+    }
+    user.set(fields);
+    action = user.isModified() ? 'updated' : 'unchanged';
+  } else {
+    // Placeholder hash so schema validation passes; the real one is set on import
+    user = new User({ email: row.email, role, passwordHash: 'pending', ...fields });
+    action = 'created';
+  }
+
+  const validationError = user.validateSync();
+  if (validationError) {
+    errors.push(...Object.values(validationError.errors).map((e) => e.message));
+  }
+
+  const enrollInto = [];
+  if (row.subjectCodes.length && role !== 'student') {
+    errors.push('Only students can be enrolled in classes');
+  } else {
+    for (const subjectCode of row.subjectCodes) {
+      try {
+        enrollInto.push(resolveImportClass(classes, subjectCode, user));
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+  }
+
+  return { user, action, enrollInto, errors };
+};
+
+/**
+ * Import users from a CSV or XLSX roster (Admin only)
+ * Existing users are matched by email and updated; new users get a temporary
+ * password. Rows may list subject codes to enroll students into the class of
+ * their division. With `dryRun` the roster is only validated.
+ * @route POST /api/users/import
+ * @access Admin
+ */
+export const importUsers = async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const defaultRole = req.body.defaultRole || 'student';
+
+    const rows = await parseRosterFile(req.file);
+    if (!rows.length) {
+      return res.status(400).json({ error: 'Roster file has no data rows' });
+    }
+    if (rows.length > getImportMaxRows()) {
+      return res.status(400).json({ error: `Roster file has more than ${getImportMaxRows()} rows` });
+    }
+
+    // Load every user and class the roster refers to up front
+    const emails = rows.map((row) => row.email).filter(Boolean);
+    const enrollmentNos = rows.map((row) => row.enrollmentNo).filter(Boolean);
+    const existingUsers = await User.find({
+      $or: [{ email: { $in: emails } }, { enrollmentNo: { $in: enrollmentNos } }]
+    });
+    // Archived copies left behind by term rollover share the subject code
+    const classes = await Class.find({
+      subjectCode: { $in: [...new Set(rows.flatMap((row) => row.subjectCodes))] },
+      archivedAt: null,
+    })
+      .select('subjectCode subjectName semester division');
+
+    const context = {
+      defaultRole,
+      usersByEmail: new Map(existingUsers.map((u) => [u.email, u])),
+      usersByEnrollmentNo: new Map(existingUsers.filter((u) => u.enrollmentNo).map((u) => [u.enrollmentNo, u])),
+      classes,
+      seenEmails: new Map(),
+      seenEnrollmentNos: new Map(),
+    };
+
+    const results = [];
+    const summary = { total: rows.length, created: 0, updated: 0, unchanged: 0, failed: 0, enrollments: 0 };
+
+    for (const row of rows) {
+      const { user, action, enrollInto, errors } = prepareImportRow(row, context);
+      const result = { row: row.rowNumber, email: row.email, action };
+
+      if (errors.length) {
+        results.push({ ...result, action: 'failed', errors });
+        summary.failed += 1;
+        continue;
+      }
+
+      if (dryRun) {
+        result.enrollments = enrollInto.map((c) => ({ classId: c._id, subjectCode: c.subjectCode }));
+      } else {
+        try {
+          if (action === 'created') {
+            result.temporaryPassword = generateTemporaryPassword();
+            const salt = await bcrypt.genSalt(SALT_ROUNDS);
+            user.passwordHash = await bcrypt.hash(result.temporaryPassword, salt);
+          }
+          if (action !== 'unchanged') {
+            await user.save();
+          }
+          if (action === 'created') {
+            await queueMail('accountCreated', user.email, {
+              fullName: user.fullName,
+              email: user.email,
+              role: user.role,
+              loginUrl: buildAppUrl('/login'),
+            });
+          }
+
+          result.id = user._id;
+          result.enrollments = [];
+          for (const classDoc of enrollInto) {
+            const { status } = await enrollStudentInClass(classDoc._id, user._id, {
+              performedBy: req.user._id,
+              reason: 'Roster import',
+            });
+            result.enrollments.push({ classId: classDoc._id, subjectCode: classDoc.subjectCode, status });
+          }
+        } catch (err) {
+          results.push({ ...result, action: 'failed', errors: [err.message] });
+          summary.failed += 1;
+          continue;
+        }
+      }
+
+      summary[action] += 1;
+      summary.enrollments += result.enrollments.filter((e) => e.status !== 'existing').length;
+      results.push(result);
+    }
+
+    if (!dryRun) {
+      await new AuditLog({
+        userId: req.user._id,
+        action: 'IMPORT_USERS',
+        details: { fileName: req.file.originalname, ...summary },
+        status: summary.failed === summary.total ? 'failed' : 'success'
+      }).save();
+    }
+
+    res.json({ dryRun, summary, results });
+  } catch (err) {
+    logger.error('Import users error:', err);
+    res.status(400).json({ error: err.message });
+  }
+};
+
 /**
  * Get all users (Admin only)
  * @route GET /api/users
@@ -235,9 +480,17 @@ export const createUser = async (req, res) => {
  */
 export const getAllUsers = async (req, res) => {
   try {
-    const { role, search, limit = 10, page = 1 } = req.query;
+    const { role, search, isActive, includeDeleted, limit = 10, page = 1 } = req.query;
     
     let query = {};
+
+    // Deleted accounts are hidden unless explicitly requested
+    if (includeDeleted !== 'true') {
+      query.deletedAt = null;
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
     
     // Filter by role
     if (role) {
@@ -288,7 +541,7 @@ export const getStudents = async (req, res) => {
   try {
     const { search, limit = 50 } = req.query;
     
-    let query = { role: 'student' };
+    let query = { role: 'student', isActive: true, deletedAt: null };
     
     // Search by name, email, or enrollment number
     if (search) {
@@ -317,38 +570,120 @@ export const getStudents = async (req, res) => {
  * @access Private
  */
 export const uploadProfilePicture = async (req, res) => {
+  const storedKeys = [];
   try {
-    // In a real implementation, you would handle file upload here
-    // For now, we'll assume the file URL is provided in the request body
-    const { profilePictureUrl } = req.body;
-
-    if (!profilePictureUrl) {
-      return res.status(400).json({ error: 'Profile picture URL is required' });
+    if (!req.file) {
+      return res.status(400).json({ error: 'Profile picture file is required' });
     }
 
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id)
+      .select('+profilePicture.fullKey +profilePicture.thumbnailKey');
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Trust the decoded image, not the client-supplied MIME type
+    let metadata;
+    try {
+      metadata = await sharp(req.file.buffer).metadata();
+    } catch (decodeErr) {
+      return res.status(400).json({ error: 'Profile picture must be a valid JPEG or PNG image' });
+    }
+    if (!['jpeg', 'png'].includes(metadata.format)) {
+      return res.status(400).json({ error: 'Profile picture must be a JPEG or PNG image' });
+    }
+
+    const [fullImage, thumbnailImage] = await Promise.all([
+      sharp(req.file.buffer)
+        .rotate()
+        .resize(PROFILE_PICTURE_SIZES.full, PROFILE_PICTURE_SIZES.full, { fit: 'cover' })
+        .jpeg({ quality: 85 })
+        .toBuffer(),
+      sharp(req.file.buffer)
+        .rotate()
+        .resize(PROFILE_PICTURE_SIZES.thumbnail, PROFILE_PICTURE_SIZES.thumbnail, { fit: 'cover' })
+        .jpeg({ quality: 80 })
+        .toBuffer(),
+    ]);
+
+    const storage = getStorage();
+    const fullKey = generateStorageKey(`profile-pictures/${user._id}`, 'full.jpg');
+    const thumbnailKey = generateStorageKey(`profile-pictures/${user._id}`, 'thumbnail.jpg');
+    await storage.save(fullKey, fullImage, { contentType: 'image/jpeg' });
+    storedKeys.push(fullKey);
+    await storage.save(thumbnailKey, thumbnailImage, { contentType: 'image/jpeg' });
+    storedKeys.push(thumbnailKey);
+
+    const previousKeys = [user.profilePicture?.fullKey, user.profilePicture?.thumbnailKey].filter(Boolean);
+
+    const profilePictureUrl = `/api/users/${user._id}/profile-picture`;
+    user.profilePicture = { fullKey, thumbnailKey };
     user.profilePictureUrl = profilePictureUrl;
     await user.save();
+    // The user now references the new files; later failures must not remove them
+    storedKeys.length = 0;
+
+    // Replaced pictures are removed once the new one is saved
+    await Promise.all(previousKeys.map((key) => storage.remove(key).catch((removeErr) => {
+      logger.error('Failed to remove old profile picture:', removeErr);
+    })));
 
     // Log the upload
     await new AuditLog({
       userId: user._id,
       action: 'UPDATE_PROFILE_PICTURE',
-      details: { profilePictureUrl },
+      details: { profilePictureUrl, originalFormat: metadata.format, replaced: previousKeys.length > 0 },
       status: 'success'
     }).save();
 
-    res.json({ profilePictureUrl });
+    res.json({
+      profilePictureUrl,
+      thumbnailUrl: `${profilePictureUrl}?size=thumbnail`,
+    });
   } catch (err) {
     logger.error('Upload profile picture error:', err);
+    await Promise.all(storedKeys.map((key) => getStorage().remove(key).catch(() => {})));
     res.status(400).json({ error: err.message });
   }
 };
 
+/**
+ * Get a user's profile picture
+ * @route GET /api/users/:id/profile-picture?size=full|thumbnail
+ * @access Private
+ */
+export const getProfilePicture = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const size = req.query.size === 'thumbnail' ? 'thumbnail' : 'full';
+
+    const user = await User.findById(id)
+      .select('+profilePicture.fullKey +profilePicture.thumbnailKey');
+    const key = size === 'thumbnail' ? user?.profilePicture?.thumbnailKey : user?.profilePicture?.fullKey;
+    if (!key) {
+      return res.status(404).json({ error: 'Profile picture not found' });
+    }
+
+    const stream = await getStorage().createReadStream(key);
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    stream.on('error', (streamErr) => {
+      logger.error('Profile picture stream error:', streamErr);
+      res.destroy(streamErr);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    logger.error('Get profile picture error:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Profile picture not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
 /**
  * Get user by ID (Admin only)
  * @route GET /api/users/:id
@@ -375,6 +710,12 @@ export const getUserById = async (req, res) => {
       semester: user.semester,
       year: user.year,
       profilePictureUrl: user.profilePictureUrl,
+      isActive: user.isActive,
+      passwordResetRequired: user.passwordResetRequired,
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockedUntil: user.lockedUntil,
+      deletedAt: user.deletedAt,
+      lastLoginAt: user.lastLoginAt,
     });
   } catch (err) {
     logger.error('Get user by ID error:', err);
@@ -384,3 +725,288 @@ export const getUserById = async (req, res) => {
     res.status(500).json({ error: err.message });
   }
 };
+
+// Fields an admin may change through PUT /api/users/:id
+const ADMIN_UPDATABLE_FIELDS = [
+  'email', 'fullName', 'role', 'enrollmentNo', 'phoneNumber',
+  'department', 'division', 'semester', 'year',
+];
+
+// Loads a non-deleted user for an admin action, refusing actions on the admin's own account
+const findManagedUser = async (req, { allowSelf = false } = {}) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    throw new Error('Invalid user ID');
+  }
+  if (!allowSelf && id === req.user._id.toString()) {
+    throw new Error('Admins cannot perform this action on their own account');
+  }
+  const user = await User.findOne({ _id: id, deletedAt: null });
+  if (!user) {
+    throw new Error('User not found');
+  }
+  return user;
+};
+
+const adminErrorStatus = (err) =>
+  err.message === 'User not found' ? 404 :
+  err.message.includes('already') ? 409 : 400;
+
+/**
+ * Update any user (Admin only)
+ * @route PUT /api/users/:id
+ * @access Admin
+ */
+export const updateUser = async (req, res) => {
+  try {
+    const user = await findManagedUser(req, { allowSelf: true });
+
+    if (req.body.email && req.body.email !== user.email) {
+      const emailExists = await User.findOne({ email: req.body.email, _id: { $ne: user._id } });
+      if (emailExists) {
+        throw new Error('Email is already in use');
+      }
+    }
+    if (req.body.enrollmentNo && req.body.enrollmentNo !== user.enrollmentNo) {
+      const enrollmentExists = await User.findOne({ enrollmentNo: req.body.enrollmentNo, _id: { $ne: user._id } });
+      if (enrollmentExists) {
+        throw new Error('Enrollment number is already in use');
+      }
+    }
+
+    // Role changes would orphan class links, so require them to be removed first
+    if (req.body.role && req.body.role !== user.role) {
+      if (user._id.toString() === req.user._id.toString()) {
+        throw new Error('Admins cannot change their own role');
+      }
+      const [enrollments, assignments] = await Promise.all([
+        ClassEnrollment.countDocuments({ studentId: user._id, isActive: true }),
+        ClassTeacher.countDocuments({ teacherId: user._id }),
+      ]);
+      if (enrollments || assignments) {
+        throw new Error('Cannot change role while the user has class enrollments or assignments');
+      }
+    }
+
+    const changes = {};
+    for (const field of ADMIN_UPDATABLE_FIELDS) {
+      if (req.body[field] !== undefined && req.body[field] !== user[field]) {
+        changes[field] = { from: user[field], to: req.body[field] };
+        user[field] = req.body[field];
+      }
+    }
+
+    await user.save();
+
+    if (Object.keys(changes).length) {
+      await new AuditLog({
+        userId: req.user._id,
+        action: 'ADMIN_UPDATE_USER',
+        details: { targetUserId: user._id, changes },
+        status: 'success'
+      }).save();
+    }
+
+    res.json({
+      id: user._id,
+      email: user.email,
+      fullName: user.fullName,
+      role: user.role,
+      enrollmentNo: user.enrollmentNo,
+      phoneNumber: user.phoneNumber,
+      department: user.department,
+      division: user.division,
+      semester: user.semester,
+      year: user.year,
+      profilePictureUrl: user.profilePictureUrl,
+      isActive: user.isActive,
+    });
+  } catch (err) {
+    logger.error('Admin update user error:', err);
+    res.status(adminErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * Deactivate or reactivate a user (Admin only)
+ * @route PATCH /api/users/:id/status
+ * @access Admin
+ */
+export const updateUserStatus = async (req, res) => {
+  try {
+    const { isActive, reason } = req.body;
+    const user = await findManagedUser(req);
+
+    if (user.isActive === isActive) {
+      throw new Error(`User is already ${isActive ? 'active' : 'deactivated'}`);
+    }
+
+    // Deactivation bumps tokenVersion on save, signing the user out everywhere
+    user.isActive = isActive;
+    await user.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: isActive ? 'REACTIVATE_USER' : 'DEACTIVATE_USER',
+      details: { targetUserId: user._id, email: user.email, reason },
+      status: 'success'
+    }).save();
+
+    res.json({
+      message: isActive ? 'User reactivated successfully' : 'User deactivated successfully',
+      id: user._id,
+      isActive: user.isActive,
+    });
+  } catch (err) {
+    logger.error('Update user status error:', err);
+    res.status(adminErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * Force a user to reset their password (Admin only)
+ * @route POST /api/users/:id/force-password-reset
+ * @access Admin
+ */
+export const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await findManagedUser(req);
+
+    // Same token scheme as POST /api/auth/forgot-password, with a longer expiry
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    user.passwordResetExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'FORCE_PASSWORD_RESET',
+      details: { targetUserId: user._id, email: user.email },
+      status: 'success'
+    }).save();
+
+    await queueMail('passwordReset', user.email, {
+      fullName: user.fullName,
+      resetUrl: buildAppUrl('/reset-password', { token: resetToken }),
+      expiresInMinutes: 24 * 60,
+      forcedByAdmin: true,
+    });
+
+    res.json({
+      message: 'User must reset their password before signing in again',
+      id: user._id,
+      // In development, return the token for testing
+      ...(process.env.NODE_ENV === 'development' && { resetToken })
+    });
+  } catch (err) {
+    logger.error('Force password reset error:', err);
+    res.status(adminErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * Soft-delete a user and detach them from their classes (Admin only)
+ * @route DELETE /api/users/:id
+ * @access Admin
+ */
+export const deleteUser = async (req, res) => {
+  try {
+    const user = await findManagedUser(req);
+
+    user.isActive = false;
+    user.deletedAt = new Date();
+    user.deletedBy = req.user._id;
+    await user.save();
+
+    const enrollmentResult = await ClassEnrollment.updateMany(
+      { studentId: user._id, isActive: true },
+      {
+        $set: { isActive: false },
+        $push: { history: { action: 'withdrawn', reason: 'Account deleted', performedBy: req.user._id, at: new Date() } }
+      }
+    );
+
+    // ClassTeacher has no active flag, so keep the removed class IDs in the audit trail
+    const assignments = await ClassTeacher.find({ teacherId: user._id }).select('classId');
+    await ClassTeacher.deleteMany({ teacherId: user._id });
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'DELETE_USER',
+      details: {
+        targetUserId: user._id,
+        email: user.email,
+        role: user.role,
+        enrollmentsDeactivated: enrollmentResult.modifiedCount,
+        removedTeacherClassIds: assignments.map((a) => a.classId),
+      },
+      status: 'success'
+    }).save();
+
+    res.json({
+      message: 'User deleted successfully',
+      enrollmentsDeactivated: enrollmentResult.modifiedCount,
+      teacherAssignmentsRemoved: assignments.length,
+    });
+  } catch (err) {
+    logger.error('Delete user error:', err);
+    res.status(adminErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * Unlock an account locked after failed logins (Admin only)
+ * @route POST /api/users/:id/unlock
+ * @access Admin
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await findManagedUser(req);
+
+    const wasLocked = Boolean(user.lockedUntil && user.lockedUntil > new Date());
+    await clearLoginFailures(user._id);
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'UNLOCK_ACCOUNT',
+      details: { targetUserId: user._id, email: user.email, wasLocked, failedLoginAttempts: user.failedLoginAttempts },
+      status: 'success'
+    }).save();
+
+    res.json({ message: 'Account unlocked successfully', id: user._id, wasLocked });
+  } catch (err) {
+    logger.error('Unlock user error:', err);
+    res.status(adminErrorStatus(err)).json({ error: err.message });
+  }
+};
+
+/**
+ * Reset two-factor authentication for a user who lost their device (Admin only)
+ * @route POST /api/users/:id/reset-2fa
+ * @access Admin
+ */
+export const resetTwoFactor = async (req, res) => {
+  try {
+    const user = await findManagedUser(req);
+
+    if (!user.twoFactor?.enabled) {
+      throw new Error('Two-factor authentication is already disabled for this user');
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await new AuditLog({
+      userId: req.user._id,
+      action: 'RESET_2FA',
+      details: { targetUserId: user._id, email: user.email },
+      status: 'success'
+    }).save();
+
+    res.json({ message: 'Two-factor authentication reset successfully', id: user._id });
+  } catch (err) {
+    logger.error('Reset two-factor error:', err);
+    res.status(adminErrorStatus(err)).json({ error: err.message });
+  }
+};
@@ -0,0 +1,94 @@
+import logger from '../utils/logger.js';
+import { MailMessage } from '../models/mailMessageModel.js';
+import { getMailTransport, getMailFrom } from '../utils/mailer.js';
+
+const BATCH_SIZE = 20;
+
+// Messages stuck in `sending` this long (e.g. after a crash) are retried
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+let running = false;
+
+const getRetrySettings = () => ({
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || '5', 10),
+  baseDelaySeconds: parseInt(process.env.MAIL_RETRY_BASE_SECONDS || '60', 10),
+});
+
+// Claim the next due message so concurrent workers never send it twice
+const claimNextMessage = () =>
+  MailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+        { status: 'sending', lockedAt: { $lte: new Date(Date.now() - STALE_LOCK_MS) } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+// Deliver due messages, retrying failures with exponential backoff
+export const processMailQueue = async () => {
+  if (running) return 0;
+  running = true;
+
+  let sent = 0;
+  try {
+    const { maxAttempts, baseDelaySeconds } = getRetrySettings();
+
+    for (let i = 0; i < BATCH_SIZE; i += 1) {
+      const message = await claimNextMessage();
+      if (!message) break;
+
+      try {
+        await getMailTransport().send({
+          from: getMailFrom(),
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+        });
+        await MailMessage.updateOne(
+          { _id: message._id },
+          { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedAt: 1, lastError: 1 } }
+        );
+        sent += 1;
+      } catch (err) {
+        const exhausted = message.attempts >= maxAttempts;
+        const delayMs = baseDelaySeconds * 2 ** (message.attempts - 1) * 1000;
+        await MailMessage.updateOne(
+          { _id: message._id },
+          {
+            $set: {
+              status: exhausted ? 'failed' : 'queued',
+              lastError: err.message,
+              nextAttemptAt: new Date(Date.now() + delayMs),
+            },
+            $unset: { lockedAt: 1 },
+          }
+        );
+        logger.error('Mail delivery failed:', {
+          messageId: message._id,
+          template: message.template,
+          attempt: message.attempts,
+          gaveUp: exhausted,
+          error: err.message,
+        });
+      }
+    }
+  } catch (err) {
+    logger.error('Mail queue job error:', err);
+  } finally {
+    running = false;
+  }
+  return sent;
+};
+
+// Start polling the mail queue; returns the interval handle
+export const startMailQueueJob = () => {
+  const intervalSeconds = parseInt(process.env.MAIL_QUEUE_INTERVAL_SECONDS || '15', 10);
+  const timer = setInterval(processMailQueue, intervalSeconds * 1000);
+  timer.unref();
+  logger.info(`Mail queue job started (every ${intervalSeconds}s)`);
+  return timer;
+};
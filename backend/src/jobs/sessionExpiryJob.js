@@ -0,0 +1,46 @@
+import logger from '../utils/logger.js';
+import { QRCodeSession } from '../models/qrCodeSessionModel.js';
+import { markAbsenteesForSession } from '../utils/absenceMarker.js';
+
+const BATCH_SIZE = 50;
+
+let running = false;
+
+// Mark absences for QR sessions that expired without being terminated
+export const processExpiredSessions = async () => {
+  if (running) return 0;
+  running = true;
+
+  let processed = 0;
+  try {
+    const sessions = await QRCodeSession.find({
+      expiresAt: { $lte: new Date() },
+      absencesMarkedAt: null,
+    })
+      .sort({ expiresAt: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const session of sessions) {
+      try {
+        await markAbsenteesForSession(session);
+        processed += 1;
+      } catch (err) {
+        logger.error('Failed to mark absences for expired session:', { sessionId: session.sessionId, error: err.message });
+      }
+    }
+  } catch (err) {
+    logger.error('Session expiry job error:', err);
+  } finally {
+    running = false;
+  }
+  return processed;
+};
+
+// Start polling for expired sessions; returns the interval handle
+export const startSessionExpiryJob = () => {
+  const intervalSeconds = parseInt(process.env.SESSION_EXPIRY_JOB_INTERVAL_SECONDS || '60', 10);
+  const timer = setInterval(processExpiredSessions, intervalSeconds * 1000);
+  timer.unref();
+  logger.info(`Session expiry job started (every ${intervalSeconds}s)`);
+  return timer;
+};
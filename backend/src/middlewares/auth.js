@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/userModel.js';
+import { UserSession } from '../models/userSessionModel.js';
+import { verifyTwoFactorChallenge } from '../utils/tokens.js';
 
 export const authMiddleware = async (req, res, next) => {
   // Check for token in Authorization header
@@ -14,11 +16,33 @@ export const authMiddleware = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Two-factor challenge tokens only unlock the second login step
+    if (decoded.purpose) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
     // Attach user to request
     req.user = await User.findById(decoded.id);
-    if (!req.user) {
+    if (!req.user || req.user.deletedAt) {
       return res.status(401).json({ error: 'User not found' });
     }
+    if (!req.user.isActive) {
+      return res.status(403).json({ error: 'Account is deactivated' });
+    }
+
+    // Tokens issued before a password change or deactivation carry an old version
+    if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+
+    // Logged-out or revoked sessions lose their access tokens immediately
+    if (decoded.sid) {
+      const session = await UserSession.findOne({ _id: decoded.sid, userId: req.user._id, revokedAt: null });
+      if (!session) {
+        return res.status(401).json({ error: 'Token revoked' });
+      }
+      req.sessionId = session._id;
+    }
 
     next();
   } catch (err) {
@@ -33,4 +57,22 @@ export const roleMiddleware = (roles) => (req, res, next) => {
     return res.status(403).json({ error: `Access restricted to ${roles.join(' or ')}` });
   }
   next();
-};
\ No newline at end of file
+};
+
+// Accepts a two-factor challenge token from the body in place of an access token,
+// so a user who is half way through login can finish the second step
+export const twoFactorChallengeMiddleware = (purposes) => async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    const { user, purpose } = await verifyTwoFactorChallenge(req.body.challengeToken, purposes);
+    req.user = user;
+    req.twoFactorChallenge = purpose;
+    next();
+  } catch (err) {
+    const errorMsg = err.name === 'TokenExpiredError' ? 'Challenge expired, please log in again' : 'Invalid challenge token';
+    res.status(401).json({ error: errorMsg });
+  }
+};
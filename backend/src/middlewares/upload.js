@@ -0,0 +1,25 @@
+import multer from 'multer';
+
+// Multer instance that keeps the file in memory and filters by MIME type
+export const createUpload = ({ allowedMimeTypes, maxFileSizeMB }) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSizeMB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedMimeTypes.includes(file.mimetype)) {
+        return cb(new Error(`Unsupported file type: ${file.mimetype}`));
+      }
+      cb(null, true);
+    },
+  });
+
+// Wrap a multer middleware so upload errors become JSON 400 responses
+export const handleUpload = (uploadMiddleware) => (req, res, next) => {
+  uploadMiddleware(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import { body, param, query, check, validationResult } from 'express-validator';
+import { ASSIGNMENT_TYPES } from '../models/gradeModel.js';
+import { ANOMALY_FLAG_TYPES } from '../models/attendanceModel.js';
 
 export const validate = (validations) => async (req, res, next) => {
   await Promise.all(validations.map((validation) => validation.run(req)));
@@ -87,6 +89,47 @@ export const resetPasswordValidation = [
     .withMessage('Password must be at least 6 characters with at least one uppercase letter, one lowercase letter, and one number'),
 ];
 
+export const refreshTokenValidation = [
+  body('refreshToken').notEmpty().isString().withMessage('Refresh token is required'),
+];
+
+export const logoutValidation = [
+  body('allDevices').optional().isBoolean().withMessage('allDevices must be a boolean').toBoolean(),
+];
+
+export const userSessionIdValidation = [
+  param('id').isMongoId().withMessage('Invalid session ID'),
+];
+
+export const twoFactorCodeValidation = [
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+];
+
+export const twoFactorLoginValidation = [
+  body('challengeToken').notEmpty().isString().withMessage('Challenge token is required'),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body().custom((value, { req }) => {
+    if (!req.body.code && !req.body.recoveryCode) {
+      throw new Error('Code or recovery code is required');
+    }
+    return true;
+  }),
+];
+
+export const disableTwoFactorValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+];
+
+export const twoFactorPolicyValidation = [
+  body('requiredRoles')
+    .isArray()
+    .withMessage('Required roles must be an array')
+    .custom((value) => value.every((role) => ['teacher', 'admin'].includes(role)))
+    .withMessage('Two-factor can only be required for teacher or admin'),
+];
+
 // User validations
 export const createUserValidation = [
   body('enrollmentNo')
@@ -137,17 +180,55 @@ export const updateUserValidation = [
   body('profilePictureUrl').optional().isURL().withMessage('Invalid URL format'),
 ];
 
+export const userIdValidation = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+];
+
+export const adminUpdateUserValidation = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Invalid email format'),
+  body('fullName').optional().notEmpty().isString().withMessage('Full name must be a string'),
+  body('role').optional().isIn(['teacher', 'student', 'admin']).withMessage('Role must be teacher, student, or admin'),
+  body('enrollmentNo')
+    .optional()
+    .isString()
+    .matches(/^[A-Z]{2}\d{2}[A-Z]{4}\d{3}$/)
+    .withMessage('Enrollment number must be in the format ETXXBTXX000'),
+  body('phoneNumber').optional().matches(/^\+?[\d\s-()]{10,}$/).withMessage('Invalid phone number format'),
+  body('department').optional().notEmpty().withMessage('Department cannot be empty'),
+  body('division').optional().notEmpty().withMessage('Division cannot be empty'),
+  body('semester').optional().isIn(['1', '2', '3', '4', '5', '6', '7', '8']).withMessage('Invalid semester'),
+  body('year').optional().isIn(['1', '2', '3', '4']).withMessage('Invalid year'),
+];
+
+export const userStatusValidation = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('isActive').isBoolean().withMessage('isActive must be a boolean'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+];
+
+// Roster import (runs after multer has parsed the multipart body)
+export const importUsersValidation = [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  body('defaultRole').optional().isIn(['student', 'teacher']).withMessage('Default role must be student or teacher'),
+  check('file').custom((value, { req }) => {
+    if (!req.file) {
+      throw new Error('Roster file is required');
+    }
+    return true;
+  }),
+];
+
 // Validation for file upload using a custom check (requires multer middleware)
 export const profilePictureValidation = [
-  // This is a placeholder as express-validator does not directly validate files.
-  // The actual file validation should happen after a multer middleware has processed the file.
-  // The presence of a file can be checked on `req.file`
+  // express-validator does not validate files directly; multer has already
+  // filtered by MIME type, so only the presence of `req.file` is checked here.
+  // The image content itself is verified when it is decoded for resizing.
   check('profilePicture')
     .custom((value, { req }) => {
       if (!req.file) {
         throw new Error('Profile picture file is required');
       }
-      // You can add more checks here, e.g., file type or size
       return true;
     })
 ];
@@ -164,6 +245,7 @@ export const classValidation = [
   body('classYear').notEmpty().isString().withMessage('Class year is required and must be a string'),
   body('semester').notEmpty().isString().withMessage('Semester is required and must be a string'),
   body('division').notEmpty().isString().withMessage('Division is required and must be a string'),
+  body('termId').optional().isMongoId().withMessage('Invalid term ID'),
   body('teacherId')
     .optional()
     .isMongoId()
@@ -196,6 +278,123 @@ export const enrollValidation = [
     }),
 ];
 
+export const classTeacherValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  body('teacherId').isMongoId().withMessage('Invalid teacher ID'),
+  body('role').isIn(['owner', 'co_teacher', 'ta']).withMessage('Role must be owner, co_teacher or ta'),
+];
+
+export const classTeacherRoleValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  param('teacherId').isMongoId().withMessage('Invalid teacher ID'),
+  body('role').isIn(['owner', 'co_teacher', 'ta']).withMessage('Role must be owner, co_teacher or ta'),
+];
+
+export const classTeacherParamValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  param('teacherId').optional().isMongoId().withMessage('Invalid teacher ID'),
+];
+
+// Join code validations
+export const createJoinCodeValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 24 * 90 })
+    .withMessage('expiresInHours must be between 1 and 2160'),
+  body('maxUses').optional().isInt({ min: 1, max: 10000 }).withMessage('maxUses must be between 1 and 10000'),
+  body('division').optional().isString().trim().notEmpty().withMessage('Division must be a non-empty string'),
+  body('semester').optional().isIn(['1', '2', '3', '4', '5', '6', '7', '8']).withMessage('Invalid semester'),
+  body('requiresApproval').optional().isBoolean().withMessage('requiresApproval must be a boolean'),
+];
+
+export const joinCodeQueryValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  query('includeInactive').optional().isIn(['true', 'false']).withMessage('includeInactive must be true or false'),
+];
+
+export const joinCodeIdValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  param('codeId').isMongoId().withMessage('Invalid join code ID'),
+];
+
+export const redeemJoinCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .isLength({ min: 6, max: 16 })
+    .withMessage('A valid join code is required'),
+];
+
+export const joinRequestQueryValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid join request status'),
+];
+
+export const reviewJoinRequestValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  param('requestId').isMongoId().withMessage('Invalid join request ID'),
+  body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+  body('comments')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Comments must be at most 500 characters'),
+];
+
+export const bulkEnrollValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  body('studentIds').optional().isArray({ max: 1000 }).withMessage('studentIds must be an array of at most 1000 IDs'),
+  body('studentIds.*').isMongoId().withMessage('Invalid student ID'),
+  body('enrollmentNos')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('enrollmentNos must be an array of at most 1000 enrollment numbers'),
+  body('enrollmentNos.*')
+    .matches(/^[A-Z]{2}\d{2}[A-Z]{4}\d{3}$/)
+    .withMessage('Invalid enrollment number'),
+  body('match')
+    .optional()
+    .isObject()
+    .withMessage('match must be an object')
+    .custom((match) => ['division', 'semester', 'year'].some((field) => match[field]))
+    .withMessage('match needs at least one of division, semester or year'),
+  body('match.division').optional().isString().withMessage('Division must be a string'),
+  body('match.semester').optional().isIn(['1', '2', '3', '4', '5', '6', '7', '8']).withMessage('Invalid semester'),
+  body('match.year').optional().isIn(['1', '2', '3', '4']).withMessage('Invalid year'),
+  body().custom((value) => {
+    const { studentIds, enrollmentNos, match } = value;
+    const hasMatch = match && ['division', 'semester', 'year'].some((field) => match[field]);
+    if (!studentIds?.length && !enrollmentNos?.length && !hasMatch) {
+      throw new Error('Provide studentIds, enrollmentNos or match criteria');
+    }
+    return true;
+  }),
+];
+
+export const withdrawStudentValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  param('studentId').isMongoId().withMessage('Invalid student ID'),
+  body('reason')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason is required and must be at most 500 characters'),
+];
+
+export const transferStudentValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  param('studentId').isMongoId().withMessage('Invalid student ID'),
+  body('toClassId').isMongoId().withMessage('Invalid target class ID'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+];
+
+export const enrollmentHistoryValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  query('studentId').optional().isMongoId().withMessage('Invalid student ID'),
+  query('status').optional().isIn(['active', 'inactive', 'all']).withMessage('Status must be active, inactive or all'),
+];
+
 // Schedule validations
 export const createScheduleValidation = [
   body('classId').isMongoId().withMessage('Invalid class ID'),
@@ -331,6 +530,7 @@ export const getScheduleQueryValidation = [
     .optional()
     .matches(/^\d{4}-\d{2}-\d{2}$/)
     .withMessage('Start date must be in YYYY-MM-DD format'),
+  query('includeCancelled').optional().isIn(['true', 'false']).withMessage('includeCancelled must be true or false'),
 ];
 
 // TimeSlot validations
@@ -420,6 +620,8 @@ export const createRoomValidation = [
   body('type')
     .isIn(['classroom', 'lab', 'auditorium', 'seminar'])
     .withMessage('Type must be classroom, lab, auditorium, or seminar'),
+  body('building').optional().isString().isLength({ max: 100 }).withMessage('Building must be at most 100 characters'),
+  body('floor').optional().isString().isLength({ max: 20 }).withMessage('Floor must be at most 20 characters'),
   body('createdBy')
     .isMongoId()
     .withMessage('Invalid createdBy ID')
@@ -443,6 +645,8 @@ export const updateRoomValidation = [
     .optional()
     .isIn(['classroom', 'lab', 'auditorium', 'seminar'])
     .withMessage('Type must be classroom, lab, auditorium, or seminar'),
+  body('building').optional().isString().isLength({ max: 100 }).withMessage('Building must be at most 100 characters'),
+  body('floor').optional().isString().isLength({ max: 20 }).withMessage('Floor must be at most 20 characters'),
   body('isActive')
     .optional()
     .isBoolean()
@@ -489,6 +693,7 @@ export const qrSessionValidation = [
     }
     return true;
   }),
+  body('classSessionId').optional().isMongoId().withMessage('Invalid class session ID'),
   body('teacherId')
     .optional()
     .isMongoId()
@@ -511,6 +716,11 @@ export const qrSessionValidation = [
   body('coordinates.longitude')
     .isFloat({ min: -180, max: 180 })
     .withMessage('Longitude must be between -180 and 180'),
+  body('rotating').optional().isBoolean().withMessage('Rotating must be a boolean').toBoolean(),
+  body('rotationIntervalSeconds')
+    .optional()
+    .isInt({ min: 5, max: 300 })
+    .withMessage('Rotation interval must be between 5 and 300 seconds'),
 ];
 
 export const sessionIdValidation = [
@@ -548,6 +758,10 @@ export const attendanceValidation = [
     .optional()
     .isArray()
     .withMessage('Face embedding must be an array'),
+  // Scanned QR token, required when the session uses rotating tokens
+  body('token').optional().isString().withMessage('Token must be a string'),
+  body('studentCoordinates.accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a non-negative number'),
+  body('deviceId').optional().isString().isLength({ max: 200 }).withMessage('Device ID must be a string of at most 200 characters'),
   // Status should not be sent by client - it's calculated by backend
   // studentId should not be sent by client - it comes from authenticated user
 ];
@@ -581,6 +795,9 @@ export const syncAttendanceValidation = [
     .optional()
     .isArray()
     .withMessage('Face embedding must be an array'),
+  body('attendances.*.token').optional().isString().withMessage('Token must be a string'),
+  body('attendances.*.studentCoordinates.accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a non-negative number'),
+  body('attendances.*.deviceId').optional().isString().isLength({ max: 200 }).withMessage('Device ID must be a string of at most 200 characters'),
   body('attendances.*.syncVersion').isInt({ min: 1 }).withMessage('Sync version must be a positive integer'),
   body('attendances.*.attendedAt').isISO8601().withMessage('Attended at must be a valid date'),
 ];
@@ -589,10 +806,40 @@ export const manualAttendanceValidation = [
   body('studentId').isMongoId().withMessage('Invalid student ID'),
   body('classId').isMongoId().withMessage('Invalid class ID'),
   body('scheduleId').isMongoId().withMessage('Invalid schedule ID'),
+  body('classSessionId').optional().isMongoId().withMessage('Invalid class session ID'),
   body('status')
-    .isIn(['present', 'late', 'absent'])
-    .withMessage('Status must be present, late, or absent'),
+    .isIn(['present', 'late', 'absent', 'excused'])
+    .withMessage('Status must be present, late, absent, or excused'),
   body('attendedAt').optional().isISO8601().withMessage('Attended at must be a valid date'),
+  body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+];
+
+export const attendanceHistoryValidation = [
+  param('id').isMongoId().withMessage('Invalid attendance ID'),
+];
+
+export const revertAttendanceValidation = [
+  param('id').isMongoId().withMessage('Invalid attendance ID'),
+  body('revisionId').isMongoId().withMessage('Invalid revision ID'),
+  body('reason')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Reason is required and must be at most 1000 characters'),
+];
+
+export const attendanceRevisionQueryValidation = [
+  query('changedBy').optional().isMongoId().withMessage('Invalid user ID'),
+  query('classId').optional().isMongoId().withMessage('Invalid class ID'),
+  query('studentId').optional().isMongoId().withMessage('Invalid student ID'),
+  query('source')
+    .optional()
+    .isIn(['manual', 'sync', 'review', 'leave', 'correction', 'revert'])
+    .withMessage('Source must be manual, sync, review, leave, correction, or revert'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
 ];
 
 export const dateQueryValidation = [
@@ -600,8 +847,49 @@ export const dateQueryValidation = [
   query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
   query('status')
     .optional()
-    .isIn(['present', 'late', 'absent'])
-    .withMessage('Status must be present, late, or absent'),
+    .isIn(['present', 'late', 'absent', 'excused'])
+    .withMessage('Status must be present, late, absent, or excused'),
+  query('classId').optional().isMongoId().withMessage('Invalid class ID'),
+];
+
+export const attendanceSummaryValidation = [
+  param('classId').isMongoId().withMessage('Invalid class ID'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+  query('threshold').optional().isFloat({ min: 0, max: 100 }).withMessage('Threshold must be between 0 and 100'),
+  query('belowThreshold').optional().isIn(['true', 'false']).withMessage('belowThreshold must be true or false'),
+];
+
+export const attendanceShortageQueryValidation = [
+  query('classId').optional().isMongoId().withMessage('Invalid class ID'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+  query('threshold').optional().isFloat({ min: 0, max: 100 }).withMessage('Threshold must be between 0 and 100'),
+];
+
+export const notifyAttendanceShortagesValidation = [
+  body('classId').isMongoId().withMessage('Invalid class ID'),
+  body('threshold').optional().isFloat({ min: 0, max: 100 }).withMessage('Threshold must be between 0 and 100'),
+];
+
+export const myAttendanceSummaryValidation = [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+  query('includeArchived').optional().isIn(['true', 'false']).withMessage('includeArchived must be true or false'),
+];
+
+export const classAttendanceExportValidation = [
+  param('classId').isMongoId().withMessage('Invalid class ID'),
+  query('format').optional().isIn(['csv', 'xlsx', 'pdf']).withMessage('Format must be csv, xlsx or pdf'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+];
+
+export const studentAttendanceExportValidation = [
+  param('studentId').optional().isMongoId().withMessage('Invalid student ID'),
+  query('format').optional().isIn(['csv', 'xlsx', 'pdf']).withMessage('Format must be csv, xlsx or pdf'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
   query('classId').optional().isMongoId().withMessage('Invalid class ID'),
 ];
 
@@ -613,5 +901,424 @@ export const auditLogQueryValidation = [
   query('status').optional().isIn(['success', 'failed']).withMessage('Status must be success or failed'),
 ];
 
+// Leave request validations
+export const createLeaveRequestValidation = [
+  body('classId').isMongoId().withMessage('Invalid class ID'),
+  body('leaveDate').isISO8601().withMessage('Leave date must be a valid date'),
+  body('reason')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason is required and must be at most 500 characters'),
+  body('documentUrl').isURL().withMessage('Supporting document URL is required'),
+];
+
+export const reviewLeaveRequestValidation = [
+  param('id').isMongoId().withMessage('Invalid leave request ID'),
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('reviewComments')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Review comments must be at most 500 characters'),
+];
+
+export const leaveRequestQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved, or rejected'),
+  query('classId').optional().isMongoId().withMessage('Invalid class ID'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+];
+
+// Attendance correction validations (create runs after multer has parsed the multipart body)
+export const createCorrectionValidation = [
+  body('attendanceId').optional().isMongoId().withMessage('Invalid attendance ID'),
+  body('sessionId').optional().isMongoId().withMessage('Invalid QR session ID'),
+  body('classSessionId').optional().isMongoId().withMessage('Invalid class session ID'),
+  body().custom((value, { req }) => {
+    const targets = ['attendanceId', 'sessionId', 'classSessionId'].filter((field) => req.body[field]);
+    if (targets.length !== 1) {
+      throw new Error('Provide exactly one of attendanceId, sessionId or classSessionId');
+    }
+    return true;
+  }),
+  body('requestedStatus')
+    .optional()
+    .isIn(['present', 'late', 'excused'])
+    .withMessage('Requested status must be present, late, or excused'),
+  body('reason')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Reason is required and must be at most 1000 characters'),
+];
+
+export const reviewCorrectionValidation = [
+  param('id').isMongoId().withMessage('Invalid correction ID'),
+  body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+  body('reviewComments')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Review comments must be at most 500 characters'),
+];
+
+export const correctionQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved, or rejected'),
+  query('classId').optional().isMongoId().withMessage('Invalid class ID'),
+];
+
+export const correctionIdValidation = [
+  param('id').isMongoId().withMessage('Invalid correction ID'),
+];
+
+// Announcement validations
+export const createAnnouncementValidation = [
+  body('classId').isMongoId().withMessage('Invalid class ID'),
+  body('title')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Title is required and must be at most 200 characters'),
+  body('content')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Content is required and must be at most 2000 characters'),
+  body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Priority must be low, medium, or high'),
+  body('isPinned').optional().isBoolean().withMessage('isPinned must be a boolean').toBoolean(),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expires at must be a valid date'),
+];
+
+export const updateAnnouncementValidation = [
+  param('id').isMongoId().withMessage('Invalid announcement ID'),
+  body('title')
+    .optional()
+    .notEmpty()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Title must be at most 200 characters'),
+  body('content')
+    .optional()
+    .notEmpty()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Content must be at most 2000 characters'),
+  body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Priority must be low, medium, or high'),
+  body('isPinned').optional().isBoolean().withMessage('isPinned must be a boolean').toBoolean(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expires at must be a valid date'),
+];
+
+export const announcementIdValidation = [
+  param('id').isMongoId().withMessage('Invalid announcement ID'),
+  body('isPinned').optional().isBoolean().withMessage('isPinned must be a boolean').toBoolean(),
+  body('expiresAt').optional().isISO8601().withMessage('Expires at must be a valid date'),
+];
+
+export const announcementFeedValidation = [
+  query('classId').optional().isMongoId().withMessage('Invalid class ID'),
+  query('unreadOnly').optional().isBoolean().withMessage('unreadOnly must be a boolean'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+];
 
+// Grade validations
+export const bulkGradeValidation = [
+  body('classId').isMongoId().withMessage('Invalid class ID'),
+  body('assignmentName')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Assignment name is required and must be at most 200 characters'),
+  body('assignmentType').isIn(ASSIGNMENT_TYPES).withMessage('Invalid assignment type'),
+  body('maxScore').isFloat({ min: 1 }).withMessage('Max score must be at least 1'),
+  body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean'),
+  body('grades').isArray({ min: 1 }).withMessage('Grades must be a non-empty array'),
+  body('grades.*.studentId').isMongoId().withMessage('Invalid student ID for one or more grades'),
+  body('grades.*.score').isFloat({ min: 0 }).withMessage('Score must be a non-negative number for all grades'),
+  body('grades.*.comments')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Comments must be at most 500 characters'),
+];
+
+export const updateGradeValidation = [
+  param('id').isMongoId().withMessage('Invalid grade ID'),
+  body('score').optional().isFloat({ min: 0 }).withMessage('Score must be a non-negative number'),
+  body('maxScore').optional().isFloat({ min: 1 }).withMessage('Max score must be at least 1'),
+  body('comments').optional().isString().isLength({ max: 500 }).withMessage('Comments must be at most 500 characters'),
+  body('assignmentName')
+    .optional()
+    .notEmpty()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Assignment name must be at most 200 characters'),
+  body('assignmentType').optional().isIn(ASSIGNMENT_TYPES).withMessage('Invalid assignment type'),
+  body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+];
 
+export const publishGradesValidation = [
+  body('classId').isMongoId().withMessage('Invalid class ID'),
+  body('assignmentName').notEmpty().isString().withMessage('Assignment name is required'),
+  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean'),
+];
+
+export const gradeWeightsValidation = [
+  param('classId').isMongoId().withMessage('Invalid class ID'),
+  body('weights')
+    .isObject()
+    .withMessage('Weights must be an object keyed by assignment type')
+    .custom((value) => Object.values(value).every((weight) => typeof weight === 'number' && weight >= 0 && weight <= 100))
+    .withMessage('Each weight must be a number between 0 and 100'),
+];
+
+export const gradeQueryValidation = [
+  param('classId').optional().isMongoId().withMessage('Invalid class ID'),
+  query('classId').optional().isMongoId().withMessage('Invalid class ID'),
+  query('assignmentType').optional().isIn(ASSIGNMENT_TYPES).withMessage('Invalid assignment type'),
+];
+
+// Resource validations (run after multer has parsed the multipart body)
+export const createResourceValidation = [
+  body('classId').isMongoId().withMessage('Invalid class ID'),
+  body('title')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Title is required and must be at most 200 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be at most 1000 characters'),
+  check('file').custom((value, { req }) => {
+    if (!req.file) {
+      throw new Error('Resource file is required');
+    }
+    return true;
+  }),
+];
+
+export const resourceIdValidation = [
+  param('id').isMongoId().withMessage('Invalid resource ID'),
+];
+
+export const resourceQueryValidation = [
+  param('classId').isMongoId().withMessage('Invalid class ID'),
+  query('fileType')
+    .optional()
+    .isIn(['pdf', 'doc', 'docx', 'ppt', 'pptx', 'txt', 'image', 'video', 'other'])
+    .withMessage('Invalid file type'),
+];
+
+// Face verification validations
+export const submitFaceEnrollmentValidation = [
+  body('faceEmbedding')
+    .isArray({ min: 1 })
+    .withMessage('Face embedding must be a non-empty array'),
+  body('faceEmbedding.*').isFloat().withMessage('Face embedding values must be numbers'),
+];
+
+export const reviewFaceEnrollmentValidation = [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+  body('comments')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Comments must be at most 500 characters'),
+];
+
+export const faceEnrollmentQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['none', 'pending', 'approved', 'rejected'])
+    .withMessage('Invalid enrollment status'),
+];
+
+export const faceVerificationSettingsValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
+  body('acceptThreshold')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Accept threshold must be between 0 and 1'),
+  body('rejectThreshold')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Reject threshold must be between 0 and 1'),
+];
+
+export const attendanceReviewQueryValidation = [
+  query('classId').optional().isMongoId().withMessage('Invalid class ID'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Invalid review status'),
+  query('reason').optional().isIn(['face', 'anomaly']).withMessage('Reason must be face or anomaly'),
+  query('flag').optional().isIn(ANOMALY_FLAG_TYPES).withMessage('Invalid flag type'),
+];
+
+export const resolveAttendanceReviewValidation = [
+  param('id').isMongoId().withMessage('Invalid attendance ID'),
+  body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+  body('comments')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Comments must be at most 500 characters'),
+];
+
+// Geofence validations
+export const roomGeofenceValidation = [
+  param('id').isMongoId().withMessage('Invalid room ID'),
+  body('points')
+    .isArray({ min: 3, max: 100 })
+    .withMessage('Points must be an array of 3 to 100 coordinates'),
+  body('points.*.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('points.*.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('building').optional().isString().isLength({ max: 100 }).withMessage('Building must be at most 100 characters'),
+  body('floor').optional().isString().isLength({ max: 20 }).withMessage('Floor must be at most 20 characters'),
+];
+
+// Academic term validations
+export const createTermValidation = [
+  body('name')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Name is required and must be at most 100 characters'),
+  body('academicYear').notEmpty().isString().withMessage('Academic year is required'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  body('holidays').optional().isArray({ max: 100 }).withMessage('Holidays must be an array of at most 100 entries'),
+  body('holidays.*.name')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Holiday name is required and must be at most 100 characters'),
+  body('holidays.*.date').isISO8601().withMessage('Holiday date must be a valid date'),
+  body('holidays.*.endDate').optional().isISO8601().withMessage('Holiday end date must be a valid date'),
+];
+
+export const updateTermValidation = [
+  param('id').isMongoId().withMessage('Invalid term ID'),
+  body('name')
+    .optional()
+    .notEmpty()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('academicYear').optional().notEmpty().isString().withMessage('Academic year must be a string'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('holidays').optional().isArray({ max: 100 }).withMessage('Holidays must be an array of at most 100 entries'),
+  body('holidays.*.name')
+    .notEmpty()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Holiday name is required and must be at most 100 characters'),
+  body('holidays.*.date').isISO8601().withMessage('Holiday date must be a valid date'),
+  body('holidays.*.endDate').optional().isISO8601().withMessage('Holiday end date must be a valid date'),
+];
+
+export const termIdValidation = [
+  param('id').isMongoId().withMessage('Invalid term ID'),
+];
+
+export const rolloverTermValidation = [
+  param('id').isMongoId().withMessage('Invalid term ID'),
+  body('fromTermId').isMongoId().withMessage('Invalid source term ID'),
+  body('promoteStudents').optional().isBoolean().withMessage('promoteStudents must be a boolean'),
+  body('cloneSchedules').optional().isBoolean().withMessage('cloneSchedules must be a boolean'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+];
+
+// Schedule exception validations
+export const createScheduleExceptionValidation = [
+  param('id').isMongoId().withMessage('Invalid schedule ID'),
+  body('date').isISO8601().withMessage('Date must be a valid date'),
+  body('type')
+    .isIn(['cancelled', 'rescheduled', 'room_change'])
+    .withMessage('Type must be cancelled, rescheduled or room_change'),
+  body('newDate')
+    .if(body('type').equals('rescheduled'))
+    .isISO8601()
+    .withMessage('New date is required when rescheduling'),
+  body('startTime')
+    .if(body('type').equals('rescheduled'))
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time must be in HH:mm format'),
+  body('endTime')
+    .if(body('type').equals('rescheduled'))
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('End time must be in HH:mm format'),
+  body('roomNumber')
+    .if(body('type').equals('room_change'))
+    .notEmpty()
+    .isString()
+    .withMessage('Room number is required when changing the room'),
+  body('roomNumber').optional().isString().withMessage('Room number must be a string'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  body('notify').optional().isBoolean().withMessage('notify must be a boolean'),
+];
+
+export const scheduleExceptionQueryValidation = [
+  param('id').isMongoId().withMessage('Invalid schedule ID'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+];
+
+export const scheduleExceptionIdValidation = [
+  param('id').isMongoId().withMessage('Invalid schedule ID'),
+  param('exceptionId').isMongoId().withMessage('Invalid schedule exception ID'),
+  query('notify').optional().isIn(['true', 'false']).withMessage('notify must be true or false'),
+];
+
+export const classCalendarValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+];
+
+export const classSessionQueryValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+  query('status')
+    .optional()
+    .isIn(['scheduled', 'held', 'cancelled', 'holiday'])
+    .withMessage('Status must be scheduled, held, cancelled or holiday'),
+];
+
+export const generateClassSessionsValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+];
+
+export const createClassSessionValidation = [
+  param('id').isMongoId().withMessage('Invalid class ID'),
+  body('date').isISO8601().withMessage('Date must be a valid date'),
+  body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:mm format'),
+  body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:mm format'),
+  body('roomNumber').notEmpty().isString().withMessage('Room number is required'),
+  body('sessionType').optional().isIn(['lecture', 'lab', 'tutorial', 'project', 'seminar']).withMessage('Invalid session type'),
+];
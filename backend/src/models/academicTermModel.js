@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const holidaySchema = new mongoose.Schema({
+    name: { 
+        type: String, 
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    date: { type: Date, required: true },
+    // Last day of a multi-day break; unset for a single day
+    endDate: { type: Date },
+});
+
+const academicTermSchema = new mongoose.Schema({
+    name: { 
+        type: String, 
+        required: true,
+        unique: true,
+        trim: true,
+        maxlength: 100
+    },
+    academicYear: { 
+        type: String, 
+        required: true,
+        trim: true
+    },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    holidays: { type: [holidaySchema], default: [] },
+    isActive: { type: Boolean, default: false },
+    createdBy: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'User' 
+    },
+    // Set once classes, students and schedules have been rolled over into this term
+    rolledOverFrom: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'AcademicTerm' 
+    },
+    rolledOverAt: { type: Date },
+}, { strict: true, timestamps: true });
+
+academicTermSchema.pre('validate', function(next) {
+    if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+        return next(new Error('Term end date must be after its start date'));
+    }
+    const invalidHoliday = this.holidays.find((holiday) =>
+        holiday.date < this.startDate ||
+        (holiday.endDate || holiday.date) > this.endDate ||
+        (holiday.endDate && holiday.endDate < holiday.date)
+    );
+    if (invalidHoliday) {
+        return next(new Error(`Holiday "${invalidHoliday.name}" must fall within the term`));
+    }
+    next();
+});
+
+// Only one term is active at a time
+academicTermSchema.index({ isActive: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+academicTermSchema.index({ startDate: 1, endDate: 1 });
+
+export const AcademicTerm = mongoose.model('AcademicTerm', academicTermSchema);
@@ -25,6 +25,8 @@ const announcementSchema = new mongoose.Schema({
         trim: true
     },
     isActive: { type: Boolean, default: true },
+    isPinned: { type: Boolean, default: false },
+    expiresAt: { type: Date },
     priority: { 
         type: String, 
         enum: ['low', 'medium', 'high'], 
@@ -50,5 +52,6 @@ announcementSchema.pre('save', async function(next) {
 
 announcementSchema.index({ classId: 1, isActive: 1, createdAt: -1 });
 announcementSchema.index({ priority: 1, createdAt: -1 });
+announcementSchema.index({ classId: 1, isActive: 1, isPinned: -1, expiresAt: 1 });
 
 export const Announcement = mongoose.model('Announcement', announcementSchema);
\ No newline at end of file
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+const announcementReadSchema = new mongoose.Schema({
+    announcementId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'Announcement', 
+        required: true,
+        index: true 
+    },
+    studentId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'User', 
+        required: true,
+        index: true 
+    },
+    readAt: { type: Date, default: Date.now }
+}, { strict: true, timestamps: true });
+
+// One read receipt per student and announcement
+announcementReadSchema.index({ announcementId: 1, studentId: 1 }, { unique: true });
+
+export const AnnouncementRead = mongoose.model('AnnouncementRead', announcementReadSchema);
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+// Accepted evidence uploads
+export const CORRECTION_EVIDENCE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+export const CORRECTION_REQUESTED_STATUSES = ['present', 'late', 'excused'];
+
+const attendanceCorrectionSchema = new mongoose.Schema({
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    classId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        required: true,
+        index: true
+    },
+    // The disputed record; unset when the student has none for the lecture, and
+    // set to the record created when such a correction is approved
+    attendanceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attendance',
+        index: true
+    },
+    // The QR session the student could not scan, when disputing one
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'QRCodeSession'
+    },
+    classSessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClassSession'
+    },
+    scheduleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Schedule'
+    },
+    // When the disputed lecture took place; QR sessions expire, so it is kept here
+    lectureAt: { type: Date, required: true },
+    // Status of the record when the dispute was filed, unset when there was none
+    originalStatus: {
+        type: String,
+        enum: ['late', 'absent']
+    },
+    requestedStatus: {
+        type: String,
+        enum: CORRECTION_REQUESTED_STATUSES,
+        default: 'present'
+    },
+    reason: {
+        type: String,
+        required: true,
+        maxlength: 1000,
+        trim: true
+    },
+    evidence: {
+        fileName: { type: String },
+        mimeType: { type: String },
+        fileSize: { type: Number },
+        storageKey: { type: String, select: false },
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending',
+        index: true
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: { type: Date },
+    reviewComments: { type: String, maxlength: 500 }
+}, { strict: true, timestamps: true });
+
+// A dispute targets a record, a QR session or a lecture
+attendanceCorrectionSchema.pre('validate', function(next) {
+    if (!this.attendanceId && !this.sessionId && !this.classSessionId) {
+        return next(new Error('A correction needs an attendance record, QR session or class session'));
+    }
+    next();
+});
+
+attendanceCorrectionSchema.index({ classId: 1, status: 1, createdAt: -1 });
+attendanceCorrectionSchema.index({ studentId: 1, createdAt: -1 });
+
+export const AttendanceCorrection = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 
+export const ANOMALY_FLAG_TYPES = [
+    'identical_coordinates',
+    'excessive_precision',
+    'unchanged_coordinates',
+    'shared_device',
+    'shared_ip',
+    'impossible_travel',
+];
+
 const attendanceSchema = new mongoose.Schema({
     studentId: { 
         type: mongoose.Schema.Types.ObjectId, 
@@ -23,13 +32,17 @@ const attendanceSchema = new mongoose.Schema({
         ref: 'Schedule',
         required: false,  // Make scheduleId optional
     },
+    classSessionId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'ClassSession',
+    },
     studentCoordinates: { 
         latitude: { 
             type: Number, 
             min: -90, 
             max: 90,
             required: function () {
-                return !this.manualEntry;
+                return !this.manualEntry && !this.autoMarked;
             },
         },
         longitude: { 
@@ -37,15 +50,17 @@ const attendanceSchema = new mongoose.Schema({
             min: -180, 
             max: 180,
             required: function () {
-                return !this.manualEntry;
+                return !this.manualEntry && !this.autoMarked;
             },
         },
+        // Accuracy radius reported by the device's location provider
+        accuracy: { type: Number, min: 0 },
     },
     attendedAt: { type: Date, default: Date.now },
     livenessPassed: { 
         type: Boolean,
         required: function () {
-            return !this.manualEntry;
+            return !this.manualEntry && !this.autoMarked;
         },
         default: false,
     },
@@ -57,9 +72,46 @@ const attendanceSchema = new mongoose.Schema({
     synced: { type: Boolean, default: false },
     syncVersion: { type: Number, default: 1 },
     manualEntry: { type: Boolean, default: false },
+    // Absence created automatically when the QR session ended
+    autoMarked: { type: Boolean, default: false },
+    faceVerification: {
+        result: { 
+            type: String, 
+            enum: ['accepted', 'flagged', 'rejected', 'skipped'],
+        },
+        similarity: { type: Number },
+        reason: { type: String },
+    },
+    // Client-reported device identifier and request IP, used for proxy detection
+    deviceId: { type: String, trim: true, maxlength: 200 },
+    ipAddress: { type: String, trim: true },
+    // Suspicious patterns found by the anomaly detector
+    flags: [{
+        type: { 
+            type: String, 
+            enum: ANOMALY_FLAG_TYPES, 
+            required: true,
+        },
+        details: { type: mongoose.Schema.Types.Mixed },
+        detectedAt: { type: Date, default: Date.now },
+    }],
+    // Teacher review of a flagged submission
+    review: {
+        status: { 
+            type: String, 
+            enum: ['pending', 'approved', 'rejected'],
+        },
+        reasons: { type: [String], default: undefined },
+        reviewedBy: { 
+            type: mongoose.Schema.Types.ObjectId, 
+            ref: 'User',
+        },
+        reviewedAt: { type: Date },
+        comments: { type: String, maxlength: 500 },
+    },
     status: { 
         type: String, 
-        enum: ['present', 'late', 'absent'], 
+        enum: ['present', 'late', 'absent', 'excused'], 
         default: 'present',
     },
 }, { strict: true, timestamps: true });
@@ -83,6 +135,12 @@ attendanceSchema.pre('save', async function (next) {
             return next(new Error('Schedule does not belong to the specified class'));
         }
     }
+    if (this.classSessionId) {
+        const classSession = await mongoose.model('ClassSession').findById(this.classSessionId);
+        if (!classSession || classSession.classId.toString() !== this.classId.toString()) {
+            return next(new Error('Class session does not belong to the specified class'));
+        }
+    }
     
     if (!user || user.role !== 'student') {
         return next(new Error('Invalid studentId or user is not a student'));
@@ -93,9 +151,13 @@ attendanceSchema.pre('save', async function (next) {
     if (this.sessionId && session.classId.toString() !== this.classId.toString()) {
         return next(new Error('QR session does not belong to the specified class'));
     }
+    // A manual entry may name the QR session it stands in for, e.g. after an
+    // approved correction, but never carries scan data. The nested coordinates
+    // object is always present, so its values are checked.
     if (this.manualEntry) {
-        if (this.sessionId || this.studentCoordinates || this.livenessPassed || this.faceEmbedding.length > 0) {
-            return next(new Error('Manual entries should not have sessionId, coordinates, livenessPassed, and faceEmbedding'));
+        const hasCoordinates = this.studentCoordinates?.latitude != null || this.studentCoordinates?.longitude != null;
+        if (hasCoordinates || this.livenessPassed || this.faceEmbedding.length > 0) {
+            return next(new Error('Manual entries should not have coordinates, livenessPassed, and faceEmbedding'));
         }
     }
     next();
@@ -104,5 +166,9 @@ attendanceSchema.pre('save', async function (next) {
 // Indexes
 attendanceSchema.index({ studentId: 1, classId: 1, attendedAt: -1 });
 attendanceSchema.index({ sessionId: 1, studentId: 1 }, { unique: true, sparse: true }); // sparse allows null sessionId
+attendanceSchema.index({ classId: 1, 'review.status': 1, attendedAt: -1 });
+attendanceSchema.index({ sessionId: 1, deviceId: 1 });
+attendanceSchema.index({ studentId: 1, attendedAt: -1 });
+attendanceSchema.index({ classSessionId: 1, studentId: 1 });
 
 export const Attendance = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
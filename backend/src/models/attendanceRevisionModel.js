@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// What caused a change to an attendance record
+export const ATTENDANCE_REVISION_SOURCES = ['manual', 'sync', 'review', 'leave', 'correction', 'revert'];
+
+const attendanceRevisionSchema = new mongoose.Schema({
+    attendanceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attendance',
+        required: true
+    },
+    classId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        required: true,
+        index: true
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    source: {
+        type: String,
+        enum: ATTENDANCE_REVISION_SOURCES,
+        required: true
+    },
+    reason: { type: String, maxlength: 1000 },
+    // Each changed field with its value before and after; `from` is null when the record was created
+    changes: [{
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+    }],
+    correctionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AttendanceCorrection'
+    },
+    // The revision undone by a revert
+    revertedRevisionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AttendanceRevision'
+    },
+}, { strict: true, timestamps: true });
+
+attendanceRevisionSchema.index({ attendanceId: 1, createdAt: 1 });
+attendanceRevisionSchema.index({ changedBy: 1, createdAt: -1 });
+
+export const AttendanceRevision = mongoose.model('AttendanceRevision', attendanceRevisionSchema);
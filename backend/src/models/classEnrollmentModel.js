@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const ENROLLMENT_ACTIONS = ['enrolled', 'reactivated', 'withdrawn', 'transferred_in', 'transferred_out'];
+
 const classEnrollmentSchema = new mongoose.Schema({
     classId: { 
         type: mongoose.Schema.Types.ObjectId, 
@@ -14,7 +16,20 @@ const classEnrollmentSchema = new mongoose.Schema({
         index: true 
     },
     isActive: { type: Boolean, default: true }, // Add isActive field
-    enrolledAt: { type: Date, default: Date.now }
+    enrolledAt: { type: Date, default: Date.now },
+    // Every enroll, withdraw and transfer; withdrawn enrollments are kept, never deleted
+    history: [{
+        action: { 
+            type: String, 
+            enum: ENROLLMENT_ACTIONS, 
+            required: true 
+        },
+        reason: { type: String, maxlength: 500 },
+        performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        // The other class of a transfer
+        relatedClassId: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+        at: { type: Date, default: Date.now },
+    }],
 }, { strict: true, timestamps: true });
 
 // Ensure studentId is a student
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Code students redeem to join a class themselves, see controllers/joinCodeController.js
+const classJoinCodeSchema = new mongoose.Schema({
+    classId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'Class', 
+        required: true,
+        index: true 
+    },
+    code: { 
+        type: String, 
+        required: true, 
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    createdBy: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'User', 
+        required: true 
+    },
+    expiresAt: { type: Date, required: true },
+    // Only students whose profile matches may redeem the code
+    restrictions: {
+        division: { type: String, trim: true },
+        semester: { 
+            type: String, 
+            enum: ['1', '2', '3', '4', '5', '6', '7', '8'] 
+        },
+    },
+    maxUses: { type: Number, min: 1 },
+    uses: { type: Number, default: 0 },
+    // Redemptions create a ClassJoinRequest for the teacher instead of enrolling directly
+    requiresApproval: { type: Boolean, default: false },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { strict: true, timestamps: true });
+
+export const ClassJoinCode = mongoose.model('ClassJoinCode', classJoinCodeSchema);
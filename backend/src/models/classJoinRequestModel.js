@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Join code redemption awaiting teacher approval
+const classJoinRequestSchema = new mongoose.Schema({
+    classId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'Class', 
+        required: true,
+        index: true 
+    },
+    studentId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'User', 
+        required: true,
+        index: true 
+    },
+    joinCodeId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'ClassJoinCode', 
+        required: true 
+    },
+    status: { 
+        type: String, 
+        enum: ['pending', 'approved', 'rejected'], 
+        default: 'pending'
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewComments: { type: String, maxlength: 500 }
+}, { strict: true, timestamps: true });
+
+// At most one pending request per student and class
+classJoinRequestSchema.index(
+    { classId: 1, studentId: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+classJoinRequestSchema.index({ classId: 1, status: 1, createdAt: -1 });
+
+export const ClassJoinRequest = mongoose.model('ClassJoinRequest', classJoinRequestSchema);
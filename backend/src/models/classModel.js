@@ -17,9 +17,28 @@ const classSchema = new mongoose.Schema({
         ref: 'User', 
         required: true 
     },
+    termId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'AcademicTerm', 
+        index: true 
+    },
+    // Set when the term is rolled over; archived classes are kept read-only for history
+    archivedAt: { type: Date },
+    // Percentage weight per assignment type used for the course total
+    gradeWeights: {
+        type: Map,
+        of: { type: Number, min: 0, max: 100 },
+        default: undefined,
+    },
+    // Per-class face verification; unset values fall back to env defaults
+    faceVerification: {
+        enabled: { type: Boolean },
+        acceptThreshold: { type: Number, min: 0, max: 1 },
+        rejectThreshold: { type: Number, min: 0, max: 1 },
+    },
 }, { strict: true, timestamps: true });
 
-// Unique index to prevent duplicate classes
-classSchema.index({ subjectCode: 1, semester: 1, division: 1 }, { unique: true });
+// Unique index to prevent duplicate classes within a term
+classSchema.index({ subjectCode: 1, semester: 1, division: 1, termId: 1 }, { unique: true });
 
 export const Class = mongoose.model('Class', classSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * Lifecycle of a lecture occurrence:
+ *  - scheduled: expected to take place
+ *  - held: attendance has been taken
+ *  - cancelled: cancelled or moved away by a schedule exception
+ *  - holiday: falls on a term holiday
+ */
+export const CLASS_SESSION_STATUSES = ['scheduled', 'held', 'cancelled', 'holiday'];
+
+// One concrete lecture, materialized from a weekly schedule or added ad hoc
+const classSessionSchema = new mongoose.Schema({
+    classId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'Class', 
+        required: true 
+    },
+    // Unset for extra lectures added outside the weekly schedule
+    scheduleId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'Schedule' 
+    },
+    termId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'AcademicTerm', 
+        index: true 
+    },
+    teacherId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'User', 
+        required: true 
+    },
+    sessionType: { 
+        type: String, 
+        enum: ['lecture', 'lab', 'tutorial', 'project', 'seminar'], 
+        required: true 
+    },
+    // Start of the day the lecture takes place on
+    date: { type: Date, required: true },
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: true },
+    roomNumber: { type: String },
+    status: { 
+        type: String, 
+        enum: CLASS_SESSION_STATUSES, 
+        default: 'scheduled' 
+    },
+    exceptionId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'ScheduleException' 
+    },
+    holiday: { type: String },
+    // Original date of a make-up lecture
+    rescheduledFrom: { type: Date },
+    attendanceTakenAt: { type: Date },
+    createdBy: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'User' 
+    },
+}, { strict: true, timestamps: true });
+
+classSessionSchema.index(
+    { scheduleId: 1, date: 1, startTime: 1 },
+    { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } }
+);
+classSessionSchema.index({ classId: 1, date: 1, startTime: 1 });
+classSessionSchema.index({ teacherId: 1, date: 1 });
+
+export const ClassSession = mongoose.model('ClassSession', classSessionSchema);
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// owner: full control including teacher assignments; co_teacher: manages the class; ta: attendance only
+export const CLASS_TEACHER_ROLES = ['owner', 'co_teacher', 'ta'];
+
 const classTeacherSchema = new mongoose.Schema({
     classId: { 
         type: mongoose.Schema.Types.ObjectId, 
@@ -13,6 +16,12 @@ const classTeacherSchema = new mongoose.Schema({
         required: true, 
         index: true 
     },
+    // Unset on assignments made before roles existed, see utils/classAccess.js
+    role: { 
+        type: String, 
+        enum: CLASS_TEACHER_ROLES 
+    },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     assignedAt: { type: Date, default: Date.now }
 }, { strict: true, timestamps: true });
 
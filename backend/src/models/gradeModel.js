@@ -1,5 +1,23 @@
 import mongoose from 'mongoose';
 
+export const ASSIGNMENT_TYPES = ['quiz', 'assignment', 'midterm', 'final', 'project', 'lab', 'other'];
+
+// Letter grade for a percentage score
+export const calculateLetterGrade = (percentage) => {
+    if (percentage >= 97) return 'A+';
+    if (percentage >= 93) return 'A';
+    if (percentage >= 90) return 'A-';
+    if (percentage >= 87) return 'B+';
+    if (percentage >= 83) return 'B';
+    if (percentage >= 80) return 'B-';
+    if (percentage >= 77) return 'C+';
+    if (percentage >= 73) return 'C';
+    if (percentage >= 70) return 'C-';
+    if (percentage >= 67) return 'D+';
+    if (percentage >= 60) return 'D';
+    return 'F';
+};
+
 // --- Grade Schema ---
 const gradeSchema = new mongoose.Schema({
     studentId: { 
@@ -27,7 +45,7 @@ const gradeSchema = new mongoose.Schema({
     },
     assignmentType: { 
         type: String, 
-        enum: ['quiz', 'assignment', 'midterm', 'final', 'project', 'lab', 'other'],
+        enum: ASSIGNMENT_TYPES,
         required: true
     },
     score: { 
@@ -58,19 +76,7 @@ gradeSchema.pre('save', function(next) {
     if (this.isModified('score') || this.isModified('maxScore')) {
         this.percentage = Math.round((this.score / this.maxScore) * 100 * 100) / 100;
         
-        // Calculate letter grade
-        if (this.percentage >= 97) this.grade = 'A+';
-        else if (this.percentage >= 93) this.grade = 'A';
-        else if (this.percentage >= 90) this.grade = 'A-';
-        else if (this.percentage >= 87) this.grade = 'B+';
-        else if (this.percentage >= 83) this.grade = 'B';
-        else if (this.percentage >= 80) this.grade = 'B-';
-        else if (this.percentage >= 77) this.grade = 'C+';
-        else if (this.percentage >= 73) this.grade = 'C';
-        else if (this.percentage >= 70) this.grade = 'C-';
-        else if (this.percentage >= 67) this.grade = 'D+';
-        else if (this.percentage >= 60) this.grade = 'D';
-        else this.grade = 'F';
+        this.grade = calculateLetterGrade(this.percentage);
     }
     next();
 });
@@ -101,5 +107,6 @@ gradeSchema.pre('save', async function(next) {
 gradeSchema.index({ studentId: 1, classId: 1, date: -1 });
 gradeSchema.index({ classId: 1, assignmentType: 1, date: -1 });
 gradeSchema.index({ isPublished: 1, date: -1 });
+gradeSchema.index({ classId: 1, assignmentName: 1, studentId: 1 }, { unique: true });
 
 export const Grade = mongoose.model('Grade', gradeSchema);
\ No newline at end of file
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Outgoing email, delivered asynchronously by jobs/mailQueueJob.js
+const mailMessageSchema = new mongoose.Schema({
+    to: { 
+        type: String, 
+        required: true, 
+        trim: true,
+        lowercase: true,
+    },
+    template: { type: String, required: true },
+    subject: { type: String, required: true },
+    text: { type: String, required: true },
+    html: { type: String },
+    status: { 
+        type: String, 
+        enum: ['queued', 'sending', 'sent', 'failed'], 
+        default: 'queued',
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    sentAt: { type: Date },
+}, { strict: true, timestamps: true });
+
+// Indexes
+mailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+mailMessageSchema.index({ to: 1, createdAt: -1 });
+
+export const MailMessage = mongoose.model('MailMessage', mailMessageSchema);
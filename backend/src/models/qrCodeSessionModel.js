@@ -12,6 +12,12 @@ const qrCodeSessionSchema = new mongoose.Schema({
         ref: 'Schedule', 
         required: false 
     },
+    // The lecture this session takes attendance for
+    classSessionId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'ClassSession',
+        index: true 
+    },
     teacherId: { 
         type: mongoose.Schema.Types.ObjectId, 
         ref: 'User', 
@@ -39,6 +45,14 @@ const qrCodeSessionSchema = new mongoose.Schema({
     },
     expiresAt: { type: Date, required: true },
     isActive: { type: Boolean, default: true },
+    // Rotating mode: the displayed token changes every intervalSeconds
+    rotation: {
+        enabled: { type: Boolean, default: false },
+        intervalSeconds: { type: Number, min: 5, max: 300 },
+        secret: { type: String, select: false },
+    },
+    // Set once absences have been recorded for students who never scanned
+    absencesMarkedAt: { type: Date },
 }, { strict: true, timestamps: true });
 
 // Validate teacherId, classId, scheduleId
@@ -64,8 +78,12 @@ qrCodeSessionSchema.pre('save', async function(next) {
     next();
 });
 
-// TTL index for all expired sessions
-qrCodeSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// TTL index for expired sessions. Sessions are kept for a retention window
+// after expiry so the absence job can still process them. Existing indexes
+// are updated on startup by runIndexMigrations.
+const retentionHours = parseInt(process.env.QR_SESSION_RETENTION_HOURS || '24', 10);
+qrCodeSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: retentionHours * 60 * 60 });
+qrCodeSessionSchema.index({ absencesMarkedAt: 1, expiresAt: 1 });
 
 // Indexes for performance
 qrCodeSessionSchema.index({ teacherId: 1, isActive: 1 });
@@ -1,5 +1,26 @@
 import mongoose from 'mongoose';
 
+// Accepted upload MIME types mapped to the resource fileType
+export const RESOURCE_MIME_TYPES = {
+    'application/pdf': 'pdf',
+    'application/msword': 'doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.ms-powerpoint': 'ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+    'text/plain': 'txt',
+    'image/jpeg': 'image',
+    'image/png': 'image',
+    'image/gif': 'image',
+    'image/webp': 'image',
+    'video/mp4': 'video',
+    'video/webm': 'video',
+    'video/quicktime': 'video',
+    'application/zip': 'other',
+    'text/csv': 'other',
+    'application/vnd.ms-excel': 'other',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'other',
+};
+
 const resourceSchema = new mongoose.Schema({
     classId: { 
         type: mongoose.Schema.Types.ObjectId, 
@@ -26,6 +47,8 @@ const resourceSchema = new mongoose.Schema({
     fileUrl: { type: String, required: true },
     fileName: { type: String, required: true },
     fileSize: { type: Number },
+    mimeType: { type: String },
+    storageKey: { type: String, required: true, select: false },
     fileType: { 
         type: String, 
         enum: ['pdf', 'doc', 'docx', 'ppt', 'pptx', 'txt', 'image', 'video', 'other'],
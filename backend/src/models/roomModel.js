@@ -14,6 +14,27 @@ const roomSchema = new mongoose.Schema({
         required: true, 
         default: 'classroom',
     },
+    building: { type: String, trim: true, maxlength: 100 },
+    floor: { type: String, trim: true, maxlength: 20 },
+    // GeoJSON polygon ([lng, lat] pairs) students must be inside to check in
+    geofence: {
+        type: { type: String, enum: ['Polygon'] },
+        coordinates: {
+            type: [[[Number]]],
+            default: undefined,
+            validate: {
+                validator: function (rings) {
+                    if (!rings) return true;
+                    const ring = rings[0];
+                    if (rings.length !== 1 || !ring || ring.length < 4) return false;
+                    const [first, last] = [ring[0], ring[ring.length - 1]];
+                    return ring.every(([lng, lat]) => lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90) &&
+                        first[0] === last[0] && first[1] === last[1];
+                },
+                message: 'Geofence must be a single closed ring of at least three points',
+            },
+        },
+    },
     isActive: { type: Boolean, default: true },
     createdBy: { 
         type: mongoose.Schema.Types.ObjectId, 
@@ -32,5 +53,6 @@ roomSchema.pre('save', async function (next) {
 });
 
 roomSchema.index({ roomNumber: 1, isActive: 1 });
+roomSchema.index({ geofence: '2dsphere' });
 
 export const Room = mongoose.model('Room', roomSchema);
\ No newline at end of file
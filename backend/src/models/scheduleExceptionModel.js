@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+export const SCHEDULE_EXCEPTION_TYPES = ['cancelled', 'rescheduled', 'room_change'];
+
+// One-off change to a single occurrence of a weekly schedule
+const scheduleExceptionSchema = new mongoose.Schema({
+    scheduleId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'Schedule', 
+        required: true 
+    },
+    classId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'Class', 
+        required: true,
+        index: true 
+    },
+    // Start of the day the occurrence was originally scheduled on
+    date: { type: Date, required: true },
+    type: { 
+        type: String, 
+        enum: SCHEDULE_EXCEPTION_TYPES, 
+        required: true 
+    },
+    // Where a rescheduled occurrence moves to
+    newDate: { 
+        type: Date,
+        required: function() { return this.type === 'rescheduled'; }
+    },
+    startTime: { 
+        type: String,
+        required: function() { return this.type === 'rescheduled'; }
+    },
+    endTime: { 
+        type: String,
+        required: function() { return this.type === 'rescheduled'; }
+    },
+    // Replacement room for a rescheduled or moved occurrence
+    roomNumber: { 
+        type: String,
+        required: function() { return this.type === 'room_change'; }
+    },
+    reason: { 
+        type: String, 
+        trim: true,
+        maxlength: 500 
+    },
+    createdBy: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'User', 
+        required: true 
+    },
+    notifiedAt: { type: Date },
+}, { strict: true, timestamps: true });
+
+scheduleExceptionSchema.pre('validate', function(next) {
+    if (this.type === 'rescheduled' && this.startTime && this.endTime && this.endTime <= this.startTime) {
+        return next(new Error('End time must be after start time'));
+    }
+    next();
+});
+
+scheduleExceptionSchema.index({ scheduleId: 1, date: 1 }, { unique: true });
+scheduleExceptionSchema.index({ newDate: 1 });
+
+export const ScheduleException = mongoose.model('ScheduleException', scheduleExceptionSchema);
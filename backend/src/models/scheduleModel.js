@@ -28,6 +28,11 @@ const scheduleSchema = new mongoose.Schema({
     isActive: { type: Boolean, default: true },
     semester: { type: String, required: true },
     academicYear: { type: String, required: true },
+    termId: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'AcademicTerm', 
+        index: true 
+    },
     location: {
         type: { type: String, enum: ['Point'], default: 'Point' },
         coordinates: { type: [Number], default: [0, 0] }
@@ -46,6 +51,6 @@ scheduleSchema.pre('save', async function(next) {
 // Indexes
 scheduleSchema.index({ location: '2dsphere' });
 scheduleSchema.index({ teacherId: 1, dayOfWeek: 1, startTime: 1 });
-scheduleSchema.index({ teacherId: 1, dayOfWeek: 1, startTime: 1, roomNumber: 1 }, { unique: true });
+scheduleSchema.index({ teacherId: 1, dayOfWeek: 1, startTime: 1, roomNumber: 1, termId: 1 }, { unique: true });
 
 export const Schedule = mongoose.model('Schedule', scheduleSchema);
\ No newline at end of file
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Application-wide settings that admins can change at runtime
+const settingSchema = new mongoose.Schema({
+    key: { 
+        type: String, 
+        required: true, 
+        unique: true,
+        trim: true,
+    },
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedBy: { 
+        type: mongoose.Schema.Types.ObjectId, 
+        ref: 'User',
+    },
+}, { strict: true, timestamps: true });
+
+export const Setting = mongoose.model('Setting', settingSchema);
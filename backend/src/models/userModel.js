@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { UserSession } from './userSessionModel.js';
 
 const userSchema = new mongoose.Schema({
     enrollmentNo: {
@@ -30,7 +31,20 @@ const userSchema = new mongoose.Schema({
         required: true, 
         default: 'student'
     },
+    // Approved reference embedding used for face verification
     faceEmbedding: { type: [Number], default: [] },
+    faceEnrollment: {
+        status: { 
+            type: String, 
+            enum: ['none', 'pending', 'approved', 'rejected'], 
+            default: 'none' 
+        },
+        pendingEmbedding: { type: [Number], default: undefined, select: false },
+        submittedAt: { type: Date },
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: { type: Date },
+        reviewComments: { type: String, maxlength: 500 },
+    },
     
     // Student-specific fields
     phoneNumber: {
@@ -59,8 +73,42 @@ const userSchema = new mongoose.Schema({
         enum: ['1', '2', '3', '4']
     },
     profilePictureUrl: { type: String },
+    // Storage keys of the uploaded profile picture variants
+    profilePicture: {
+        fullKey: { type: String, select: false },
+        thumbnailKey: { type: String, select: false },
+    },
     isActive: { type: Boolean, default: true },
+    // Soft delete; deleted accounts are hidden and cannot sign in
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Set by an admin; the user must reset the password before signing in again
+    passwordResetRequired: { type: Boolean, default: false },
+    // TOTP two-factor authentication
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        // Secret awaiting its first verified code
+        pendingSecret: { type: String, select: false },
+        // Last accepted time step, so a code cannot be replayed
+        lastUsedStep: { type: Number, select: false },
+        recoveryCodes: {
+            type: [{
+                hash: { type: String, required: true },
+                usedAt: { type: Date },
+            }],
+            select: false,
+        },
+        enabledAt: { type: Date },
+    },
+    // Brute-force protection, see utils/loginLockout.js
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date },
+    lockoutCount: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
     lastLoginAt: { type: Date },
+    // Embedded in every token; bumping it invalidates all access and refresh tokens
+    tokenVersion: { type: Number, default: 0 },
     passwordResetToken: { type: String },
     passwordResetExpires: { type: Date }
 }, { strict: true, timestamps: true });
@@ -73,4 +121,26 @@ userSchema.pre('save', function(next) {
     next();
 });
 
+// Invalidate issued tokens when the password changes or the account is deactivated
+userSchema.pre('save', function(next) {
+    if (this.isNew) return next();
+    const passwordChanged = this.isModified('passwordHash');
+    const deactivated = this.isModified('isActive') && !this.isActive;
+    const resetForced = this.isModified('passwordResetRequired') && this.passwordResetRequired;
+    if (passwordChanged || deactivated || resetForced) {
+        this.tokenVersion = (this.tokenVersion || 0) + 1;
+        this.$locals.revokeSessionsReason = deactivated ? 'deactivated' : 'password_changed';
+    }
+    next();
+});
+
+userSchema.post('save', async function() {
+    if (!this.$locals.revokeSessionsReason) return;
+    await UserSession.updateMany(
+        { userId: this._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: this.$locals.revokeSessionsReason } }
+    );
+    delete this.$locals.revokeSessionsReason;
+});
+
 export const User = mongoose.model('User', userSchema);
\ No newline at end of file
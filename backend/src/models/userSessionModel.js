@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// A signed-in device; holds the hash of its current refresh token
+const userSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    // User.tokenVersion at sign-in; a bump invalidates every older session
+    tokenVersion: { type: Number, required: true, default: 0 },
+    deviceName: { type: String, trim: true, maxlength: 100 },
+    userAgent: { type: String, maxlength: 500 },
+    ipAddress: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'token_reuse', 'password_changed', 'deactivated', 'logout_all', 'two_factor_required'],
+    },
+}, { strict: true, timestamps: true });
+
+// Indexes
+userSessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL cleanup of expired sessions
+
+export const UserSession = mongoose.model('UserSession', userSessionSchema);
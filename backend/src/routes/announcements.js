@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+  createAnnouncement,
+  updateAnnouncement,
+  pinAnnouncement,
+  expireAnnouncement,
+  deactivateAnnouncement,
+  getClassAnnouncements,
+  getAnnouncementFeed,
+  markAnnouncementRead,
+  getAnnouncementReadStatus,
+} from '../controllers/announcementController.js';
+import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
+import {
+  validate,
+  createAnnouncementValidation,
+  updateAnnouncementValidation,
+  announcementIdValidation,
+  announcementFeedValidation,
+} from '../middlewares/validate.js';
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware);
+
+// Student routes
+router.get('/feed', roleMiddleware(['student']), validate(announcementFeedValidation), getAnnouncementFeed);
+router.post('/:id/read', roleMiddleware(['student']), validate(announcementIdValidation), markAnnouncementRead);
+
+// Teacher and admin routes
+router.use(roleMiddleware(['teacher', 'admin']));
+router.post('/', validate(createAnnouncementValidation), createAnnouncement);
+router.get('/class/:classId', getClassAnnouncements);
+router.get('/:id/read-status', validate(announcementIdValidation), getAnnouncementReadStatus);
+router.put('/:id', validate(updateAnnouncementValidation), updateAnnouncement);
+router.patch('/:id/pin', validate(announcementIdValidation), pinAnnouncement);
+router.patch('/:id/expire', validate(announcementIdValidation), expireAnnouncement);
+router.delete('/:id', validate(announcementIdValidation), deactivateAnnouncement);
+
+export default router;
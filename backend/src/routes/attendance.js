@@ -10,7 +10,21 @@ import {
   getAttendanceReport,
   getMyAttendance,
   getTodayAttendance,
+  getReviewQueue,
+  resolveReview,
 } from '../controllers/attendanceController.js';
+import {
+  getClassAttendanceSummary,
+  getAttendanceShortages,
+  notifyAttendanceShortages,
+  getMyAttendanceSummary,
+} from '../controllers/attendanceSummaryController.js';
+import { exportClassAttendance, exportStudentAttendance } from '../controllers/attendanceExportController.js';
+import {
+  getAttendanceHistory,
+  revertAttendance,
+  getAttendanceRevisions,
+} from '../controllers/attendanceRevisionController.js';
 import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
 import { 
   validate,
@@ -18,6 +32,17 @@ import {
   syncAttendanceValidation,
   manualAttendanceValidation,
   dateQueryValidation,
+  attendanceReviewQueryValidation,
+  resolveAttendanceReviewValidation,
+  attendanceSummaryValidation,
+  attendanceShortageQueryValidation,
+  notifyAttendanceShortagesValidation,
+  myAttendanceSummaryValidation,
+  classAttendanceExportValidation,
+  studentAttendanceExportValidation,
+  attendanceHistoryValidation,
+  revertAttendanceValidation,
+  attendanceRevisionQueryValidation,
 } from '../middlewares/validate.js';
 
 const router = express.Router();
@@ -35,12 +60,24 @@ router.post('/', authMiddleware, roleMiddleware(['student']), validate(attendanc
 router.post('/sync', authMiddleware, roleMiddleware(['student']), validate(syncAttendanceValidation), syncAttendance);
 router.get('/my-attendance', authMiddleware, roleMiddleware(['student']), validate(dateQueryValidation), getMyAttendance);
 router.get('/today', authMiddleware, roleMiddleware(['student']), getTodayAttendance);
+router.get('/my-attendance/export', authMiddleware, roleMiddleware(['student']), validate(studentAttendanceExportValidation), exportStudentAttendance);
+router.get('/my-summary', authMiddleware, roleMiddleware(['student']), validate(myAttendanceSummaryValidation), getMyAttendanceSummary);
 
 // Teacher and Admin routes
 router.use(authMiddleware, roleMiddleware(['teacher', 'admin']));
 router.post('/manual', validate(manualAttendanceValidation), manualAttendance);
 router.get('/records', validate(dateQueryValidation), getAllAttendance);
 router.get('/records/student/:studentId', validateObjectId('studentId'), validate(dateQueryValidation), getAttendanceByStudent);
+router.get('/reviews', validate(attendanceReviewQueryValidation), getReviewQueue);
+router.patch('/reviews/:id', validate(resolveAttendanceReviewValidation), resolveReview);
+router.get('/summary/class/:classId', validate(attendanceSummaryValidation), getClassAttendanceSummary);
+router.get('/shortages', validate(attendanceShortageQueryValidation), getAttendanceShortages);
+router.post('/shortages/notify', validate(notifyAttendanceShortagesValidation), notifyAttendanceShortages);
+router.get('/export/class/:classId', validate(classAttendanceExportValidation), exportClassAttendance);
+router.get('/export/student/:studentId', validate(studentAttendanceExportValidation), exportStudentAttendance);
+router.get('/revisions', roleMiddleware(['admin']), validate(attendanceRevisionQueryValidation), getAttendanceRevisions);
+router.get('/:id/history', validate(attendanceHistoryValidation), getAttendanceHistory);
+router.post('/:id/revert', validate(revertAttendanceValidation), revertAttendance);
 
 // Teacher, Admin, and enrolled Student access
 router.get(
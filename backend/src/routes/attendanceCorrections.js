@@ -0,0 +1,52 @@
+import express from 'express';
+import {
+  createCorrection,
+  getMyCorrections,
+  getCorrections,
+  getPendingCorrectionCounts,
+  getCorrectionById,
+  downloadCorrectionEvidence,
+  reviewCorrection,
+} from '../controllers/attendanceCorrectionController.js';
+import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
+import { createUpload, handleUpload } from '../middlewares/upload.js';
+import { CORRECTION_EVIDENCE_MIME_TYPES } from '../models/attendanceCorrectionModel.js';
+import {
+  validate,
+  createCorrectionValidation,
+  reviewCorrectionValidation,
+  correctionQueryValidation,
+  correctionIdValidation,
+} from '../middlewares/validate.js';
+
+const router = express.Router();
+
+// Configure multer for correction evidence (screenshots, letters)
+const upload = createUpload({
+  allowedMimeTypes: CORRECTION_EVIDENCE_MIME_TYPES,
+  maxFileSizeMB: parseInt(process.env.CORRECTION_EVIDENCE_MAX_FILE_SIZE_MB || '5', 10),
+});
+
+// Protect all routes
+router.use(authMiddleware);
+
+// Student routes
+router.post(
+  '/',
+  roleMiddleware(['student']),
+  handleUpload(upload.single('evidence')),
+  validate(createCorrectionValidation),
+  createCorrection
+);
+router.get('/my', roleMiddleware(['student']), validate(correctionQueryValidation), getMyCorrections);
+
+// Teacher and admin routes
+router.get('/', roleMiddleware(['teacher', 'admin']), validate(correctionQueryValidation), getCorrections);
+router.get('/pending-counts', roleMiddleware(['teacher', 'admin']), getPendingCorrectionCounts);
+router.patch('/:id/review', roleMiddleware(['teacher', 'admin']), validate(reviewCorrectionValidation), reviewCorrection);
+
+// Owning student, class teacher, or admin
+router.get('/:id', validate(correctionIdValidation), getCorrectionById);
+router.get('/:id/evidence', validate(correctionIdValidation), downloadCorrectionEvidence);
+
+export default router;
@@ -1,7 +1,37 @@
 import express from 'express';
-import { loginUser, registerUser, forgotPassword, resetPassword, verifyToken } from '../controllers/authController.js';
-import { authMiddleware } from '../middlewares/auth.js';
-import { validate, loginValidation, registerValidation, forgotPasswordValidation, resetPasswordValidation } from '../middlewares/validate.js';
+import {
+  loginUser,
+  registerUser,
+  forgotPassword,
+  resetPassword,
+  verifyToken,
+  refreshToken,
+  logoutUser,
+  getSessions,
+  revokeSession,
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  verifyTwoFactorLogin,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+} from '../controllers/authController.js';
+import { authMiddleware, roleMiddleware, twoFactorChallengeMiddleware } from '../middlewares/auth.js';
+import {
+  validate,
+  loginValidation,
+  registerValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  refreshTokenValidation,
+  logoutValidation,
+  userSessionIdValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  disableTwoFactorValidation,
+  twoFactorPolicyValidation,
+} from '../middlewares/validate.js';
 
 const router = express.Router();
 
@@ -9,6 +39,21 @@ router.post('/login', validate(loginValidation), loginUser);
 router.post('/register', validate(registerValidation), registerUser);
 router.post('/forgot-password', validate(forgotPasswordValidation), forgotPassword);
 router.post('/reset-password', validate(resetPasswordValidation), resetPassword);
+router.post('/refresh', validate(refreshTokenValidation), refreshToken);
 router.get('/verify-token', authMiddleware, verifyToken);
 
-export default router;
\ No newline at end of file
+// Session management
+router.post('/logout', authMiddleware, validate(logoutValidation), logoutUser);
+router.get('/sessions', authMiddleware, getSessions);
+router.delete('/sessions/:id', authMiddleware, validate(userSessionIdValidation), revokeSession);
+
+// Two-factor authentication
+router.post('/2fa/verify', twoFactorChallengeMiddleware(['2fa']), validate(twoFactorLoginValidation), verifyTwoFactorLogin);
+router.post('/2fa/setup', twoFactorChallengeMiddleware(['2fa_setup']), setupTwoFactor);
+router.post('/2fa/setup/verify', twoFactorChallengeMiddleware(['2fa_setup']), validate(twoFactorCodeValidation), verifyTwoFactorSetup);
+router.post('/2fa/recovery-codes', authMiddleware, validate(twoFactorCodeValidation), regenerateRecoveryCodes);
+router.post('/2fa/disable', authMiddleware, validate(disableTwoFactorValidation), disableTwoFactor);
+router.get('/2fa/policy', authMiddleware, roleMiddleware(['admin']), getTwoFactorPolicy);
+router.put('/2fa/policy', authMiddleware, roleMiddleware(['admin']), validate(twoFactorPolicyValidation), updateTwoFactorPolicy);
+
+export default router;
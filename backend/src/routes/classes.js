@@ -9,9 +9,50 @@ import {
   getClassmates,
   updateClass,
   deleteClass,
+  updateFaceVerificationSettings,
+  bulkEnrollStudents,
+  withdrawStudent,
+  transferStudent,
+  getEnrollmentHistory,
+  getClassTeachers,
+  assignClassTeacher,
+  updateClassTeacherRole,
+  removeClassTeacher,
 } from '../controllers/classController.js';
+import {
+  createJoinCode,
+  getJoinCodes,
+  revokeJoinCode,
+  redeemJoinCode,
+  getJoinRequests,
+  reviewJoinRequest,
+} from '../controllers/joinCodeController.js';
+import { getClassCalendar } from '../controllers/calendarController.js';
+import { getClassSessions, generateClassSessions, createClassSession } from '../controllers/classSessionController.js';
 import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
-import { validate, classValidation, enrollValidation } from '../middlewares/validate.js';
+import {
+  validate,
+  classValidation,
+  enrollValidation,
+  faceVerificationSettingsValidation,
+  bulkEnrollValidation,
+  withdrawStudentValidation,
+  transferStudentValidation,
+  enrollmentHistoryValidation,
+  classTeacherValidation,
+  classTeacherRoleValidation,
+  classTeacherParamValidation,
+  createJoinCodeValidation,
+  joinCodeQueryValidation,
+  joinCodeIdValidation,
+  redeemJoinCodeValidation,
+  joinRequestQueryValidation,
+  reviewJoinRequestValidation,
+  classCalendarValidation,
+  classSessionQueryValidation,
+  generateClassSessionsValidation,
+  createClassSessionValidation,
+} from '../middlewares/validate.js';
 
 const router = express.Router();
 
@@ -23,12 +64,33 @@ router.get('/', getClasses);
 router.get('/:id', getClassById);
 router.get('/:id/students', roleMiddleware(['teacher', 'admin']), getClassStudents);
 router.get('/:id/schedule', getClassSchedule);
+router.get('/:id/calendar', validate(classCalendarValidation), getClassCalendar);
 router.get('/:id/classmates', getClassmates);
 
+// Students join a class with a code from their teacher
+router.post('/join', validate(redeemJoinCodeValidation), roleMiddleware(['student']), redeemJoinCode);
+
 // Teacher and admin roles
 router.post('/', validate(classValidation), roleMiddleware(['teacher', 'admin']), createClass);
 router.post('/enroll', validate(enrollValidation), roleMiddleware(['teacher', 'admin']), enrollStudent);
+router.post('/:id/enrollments/bulk', validate(bulkEnrollValidation), roleMiddleware(['teacher', 'admin']), bulkEnrollStudents);
+router.get('/:id/enrollments/history', validate(enrollmentHistoryValidation), roleMiddleware(['teacher', 'admin']), getEnrollmentHistory);
+router.post('/:id/students/:studentId/withdraw', validate(withdrawStudentValidation), roleMiddleware(['teacher', 'admin']), withdrawStudent);
+router.post('/:id/students/:studentId/transfer', validate(transferStudentValidation), roleMiddleware(['teacher', 'admin']), transferStudent);
+router.get('/:id/teachers', validate(classTeacherParamValidation), roleMiddleware(['teacher', 'admin']), getClassTeachers);
+router.post('/:id/teachers', validate(classTeacherValidation), roleMiddleware(['teacher', 'admin']), assignClassTeacher);
+router.patch('/:id/teachers/:teacherId', validate(classTeacherRoleValidation), roleMiddleware(['teacher', 'admin']), updateClassTeacherRole);
+router.delete('/:id/teachers/:teacherId', validate(classTeacherParamValidation), roleMiddleware(['teacher', 'admin']), removeClassTeacher);
+router.post('/:id/join-codes', validate(createJoinCodeValidation), roleMiddleware(['teacher', 'admin']), createJoinCode);
+router.get('/:id/join-codes', validate(joinCodeQueryValidation), roleMiddleware(['teacher', 'admin']), getJoinCodes);
+router.delete('/:id/join-codes/:codeId', validate(joinCodeIdValidation), roleMiddleware(['teacher', 'admin']), revokeJoinCode);
+router.get('/:id/join-requests', validate(joinRequestQueryValidation), roleMiddleware(['teacher', 'admin']), getJoinRequests);
+router.patch('/:id/join-requests/:requestId', validate(reviewJoinRequestValidation), roleMiddleware(['teacher', 'admin']), reviewJoinRequest);
+router.get('/:id/sessions', validate(classSessionQueryValidation), roleMiddleware(['teacher', 'admin']), getClassSessions);
+router.post('/:id/sessions', validate(createClassSessionValidation), roleMiddleware(['teacher', 'admin']), createClassSession);
+router.post('/:id/sessions/generate', validate(generateClassSessionsValidation), roleMiddleware(['teacher', 'admin']), generateClassSessions);
 router.put('/:id', validate(classValidation), roleMiddleware(['teacher', 'admin']), updateClass);
+router.put('/:id/face-verification', validate(faceVerificationSettingsValidation), roleMiddleware(['teacher', 'admin']), updateFaceVerificationSettings);
 router.delete('/:id', roleMiddleware(['teacher', 'admin']), deleteClass);
 
 export default router;
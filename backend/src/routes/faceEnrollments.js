@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  submitFaceEnrollment,
+  getMyFaceEnrollment,
+  getFaceEnrollments,
+  reviewFaceEnrollment,
+} from '../controllers/faceEnrollmentController.js';
+import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
+import {
+  validate,
+  submitFaceEnrollmentValidation,
+  reviewFaceEnrollmentValidation,
+  faceEnrollmentQueryValidation,
+} from '../middlewares/validate.js';
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware);
+
+// Student routes
+router.post('/', roleMiddleware(['student']), validate(submitFaceEnrollmentValidation), submitFaceEnrollment);
+router.get('/me', roleMiddleware(['student']), getMyFaceEnrollment);
+
+// Teacher and admin routes
+router.get('/', roleMiddleware(['teacher', 'admin']), validate(faceEnrollmentQueryValidation), getFaceEnrollments);
+router.patch('/:userId', roleMiddleware(['teacher', 'admin']), validate(reviewFaceEnrollmentValidation), reviewFaceEnrollment);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  createBulkGrades,
+  updateGrade,
+  publishGrades,
+  getClassGradebook,
+  getMyGrades,
+  getGradeWeights,
+  updateGradeWeights,
+} from '../controllers/gradeController.js';
+import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
+import {
+  validate,
+  bulkGradeValidation,
+  updateGradeValidation,
+  publishGradesValidation,
+  gradeWeightsValidation,
+  gradeQueryValidation,
+} from '../middlewares/validate.js';
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware);
+
+// Student routes
+router.get('/my', roleMiddleware(['student']), validate(gradeQueryValidation), getMyGrades);
+
+// Teacher and admin routes
+router.use(roleMiddleware(['teacher', 'admin']));
+router.post('/bulk', validate(bulkGradeValidation), createBulkGrades);
+router.patch('/publish', validate(publishGradesValidation), publishGrades);
+router.get('/class/:classId', validate(gradeQueryValidation), getClassGradebook);
+router.get('/class/:classId/weights', getGradeWeights);
+router.put('/class/:classId/weights', validate(gradeWeightsValidation), updateGradeWeights);
+router.put('/:id', validate(updateGradeValidation), updateGrade);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  createLeaveRequest,
+  getMyLeaveRequests,
+  getLeaveRequests,
+  getLeaveRequestById,
+  reviewLeaveRequest,
+} from '../controllers/leaveRequestController.js';
+import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
+import {
+  validate,
+  createLeaveRequestValidation,
+  reviewLeaveRequestValidation,
+  leaveRequestQueryValidation,
+} from '../middlewares/validate.js';
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware);
+
+// Student routes
+router.post('/', roleMiddleware(['student']), validate(createLeaveRequestValidation), createLeaveRequest);
+router.get('/my', roleMiddleware(['student']), validate(leaveRequestQueryValidation), getMyLeaveRequests);
+
+// Teacher and admin routes
+router.get('/', roleMiddleware(['teacher', 'admin']), validate(leaveRequestQueryValidation), getLeaveRequests);
+router.patch('/:id/review', roleMiddleware(['teacher', 'admin']), validate(reviewLeaveRequestValidation), reviewLeaveRequest);
+
+// Owning student, class teacher, or admin
+router.get('/:id', getLeaveRequestById);
+
+export default router;
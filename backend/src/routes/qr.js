@@ -6,6 +6,8 @@ import {
   getActiveQRSessions,
   terminateAllQRSessions,
   validateQRToken,
+  getRotatingToken,
+  getServerTime,
 } from '../controllers/qrController.js';
 import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
 import {
@@ -20,6 +22,9 @@ const router = express.Router();
 // Student routes (require student role) - MUST come before teacher middleware
 router.post('/validate', authMiddleware, roleMiddleware(['student']), validate(qrTokenValidation), validateQRToken);
 
+// Server clock for keeping rotating QR displays aligned
+router.get('/time', authMiddleware, getServerTime);
+
 // Teacher routes (require teacher role)
 router.use(authMiddleware, roleMiddleware(['teacher']));
 router.post('/generate', validate(qrSessionValidation), generateQRSession);
@@ -27,5 +32,6 @@ router.post('/refresh/:sessionId', validate(sessionIdValidation), refreshQRToken
 router.delete('/terminate/:sessionId', validate(sessionIdValidation), terminateQRSession);
 router.delete('/terminate-all', terminateAllQRSessions);
 router.get('/active', getActiveQRSessions);
+router.get('/rotating/:sessionId', validate(sessionIdValidation), getRotatingToken);
 
 export default router;
\ No newline at end of file
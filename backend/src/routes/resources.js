@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  uploadResource,
+  getClassResources,
+  downloadResource,
+  deleteResource,
+} from '../controllers/resourceController.js';
+import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
+import { createUpload, handleUpload } from '../middlewares/upload.js';
+import { RESOURCE_MIME_TYPES } from '../models/resourceModel.js';
+import {
+  validate,
+  createResourceValidation,
+  resourceIdValidation,
+  resourceQueryValidation,
+} from '../middlewares/validate.js';
+
+const router = express.Router();
+
+// Configure multer for course material uploads
+const upload = createUpload({
+  allowedMimeTypes: Object.keys(RESOURCE_MIME_TYPES),
+  maxFileSizeMB: parseInt(process.env.RESOURCE_MAX_FILE_SIZE_MB || '25', 10),
+});
+
+// Protect all routes
+router.use(authMiddleware);
+
+// Enrolled students, class teachers and admins
+router.get('/class/:classId', validate(resourceQueryValidation), getClassResources);
+router.get('/:id/download', validate(resourceIdValidation), downloadResource);
+
+// Teacher and admin routes
+router.post(
+  '/',
+  roleMiddleware(['teacher', 'admin']),
+  handleUpload(upload.single('file')),
+  validate(createResourceValidation),
+  uploadResource
+);
+router.delete('/:id', roleMiddleware(['teacher', 'admin']), validate(resourceIdValidation), deleteResource);
+
+export default router;
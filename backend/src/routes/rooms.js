@@ -6,6 +6,8 @@ import {
   deleteRoom,
   getRoomsByType,
   initializeDefaultRooms, 
+  updateRoomGeofence,
+  deleteRoomGeofence,
 } from '../controllers/roomController.js';
 import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
 import {  
@@ -14,6 +16,7 @@ import {
   updateRoomValidation,
   initializeRoomValidation,
   typeValidation,
+  roomGeofenceValidation,
 } from '../middlewares/validate.js';
 
 const router = express.Router();
@@ -29,4 +32,8 @@ router.post('/initialize', validate(initializeRoomValidation), initializeDefault
 router.put('/:id', validate(updateRoomValidation), updateRoom);
 router.delete('/:id', updateRoomValidation, deleteRoom);
 
+// Geofences are managed by admins only
+router.put('/:id/geofence', roleMiddleware(['admin']), validate(roomGeofenceValidation), updateRoomGeofence);
+router.delete('/:id/geofence', roleMiddleware(['admin']), deleteRoomGeofence);
+
 export default router;
\ No newline at end of file
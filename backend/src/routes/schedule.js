@@ -12,6 +12,11 @@ import {
   splitSchedule,
   checkScheduleConflict,
 } from '../controllers/scheduleController.js';
+import {
+  createScheduleException,
+  getScheduleExceptions,
+  deleteScheduleException,
+} from '../controllers/calendarController.js';
 import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
 import {  
   validate,
@@ -21,6 +26,9 @@ import {
   mergeScheduleValidation,
   splitScheduleValidation,
   getScheduleQueryValidation,
+  createScheduleExceptionValidation,
+  scheduleExceptionQueryValidation,
+  scheduleExceptionIdValidation,
 } from '../middlewares/validate.js';
 
 const router = express.Router();
@@ -39,6 +47,11 @@ router.post('/check-conflict', validate(createScheduleValidation), checkSchedule
 router.post('/merge', validate(mergeScheduleValidation), mergeSchedules);
 router.post('/split/:id', validate(splitScheduleValidation), splitSchedule);
 
+// One-off changes to single occurrences
+router.post('/:id/exceptions', validate(createScheduleExceptionValidation), createScheduleException);
+router.get('/:id/exceptions', validate(scheduleExceptionQueryValidation), getScheduleExceptions);
+router.delete('/:id/exceptions/:exceptionId', validate(scheduleExceptionIdValidation), deleteScheduleException);
+
 // CRUD routes
 router.post('/', validate(createScheduleValidation), createSchedule);
 router.get('/', getAllSchedules);
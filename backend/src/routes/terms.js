@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+  createTerm,
+  getTerms,
+  getCurrentTerm,
+  getTermById,
+  updateTerm,
+  activateTerm,
+  deleteTerm,
+  rolloverTerm,
+} from '../controllers/termController.js';
+import { generateTermSessions } from '../controllers/classSessionController.js';
+import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
+import {
+  validate,
+  createTermValidation,
+  updateTermValidation,
+  termIdValidation,
+  rolloverTermValidation,
+} from '../middlewares/validate.js';
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware);
+
+// Any signed-in user can read the calendar
+router.get('/', getTerms);
+router.get('/current', getCurrentTerm);
+router.get('/:id', validate(termIdValidation), getTermById);
+
+// Terms are managed by admins only
+router.use(roleMiddleware(['admin']));
+router.post('/', validate(createTermValidation), createTerm);
+router.put('/:id', validate(updateTermValidation), updateTerm);
+router.post('/:id/activate', validate(termIdValidation), activateTerm);
+router.post('/:id/rollover', validate(rolloverTermValidation), rolloverTerm);
+router.post('/:id/sessions/generate', validate(termIdValidation), generateTermSessions);
+router.delete('/:id', validate(termIdValidation), deleteTerm);
+
+export default router;
@@ -1,5 +1,4 @@
 import express from 'express';
-import multer from 'multer';
 import path from 'path';
 import {  
   createUser,
@@ -10,20 +9,42 @@ import {
   updateUserProfile,
   changePassword,
   uploadProfilePicture,
+  getProfilePicture,
+  updateUser,
+  updateUserStatus,
+  forcePasswordReset,
+  deleteUser,
+  unlockUser,
+  resetTwoFactor,
+  importUsers,
 } from '../controllers/userController.js';
 import { authMiddleware, roleMiddleware } from '../middlewares/auth.js';
+import { createUpload, handleUpload } from '../middlewares/upload.js';
+import { ROSTER_MIME_TYPES } from '../utils/rosterImport.js';
 import {  
   validate,
   createUserValidation,
   updateUserValidation,
   profilePictureValidation,
+  adminUpdateUserValidation,
+  userStatusValidation,
+  userIdValidation,
+  importUsersValidation,
 } from '../middlewares/validate.js';
 
 const router = express.Router();
 
-// Configure multer storage
-const storage = multer.memoryStorage(); // Use memory storage for buffer
-const upload = multer({ storage: storage });
+// Configure multer for profile pictures (memory storage, JPEG or PNG only)
+const upload = createUpload({
+  allowedMimeTypes: ['image/jpeg', 'image/png'],
+  maxFileSizeMB: parseInt(process.env.PROFILE_PICTURE_MAX_SIZE_MB || '5', 10),
+});
+
+// Configure multer for CSV/XLSX roster imports
+const rosterUpload = createUpload({
+  allowedMimeTypes: ROSTER_MIME_TYPES,
+  maxFileSizeMB: parseInt(process.env.USER_IMPORT_MAX_SIZE_MB || '5', 10),
+});
 
 // User routes
 router
@@ -39,7 +60,7 @@ router.put('/change-password', authMiddleware, changePassword);
 router.post(
   '/profile-picture', 
   authMiddleware,
-  upload.single('profilePicture'),
+  handleUpload(upload.single('profilePicture')),
   validate(profilePictureValidation), 
   uploadProfilePicture
 );
@@ -52,7 +73,29 @@ router
   .route('/')
   .post(authMiddleware, roleMiddleware(['admin']), validate(createUserValidation), createUser)
   .get(authMiddleware, roleMiddleware(['admin']), getAllUsers);
+
+// Bulk import from a roster file
+router.post(
+  '/import',
+  authMiddleware,
+  roleMiddleware(['admin']),
+  handleUpload(rosterUpload.single('file')),
+  validate(importUsersValidation),
+  importUsers
+);
   
-router.get('/:id', authMiddleware, roleMiddleware(['admin']), getUserById); 
+// Profile pictures are visible to any authenticated user
+router.get('/:id/profile-picture', authMiddleware, getProfilePicture);
+
+router
+  .route('/:id')
+  .get(authMiddleware, roleMiddleware(['admin']), getUserById)
+  .put(authMiddleware, roleMiddleware(['admin']), validate(adminUpdateUserValidation), updateUser)
+  .delete(authMiddleware, roleMiddleware(['admin']), validate(userIdValidation), deleteUser);
+
+router.patch('/:id/status', authMiddleware, roleMiddleware(['admin']), validate(userStatusValidation), updateUserStatus);
+router.post('/:id/force-password-reset', authMiddleware, roleMiddleware(['admin']), validate(userIdValidation), forcePasswordReset);
+router.post('/:id/unlock', authMiddleware, roleMiddleware(['admin']), validate(userIdValidation), unlockUser);
+router.post('/:id/reset-2fa', authMiddleware, roleMiddleware(['admin']), validate(userIdValidation), resetTwoFactor);
 
 export default router;
\ No newline at end of file
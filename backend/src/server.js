@@ -4,6 +4,8 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import cors from 'cors';
 import connectDB from './config/db.js';
+import { startSessionExpiryJob } from './jobs/sessionExpiryJob.js';
+import { startMailQueueJob } from './jobs/mailQueueJob.js';
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import classRoutes from './routes/classes.js';
@@ -13,6 +15,13 @@ import attendanceRoutes from './routes/attendance.js';
 import timeSlotRoutes from './routes/timeSlot.js';
 import roomRoutes from './routes/rooms.js';
 import auditRoutes from './routes/audit.js';
+import leaveRequestRoutes from './routes/leaveRequests.js';
+import announcementRoutes from './routes/announcements.js';
+import gradeRoutes from './routes/grades.js';
+import resourceRoutes from './routes/resources.js';
+import faceEnrollmentRoutes from './routes/faceEnrollments.js';
+import termRoutes from './routes/terms.js';
+import attendanceCorrectionRoutes from './routes/attendanceCorrections.js';
 
 // Load environment variables
 dotenv.config();
@@ -20,6 +29,11 @@ dotenv.config();
 // Initialize express app
 const app = express();
 
+// Number of reverse proxies in front of the API, so req.ip is the client address
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10));
+}
+
 // Security middlewares
 app.use(helmet({
   crossOriginResourcePolicy: false,
@@ -55,6 +69,10 @@ app.use(express.json());
 // Connect to MongoDB
 connectDB();
 
+// Background jobs
+startSessionExpiryJob();
+startMailQueueJob();
+
 // API Home Route
 app.get('/', (req, res) => {
   res.send('Attendance API is up and running...🚀');
@@ -70,6 +88,13 @@ app.use('/api/attendances', attendanceRoutes);
 app.use('/api/timeslots', timeSlotRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/audit-logs', auditRoutes);
+app.use('/api/leave-requests', leaveRequestRoutes);
+app.use('/api/announcements', announcementRoutes);
+app.use('/api/grades', gradeRoutes);
+app.use('/api/resources', resourceRoutes);
+app.use('/api/face-enrollments', faceEnrollmentRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/attendance-corrections', attendanceCorrectionRoutes);
 
 const PORT = process.env.PORT || 5001;
 app.listen(PORT, () => {
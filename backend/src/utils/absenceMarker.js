@@ -0,0 +1,98 @@
+import logger from './logger.js';
+import { Attendance } from '../models/attendanceModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { LeaveRequest } from '../models/leaveRequestModel.js';
+import { QRCodeSession } from '../models/qrCodeSessionModel.js';
+import { AuditLog } from '../models/auditLogModel.js';
+
+/**
+ * Record an `absent` attendance for every actively enrolled student who has
+ * no record for the given QR session. Students with an approved leave on the
+ * session date are recorded as `excused` instead.
+ *
+ * Upserts keyed on (sessionId, studentId) make this safe to run repeatedly.
+ * Returns the number of records created.
+ */
+export const markAbsenteesForSession = async (qrSession) => {
+  const sessionStart = qrSession.qrPayload?.timestamp || qrSession.createdAt || new Date();
+
+  // Students recorded through another QR session of the same lecture are not absent
+  const [enrollments, recordedStudentIds] = await Promise.all([
+    ClassEnrollment.find({ classId: qrSession.classId, isActive: true }).select('studentId'),
+    Attendance.find(qrSession.classSessionId
+      ? { $or: [{ sessionId: qrSession._id }, { classSessionId: qrSession.classSessionId }] }
+      : { sessionId: qrSession._id }
+    ).distinct('studentId'),
+  ]);
+
+  const recorded = new Set(recordedStudentIds.map((id) => id.toString()));
+  const missingStudentIds = enrollments
+    .map((e) => e.studentId)
+    .filter((studentId) => !recorded.has(studentId.toString()));
+
+  let createdCount = 0;
+  if (missingStudentIds.length) {
+    const startOfDay = new Date(sessionStart);
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date(sessionStart);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const excusedStudentIds = await LeaveRequest.find({
+      classId: qrSession.classId,
+      studentId: { $in: missingStudentIds },
+      status: 'approved',
+      leaveDate: { $gte: startOfDay, $lte: endOfDay },
+    }).distinct('studentId');
+    const excused = new Set(excusedStudentIds.map((id) => id.toString()));
+
+    const operations = missingStudentIds.map((studentId) => ({
+      updateOne: {
+        filter: { sessionId: qrSession._id, studentId },
+        update: {
+          $setOnInsert: {
+            classId: qrSession.classId,
+            ...(qrSession.scheduleId ? { scheduleId: qrSession.scheduleId } : {}),
+            ...(qrSession.classSessionId ? { classSessionId: qrSession.classSessionId } : {}),
+            status: excused.has(studentId.toString()) ? 'excused' : 'absent',
+            autoMarked: true,
+            manualEntry: false,
+            livenessPassed: false,
+            faceEmbedding: [],
+            synced: true,
+            attendedAt: sessionStart,
+          },
+        },
+        upsert: true,
+      },
+    }));
+
+    try {
+      const result = await Attendance.bulkWrite(operations, { ordered: false });
+      createdCount = result.upsertedCount;
+    } catch (err) {
+      // A concurrent submission may win the unique (sessionId, studentId) race
+      const writeErrors = err.writeErrors || [];
+      if (!writeErrors.length || writeErrors.some((writeErr) => writeErr.code !== 11000)) {
+        throw err;
+      }
+      createdCount = err.result?.upsertedCount || 0;
+    }
+  }
+
+  await QRCodeSession.updateOne(
+    { _id: qrSession._id },
+    { $set: { absencesMarkedAt: new Date(), isActive: false } }
+  );
+
+  if (createdCount > 0) {
+    await new AuditLog({
+      userId: qrSession.teacherId,
+      action: 'AUTO_MARK_ABSENCES',
+      details: { classId: qrSession.classId, sessionId: qrSession.sessionId, absencesMarked: createdCount },
+      status: 'success',
+    }).save();
+    logger.info('Marked absences for QR session', { sessionId: qrSession.sessionId, count: createdCount });
+  }
+
+  return createdCount;
+};
@@ -0,0 +1,146 @@
+import { Attendance } from '../models/attendanceModel.js';
+import { calculateDistance } from './geo.js';
+
+// Detection thresholds, overridable through env
+export const getAnomalySettings = () => ({
+  identicalCoordinatesThreshold: parseInt(process.env.ANOMALY_IDENTICAL_COORDINATES_THRESHOLD || '3', 10),
+  minAccuracyMeters: parseFloat(process.env.ANOMALY_MIN_ACCURACY_METERS || '1'),
+  minCoordinateDecimals: parseInt(process.env.ANOMALY_MIN_COORDINATE_DECIMALS || '4', 10),
+  unchangedLookback: parseInt(process.env.ANOMALY_UNCHANGED_LOOKBACK || '5', 10),
+  sharedDeviceThreshold: parseInt(process.env.ANOMALY_SHARED_DEVICE_THRESHOLD || '2', 10),
+  // Campus networks put many phones behind one NAT address, so IP sharing needs a higher bar
+  sharedIpThreshold: parseInt(process.env.ANOMALY_SHARED_IP_THRESHOLD || '10', 10),
+  travelWindowMinutes: parseInt(process.env.ANOMALY_TRAVEL_WINDOW_MINUTES || '30', 10),
+  minTravelDistanceMeters: parseFloat(process.env.ANOMALY_MIN_TRAVEL_DISTANCE_METERS || '1000'),
+  maxTravelSpeedKmh: parseFloat(process.env.ANOMALY_MAX_TRAVEL_SPEED_KMH || '60'),
+});
+
+// Number of digits after the decimal point
+const countDecimals = (value) => {
+  const [, fraction = ''] = String(value).split('.');
+  return fraction.length;
+};
+
+/**
+ * Run every detection rule for an attendance that is about to be saved.
+ *
+ * `attendance` is the plain data object (studentId, sessionId, studentCoordinates,
+ * deviceId, ipAddress, attendedAt). Returns `{ flags, related }` where `flags` are
+ * stored on the new record and `related` maps flag types to other records in the
+ * same session that share the suspicious pattern.
+ */
+export const detectAttendanceAnomalies = async (attendance) => {
+  const settings = getAnomalySettings();
+  const { studentId, sessionId, studentCoordinates, deviceId, ipAddress } = attendance;
+  const attendedAt = new Date(attendance.attendedAt || Date.now());
+  const { latitude, longitude, accuracy } = studentCoordinates;
+
+  const flags = [];
+  const related = {};
+  const others = { sessionId, studentId: { $ne: studentId } };
+
+  // Many students reporting the exact same position
+  const identical = await Attendance.find({
+    ...others,
+    'studentCoordinates.latitude': latitude,
+    'studentCoordinates.longitude': longitude,
+  }).select('_id');
+  if (identical.length + 1 >= settings.identicalCoordinatesThreshold) {
+    flags.push({ type: 'identical_coordinates', details: { matchingRecords: identical.length } });
+    related.identical_coordinates = identical.map((a) => a._id);
+  }
+
+  // Sub-meter accuracy or hand-typed round numbers point at mocked locations
+  const decimals = Math.min(countDecimals(latitude), countDecimals(longitude));
+  if ((accuracy !== undefined && accuracy < settings.minAccuracyMeters) || decimals < settings.minCoordinateDecimals) {
+    flags.push({ type: 'excessive_precision', details: { accuracy, decimals } });
+  }
+
+  // Real GPS fixes never repeat exactly across sessions
+  const previous = await Attendance.find({
+    studentId,
+    sessionId: { $ne: sessionId },
+    manualEntry: false,
+    autoMarked: false,
+  })
+    .select('studentCoordinates sessionId attendedAt')
+    .sort({ attendedAt: -1 })
+    .limit(settings.unchangedLookback);
+  const unchanged = previous.find((a) =>
+    a.studentCoordinates?.latitude === latitude && a.studentCoordinates?.longitude === longitude
+  );
+  if (unchanged) {
+    flags.push({ type: 'unchanged_coordinates', details: { previousAttendanceId: unchanged._id } });
+  }
+
+  // One device or network address submitting for several students
+  for (const [type, field, value, threshold] of [
+    ['shared_device', 'deviceId', deviceId, settings.sharedDeviceThreshold],
+    ['shared_ip', 'ipAddress', ipAddress, settings.sharedIpThreshold],
+  ]) {
+    if (!value) continue;
+    const sharing = await Attendance.find({ ...others, [field]: value }).select('_id studentId');
+    const studentCount = new Set(sharing.map((a) => a.studentId.toString())).size + 1;
+    if (studentCount >= threshold) {
+      flags.push({ type, details: { [field]: value, studentCount } });
+      related[type] = sharing.map((a) => a._id);
+    }
+  }
+
+  // The same student checked in somewhere too far away to reach in time
+  const windowMs = settings.travelWindowMinutes * 60 * 1000;
+  const nearby = previous.length
+    ? await Attendance.find({
+      studentId,
+      sessionId: { $ne: sessionId },
+      manualEntry: false,
+      autoMarked: false,
+      attendedAt: { $gte: new Date(attendedAt.getTime() - windowMs), $lte: new Date(attendedAt.getTime() + windowMs) },
+    }).select('studentCoordinates attendedAt')
+    : [];
+  for (const other of nearby) {
+    if (typeof other.studentCoordinates?.latitude !== 'number') continue;
+    const distance = calculateDistance(studentCoordinates, other.studentCoordinates);
+    const hours = Math.max(Math.abs(attendedAt - other.attendedAt), 1000) / 3600000;
+    const speedKmh = distance / 1000 / hours;
+    if (distance >= settings.minTravelDistanceMeters && speedKmh > settings.maxTravelSpeedKmh) {
+      flags.push({
+        type: 'impossible_travel',
+        details: {
+          otherAttendanceId: other._id,
+          distanceMeters: Math.round(distance),
+          minutesApart: Math.round(Math.abs(attendedAt - other.attendedAt) / 60000),
+          speedKmh: Math.round(speedKmh),
+        },
+      });
+      break;
+    }
+  }
+
+  return { flags, related };
+};
+
+/**
+ * Add a flag to earlier records that share a pattern with a new submission and
+ * queue them for review. Records a teacher has already resolved are left alone.
+ */
+export const flagRelatedAttendances = async (related, detectedAt = new Date()) => {
+  let flaggedCount = 0;
+  for (const [type, ids] of Object.entries(related)) {
+    if (!ids.length) continue;
+    const result = await Attendance.updateMany(
+      {
+        _id: { $in: ids },
+        'flags.type': { $ne: type },
+        'review.status': { $nin: ['approved', 'rejected'] },
+      },
+      {
+        $push: { flags: { type, details: { detectedBy: 'related_submission' }, detectedAt } },
+        $set: { 'review.status': 'pending' },
+        $addToSet: { 'review.reasons': 'anomaly' },
+      }
+    );
+    flaggedCount += result.modifiedCount;
+  }
+  return flaggedCount;
+};
@@ -0,0 +1,405 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { Attendance } from '../models/attendanceModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import {
+  collectLectureStatuses,
+  dateRangeFilter,
+  getHeldLectures,
+  lectureStatusFor,
+  summarizeLectures,
+} from './attendanceSummary.js';
+
+const STATUS_CODES = { present: 'P', late: 'L', absent: 'A', excused: 'E' };
+
+const LEGEND = 'P present, L late, A absent, E excused, - not enrolled yet';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+};
+
+// Students whose attendance is loaded at once while writing a class register
+const STUDENT_BATCH_SIZE = 100;
+
+// Lecture columns that fit across a landscape A4 page next to the student columns
+const PDF_MAX_LECTURE_COLUMNS = 25;
+const PDF_CHAR_WIDTH = 4.2;
+const PDF_ROW_HEIGHT = 12;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const formatDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const formatMonth = (date) => date.toLocaleString('en-US', { month: 'short', year: 'numeric' });
+
+// Group lectures by calendar month, in order: [{ name, lectures }]
+const groupByMonth = (lectures) => {
+  const months = new Map();
+  for (const lecture of lectures) {
+    const key = `${lecture.date.getFullYear()}-${lecture.date.getMonth()}`;
+    if (!months.has(key)) months.set(key, { name: formatMonth(lecture.date), lectures: [] });
+    months.get(key).lectures.push(lecture);
+  }
+  return [...months.values()];
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks.length ? chunks : [[]];
+};
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Aborted when the client goes away before the download is complete, so the
+// writers stop producing rows instead of waiting on a response that never drains
+const abortOnClose = (res) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort(new Error('Export aborted by the client'));
+  if (res.destroyed) {
+    abort();
+  } else {
+    res.once('close', () => {
+      if (!res.writableFinished) abort();
+    });
+  }
+  return controller.signal;
+};
+
+// Settles only by rejecting, once `signal` aborts; meant for Promise.race
+const whenAborted = (signal) => once(signal, 'abort').then(() => {
+  throw signal.reason;
+});
+
+// Write to the response, waiting for it to drain when its buffer is full
+const writeChunk = async (res, data, signal) => {
+  signal.throwIfAborted();
+  if (!res.write(data)) {
+    await once(res, 'drain', { signal });
+  }
+};
+
+const writeCsv = async (res, register, signal) => {
+  let first = true;
+  for (const section of register.sections) {
+    if (!first) await writeChunk(res, '\r\n', signal);
+    first = false;
+    await writeChunk(res, `${section.columns.map((c) => csvCell(c.header.replace(/\n/g, ' '))).join(',')}\r\n`, signal);
+    for await (const row of section.rows) {
+      await writeChunk(res, `${row.map(csvCell).join(',')}\r\n`, signal);
+    }
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, register, signal) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const headerRows = register.details.length + 3;
+
+  for (const section of register.sections) {
+    const sheet = workbook.addWorksheet(section.name.replace(/[*?:\\/[\]]/g, '-').slice(0, 31), {
+      views: [{ state: 'frozen', ySplit: headerRows, xSplit: section.frozenColumns || 0 }],
+    });
+    sheet.columns = section.columns.map((c) => ({ width: c.width }));
+
+    const titleRow = sheet.addRow([register.title]);
+    titleRow.font = { bold: true, size: 14 };
+    titleRow.commit();
+    for (const [label, value] of register.details) {
+      sheet.addRow([label, value]).commit();
+    }
+    sheet.addRow([]).commit();
+    const header = sheet.addRow(section.columns.map((c) => c.header));
+    header.font = { bold: true };
+    header.alignment = { wrapText: true, horizontal: 'center' };
+    header.commit();
+
+    for await (const row of section.rows) {
+      signal.throwIfAborted();
+      sheet.addRow(row).commit();
+      if (res.writableNeedDrain) {
+        await once(res, 'drain', { signal });
+      }
+    }
+    await sheet.commit();
+  }
+  await Promise.race([workbook.commit(), whenAborted(signal)]);
+};
+
+const writePdf = async (res, register, signal) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  doc.pipe(res);
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawPageHeader = (section) => {
+    doc.font('Helvetica-Bold').fontSize(14).text(register.title, doc.page.margins.left, doc.page.margins.top);
+    doc.font('Helvetica').fontSize(8)
+      .text(register.details.map(([label, value]) => `${label}: ${value}`).join('    '))
+      .moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(10).text(section.name).moveDown(0.3);
+  };
+
+  const drawRow = (cells, columns, { bold = false, height = PDF_ROW_HEIGHT } = {}) => {
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 6 : 7);
+    columns.forEach((column, index) => {
+      const width = column.width * PDF_CHAR_WIDTH;
+      doc.rect(x, y, width, height).stroke('#999999');
+      doc.fillColor('#000000').text(String(cells[index] ?? ''), x + 1.5, y + 2.5, {
+        width: width - 3,
+        height: height - 2,
+        align: column.align || 'left',
+        lineBreak: bold,
+        ellipsis: !bold,
+      });
+      x += width;
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + height;
+  };
+
+  let first = true;
+  for (const section of register.sections) {
+    if (!first) doc.addPage();
+    first = false;
+    drawPageHeader(section);
+    const headerHeight = section.columns.some((c) => c.header.includes('\n')) ? PDF_ROW_HEIGHT * 1.8 : PDF_ROW_HEIGHT;
+    drawRow(section.columns.map((c) => c.header), section.columns, { bold: true, height: headerHeight });
+
+    for await (const row of section.rows) {
+      signal.throwIfAborted();
+      if (doc.y + PDF_ROW_HEIGHT > bottom) {
+        doc.addPage();
+        drawPageHeader(section);
+        drawRow(section.columns.map((c) => c.header), section.columns, { bold: true, height: headerHeight });
+      }
+      drawRow(row, section.columns);
+      if (res.writableNeedDrain) {
+        await once(res, 'drain', { signal });
+      }
+    }
+  }
+
+  doc.moveDown().font('Helvetica').fontSize(7).text(register.legend || '', doc.page.margins.left);
+  doc.end();
+  await Promise.race([once(res, 'finish'), whenAborted(signal)]);
+};
+
+const WRITERS = { csv: writeCsv, xlsx: writeXlsx, pdf: writePdf };
+
+/**
+ * Stream a register to the response as a CSV, XLSX or PDF download named
+ * `fileName`. A register is { title, details: [[label, value]], legend,
+ * sections } where each section is { name, columns: [{ header, width,
+ * align }], rows } and `rows` an async iterable of cell arrays, produced as
+ * they are written. CSV files hold the sections one after another, XLSX
+ * files get a sheet per section and PDFs start each section on a new page.
+ */
+export const streamRegister = async (res, format, fileName, register) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(`${fileName}.${format}`)}`);
+  await WRITERS[format](res, register, abortOnClose(res));
+};
+
+// Class register rows for `columnLectures`, with totals over all `lectures` of the section
+async function* classRegisterRows(classId, enrollments, { lectures, columnLectures, range, threshold }) {
+  for (let offset = 0; offset < enrollments.length; offset += STUDENT_BATCH_SIZE) {
+    const batch = enrollments.slice(offset, offset + STUDENT_BATCH_SIZE);
+    const attendances = await Attendance.find({
+      classId,
+      studentId: { $in: batch.map((e) => e.studentId._id) },
+      ...dateRangeFilter('attendedAt', range),
+    })
+      .select('studentId status classSessionId scheduleId sessionId attendedAt')
+      .lean();
+
+    for (const [index, enrollment] of batch.entries()) {
+      const student = enrollment.studentId;
+      const statuses = collectLectureStatuses(attendances.filter((a) => a.studentId.equals(student._id)));
+      const summary = summarizeLectures(lectures, statuses, enrollment.enrolledAt, threshold);
+      yield [
+        offset + index + 1,
+        student.enrollmentNo || '',
+        student.fullName,
+        ...columnLectures.map((lecture) => STATUS_CODES[lectureStatusFor(lecture, statuses, enrollment.enrolledAt)] || '-'),
+        summary.lecturesHeld,
+        summary.attended,
+        summary.percentage ?? '-',
+      ];
+    }
+  }
+}
+
+/**
+ * Register of a class between `startDate` and `endDate`: a row per enrolled
+ * student and a column per lecture held. Spreadsheets and PDFs get a
+ * section per month, PDF months split further when they have more lectures
+ * than fit across a page; CSV has a single section.
+ */
+export const buildClassRegister = async (classObj, { startDate, endDate, format, threshold }) => {
+  const range = { startDate, endDate };
+  const [lectures, enrollments] = await Promise.all([
+    getHeldLectures(classObj._id, range),
+    ClassEnrollment.find({ classId: classObj._id, isActive: true })
+      .populate('studentId', 'fullName enrollmentNo')
+      .lean(),
+  ]);
+  const students = enrollments
+    .filter((e) => e.studentId)
+    .sort((a, b) => (a.studentId.enrollmentNo || '').localeCompare(b.studentId.enrollmentNo || '') ||
+      a.studentId.fullName.localeCompare(b.studentId.fullName));
+
+  const months = format === 'csv' || !lectures.length
+    ? [{ name: `${formatDay(startDate)} to ${formatDay(endDate)}`, lectures }]
+    : groupByMonth(lectures);
+
+  const sections = [];
+  for (const month of months) {
+    const monthRange = format === 'csv' || !month.lectures.length
+      ? range
+      : { startDate: month.lectures[0].date, endDate: month.lectures[month.lectures.length - 1].date };
+    const columnGroups = format === 'pdf' ? chunk(month.lectures, PDF_MAX_LECTURE_COLUMNS) : [month.lectures];
+
+    columnGroups.forEach((columnLectures, part) => {
+      sections.push({
+        name: columnGroups.length > 1 ? `${month.name} (${part + 1}/${columnGroups.length})` : month.name,
+        frozenColumns: 3,
+        columns: [
+          { header: 'No.', width: 4, align: 'right' },
+          { header: 'Enrollment No.', width: 14 },
+          { header: 'Name', width: 24 },
+          ...columnLectures.map((lecture) => ({
+            header: format === 'csv'
+              ? `${formatDay(lecture.date)} ${lecture.startTime}`
+              : `${pad(lecture.date.getDate())}\n${lecture.startTime}`,
+            width: 5,
+            align: 'center',
+          })),
+          { header: 'Held', width: 5, align: 'right' },
+          { header: 'Attended', width: 6, align: 'right' },
+          { header: '%', width: 6, align: 'right' },
+        ],
+        rows: classRegisterRows(classObj._id, students, {
+          lectures: month.lectures,
+          columnLectures,
+          range: monthRange,
+          threshold,
+        }),
+      });
+    });
+  }
+
+  return {
+    title: 'Attendance register',
+    details: [
+      ['Subject', `${classObj.subjectCode} - ${classObj.subjectName}`],
+      ['Semester', classObj.semester],
+      ['Division', classObj.division],
+      ['Class', classObj.classNumber],
+      ['Teacher', classObj.teacherId?.fullName || ''],
+      ['Period', `${formatDay(startDate)} to ${formatDay(endDate)}`],
+      ['Lectures held', lectures.length],
+    ],
+    legend: LEGEND,
+    sections,
+  };
+};
+
+async function* fromArray(rows) {
+  yield* rows;
+}
+
+/**
+ * Register of one student between `startDate` and `endDate` across the
+ * given enrollments: a row per lecture held with its status, a section per
+ * month (one for CSV), then a per-class summary.
+ */
+export const buildStudentRegister = async (student, enrollments, { startDate, endDate, format, threshold }) => {
+  const range = { startDate, endDate };
+  const rows = [];
+  const summaryRows = [];
+
+  for (const enrollment of enrollments) {
+    const classObj = enrollment.classId;
+    const [lectures, attendances] = await Promise.all([
+      getHeldLectures(classObj._id, range),
+      Attendance.find({ classId: classObj._id, studentId: student._id, ...dateRangeFilter('attendedAt', range) })
+        .select('status classSessionId scheduleId sessionId attendedAt')
+        .lean(),
+    ]);
+    const statuses = collectLectureStatuses(attendances);
+
+    for (const lecture of lectures) {
+      const status = lectureStatusFor(lecture, statuses, enrollment.enrolledAt);
+      if (!status) continue;
+      rows.push({ lecture, cells: [formatDay(lecture.date), lecture.startTime, classObj.subjectCode, classObj.subjectName, STATUS_CODES[status]] });
+    }
+
+    const summary = summarizeLectures(lectures, statuses, enrollment.enrolledAt, threshold);
+    summaryRows.push([
+      classObj.subjectCode,
+      classObj.subjectName,
+      summary.lecturesHeld,
+      summary.attended,
+      summary.late,
+      summary.excused,
+      summary.absent,
+      summary.percentage ?? '-',
+      summary.belowThreshold ? 'Yes' : 'No',
+    ]);
+  }
+  rows.sort((a, b) => a.lecture.date - b.lecture.date || a.lecture.startTime.localeCompare(b.lecture.startTime));
+
+  const lectureColumns = [
+    { header: 'Date', width: 12 },
+    { header: 'Time', width: 7 },
+    { header: 'Subject code', width: 14 },
+    { header: 'Subject', width: 36 },
+    { header: 'Status', width: 7, align: 'center' },
+  ];
+  const months = format === 'csv' || !rows.length
+    ? [{ name: `${formatDay(startDate)} to ${formatDay(endDate)}`, lectures: rows.map((r) => r.lecture) }]
+    : groupByMonth(rows.map((r) => r.lecture));
+  let offset = 0;
+  const sections = months.map((month) => {
+    const monthRows = rows.slice(offset, offset + month.lectures.length).map((r) => r.cells);
+    offset += month.lectures.length;
+    return { name: month.name, columns: lectureColumns, rows: fromArray(monthRows) };
+  });
+
+  sections.push({
+    name: 'Summary',
+    columns: [
+      { header: 'Subject code', width: 14 },
+      { header: 'Subject', width: 36 },
+      { header: 'Held', width: 6, align: 'right' },
+      { header: 'Attended', width: 8, align: 'right' },
+      { header: 'Late', width: 6, align: 'right' },
+      { header: 'Excused', width: 8, align: 'right' },
+      { header: 'Absent', width: 7, align: 'right' },
+      { header: '%', width: 7, align: 'right' },
+      { header: `Below ${threshold}%`, width: 10, align: 'center' },
+    ],
+    rows: fromArray(summaryRows),
+  });
+
+  return {
+    title: 'Student attendance register',
+    details: [
+      ['Student', student.fullName],
+      ['Enrollment No.', student.enrollmentNo || ''],
+      ['Semester', student.semester || ''],
+      ['Division', student.division || ''],
+      ['Period', `${formatDay(startDate)} to ${formatDay(endDate)}`],
+    ],
+    legend: LEGEND,
+    sections,
+  };
+};
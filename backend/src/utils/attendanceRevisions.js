@@ -0,0 +1,86 @@
+import { AttendanceRevision } from '../models/attendanceRevisionModel.js';
+
+// Fields a revert may restore; identity fields such as the QR session stay as recorded
+export const REVERTIBLE_ATTENDANCE_FIELDS = ['status', 'attendedAt', 'review.status'];
+
+const sameValue = (a, b) => String(a?.valueOf() ?? '') === String(b?.valueOf() ?? '');
+
+const recordAttendanceRevision = (attendance, changes, { changedBy, source, reason, correctionId, revertedRevisionId }) =>
+  AttendanceRevision.create({
+    attendanceId: attendance._id,
+    classId: attendance.classId,
+    studentId: attendance.studentId,
+    changedBy,
+    source,
+    reason,
+    changes,
+    correctionId,
+    revertedRevisionId,
+  });
+
+/**
+ * Set `updates` on an attendance document, save it and record a revision
+ * with each changed field's previous value. `meta` is { changedBy, source,
+ * reason, correctionId }. Returns the revision, or null when nothing changed.
+ */
+export const applyAttendanceChange = async (attendance, updates, meta) => {
+  const changes = [];
+  for (const [field, value] of Object.entries(updates)) {
+    const from = attendance.get(field);
+    if (sameValue(from, value)) continue;
+    changes.push({ field, from: from ?? null, to: value ?? null });
+    attendance.set(field, value);
+  }
+  if (!changes.length) {
+    return null;
+  }
+
+  await attendance.save();
+  return recordAttendanceRevision(attendance, changes, meta);
+};
+
+// Record a new attendance record as a revision whose fields all start from null
+export const recordAttendanceCreation = (attendance, fields, meta) =>
+  recordAttendanceRevision(
+    attendance,
+    fields.map((field) => ({ field, from: null, to: attendance.get(field) ?? null })),
+    meta
+  );
+
+/**
+ * Restore the values an attendance record had before `revision`, undoing it
+ * and every later change to the same fields. The revert is itself recorded
+ * as a revision.
+ */
+export const revertAttendanceRevision = async (attendance, revision, meta) => {
+  const history = await AttendanceRevision.find({
+    attendanceId: attendance._id,
+    createdAt: { $gte: revision.createdAt },
+  }).sort({ createdAt: 1, _id: 1 });
+  const start = history.findIndex((entry) => entry._id.equals(revision._id));
+
+  // The earliest `from` of each field is its value before the revision
+  const updates = {};
+  for (const entry of history.slice(start)) {
+    for (const { field, from } of entry.changes) {
+      if (!REVERTIBLE_ATTENDANCE_FIELDS.includes(field) || field in updates) continue;
+      updates[field] = from;
+    }
+  }
+  for (const [field, value] of Object.entries(updates)) {
+    if (value === null) delete updates[field];
+  }
+  if (!Object.keys(updates).length) {
+    throw new Error('This revision has no changes that can be reverted');
+  }
+
+  const reverted = await applyAttendanceChange(attendance, updates, {
+    ...meta,
+    source: 'revert',
+    revertedRevisionId: revision._id,
+  });
+  if (!reverted) {
+    throw new Error('Attendance already matches the state before this revision');
+  }
+  return reverted;
+};
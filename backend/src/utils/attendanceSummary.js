@@ -0,0 +1,199 @@
+import { Attendance } from '../models/attendanceModel.js';
+import { ClassSession } from '../models/classSessionModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { Schedule } from '../models/scheduleModel.js';
+import { partitionAttendanceByCalendar, startOfDay, endOfDay } from './calendar.js';
+
+// Best record wins when a student has more than one for the same lecture
+const STATUS_RANK = { present: 4, late: 3, excused: 2, absent: 1 };
+
+// Minimum attendance percentage for exam eligibility
+export const getAttendanceThreshold = () => parseFloat(process.env.ATTENDANCE_ELIGIBILITY_THRESHOLD || '75');
+
+// Mongo date filter for an optional `startDate`/`endDate` range, as { field: range } or {}
+export const dateRangeFilter = (field, { startDate, endDate } = {}) => {
+  const range = {};
+  if (startDate) range.$gte = startOfDay(startDate);
+  if (endDate) range.$lte = endOfDay(endDate);
+  return Object.keys(range).length ? { [field]: range } : {};
+};
+
+/**
+ * The lecture an attendance record belongs to. Records taken before class
+ * sessions existed are grouped by schedule and day, or by QR session.
+ */
+export const lectureKeyOf = (attendance) => {
+  if (attendance.classSessionId) return `session:${attendance.classSessionId}`;
+  if (attendance.scheduleId) return `schedule:${attendance.scheduleId}:${startOfDay(attendance.attendedAt).getTime()}`;
+  if (attendance.sessionId) return `qr:${attendance.sessionId}`;
+  return `day:${startOfDay(attendance.attendedAt).getTime()}`;
+};
+
+const timeOf = (date) => new Date(date).toTimeString().slice(0, 5);
+
+/**
+ * Lectures a class held between `startDate` and `endDate` as
+ * [{ key, date, startTime }] in order: the class sessions marked held plus
+ * older lectures known only from their attendance records. Lectures on
+ * holidays or cancelled occurrences are left out. Attendance is read with a
+ * cursor, keeping one record per lecture.
+ */
+export const getHeldLectures = async (classId, range = {}) => {
+  const [heldSessions, schedules] = await Promise.all([
+    ClassSession.find({ classId, status: 'held', ...dateRangeFilter('date', range) }).select('date startTime').lean(),
+    Schedule.find({ classId }).select('startTime').lean(),
+  ]);
+  const startTimes = new Map(schedules.map((s) => [s._id.toString(), s.startTime]));
+
+  const lectures = new Map(heldSessions.map((s) => {
+    const key = `session:${s._id}`;
+    return [key, { key, date: startOfDay(s.date), startTime: s.startTime }];
+  }));
+
+  const samples = new Map();
+  const cursor = Attendance.find({ classId, ...dateRangeFilter('attendedAt', range) })
+    .select('classSessionId scheduleId sessionId attendedAt')
+    .lean()
+    .cursor();
+  for await (const attendance of cursor) {
+    const key = lectureKeyOf(attendance);
+    if (!lectures.has(key) && !samples.has(key)) samples.set(key, attendance);
+  }
+
+  const { counted } = await partitionAttendanceByCalendar([...samples.values()]);
+  for (const attendance of counted) {
+    const key = lectureKeyOf(attendance);
+    lectures.set(key, {
+      key,
+      date: startOfDay(attendance.attendedAt),
+      startTime: startTimes.get(attendance.scheduleId?.toString()) || timeOf(attendance.attendedAt),
+    });
+  }
+
+  return [...lectures.values()].sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+};
+
+// Lecture key → best status among one student's attendance records
+export const collectLectureStatuses = (attendances) => {
+  const statuses = new Map();
+  for (const attendance of attendances) {
+    const key = lectureKeyOf(attendance);
+    if ((STATUS_RANK[attendance.status] || 0) > (STATUS_RANK[statuses.get(key)] || 0)) {
+      statuses.set(key, attendance.status);
+    }
+  }
+  return statuses;
+};
+
+/**
+ * A student's status for a lecture: their record, 'absent' when they have
+ * none, or null for lectures before they enrolled.
+ */
+export const lectureStatusFor = (lecture, statuses, enrolledAt) => {
+  const status = statuses.get(lecture.key);
+  if (status) return status;
+  return enrolledAt && lecture.date < startOfDay(enrolledAt) ? null : 'absent';
+};
+
+/**
+ * How many more lectures must be attended in a row to reach the threshold
+ * (`lecturesToRecover`), or how many can still be missed while staying at or
+ * above it (`lecturesCanMiss`). Either is null when it does not apply.
+ */
+export const projectAttendance = (attended, expected, threshold) => {
+  const ratio = threshold / 100;
+  if (expected <= 0) {
+    return { lecturesToRecover: null, lecturesCanMiss: null };
+  }
+  if (attended / expected < ratio) {
+    // (attended + n) / (expected + n) >= ratio
+    const lecturesToRecover = ratio >= 1 ? null : Math.ceil((ratio * expected - attended) / (1 - ratio) - 1e-9);
+    return { lecturesToRecover, lecturesCanMiss: null };
+  }
+  // attended / (expected + n) >= ratio
+  const lecturesCanMiss = ratio <= 0 ? null : Math.floor(attended / ratio - expected + 1e-9);
+  return { lecturesToRecover: null, lecturesCanMiss };
+};
+
+/**
+ * Lectures held, attended (present or late), late, excused and absent for one
+ * student over `lectures`, with the percentage against `threshold`.
+ */
+export const summarizeLectures = (lectures, statuses, enrolledAt, threshold) => {
+  const counts = { present: 0, late: 0, excused: 0, absent: 0 };
+  let lecturesHeld = 0;
+  for (const lecture of lectures) {
+    const status = lectureStatusFor(lecture, statuses, enrolledAt);
+    if (!status) continue;
+    lecturesHeld += 1;
+    counts[status] += 1;
+  }
+
+  const attended = counts.present + counts.late;
+  const expected = lecturesHeld - counts.excused;
+  const percentage = expected > 0 ? Math.round((attended / expected) * 10000) / 100 : null;
+  return {
+    lecturesHeld,
+    attended,
+    ...counts,
+    percentage,
+    belowThreshold: percentage !== null && percentage < threshold,
+    ...projectAttendance(attended, expected, threshold),
+  };
+};
+
+/**
+ * Per-student attendance of a class over its held lectures (see
+ * getHeldLectures), counting only lectures since each student enrolled
+ * unless they have a record for it. Lectures without a record count as
+ * absences. Limit to some students with `studentIds`.
+ *
+ * Returns { lecturesHeld, remainingLectures, threshold, students }, where
+ * remainingLectures is null when no class sessions were generated.
+ */
+export const buildClassAttendanceSummary = async (classId, {
+  startDate,
+  endDate,
+  studentIds,
+  threshold = getAttendanceThreshold(),
+} = {}) => {
+  const enrollmentQuery = { classId, isActive: true };
+  if (studentIds) enrollmentQuery.studentId = { $in: studentIds };
+  const attendanceQuery = { classId, ...dateRangeFilter('attendedAt', { startDate, endDate }) };
+  if (studentIds) attendanceQuery.studentId = { $in: studentIds };
+
+  const today = startOfDay(new Date());
+  const [lectures, enrollments, attendances, generatedSessions, remainingLectures] = await Promise.all([
+    getHeldLectures(classId, { startDate, endDate }),
+    ClassEnrollment.find(enrollmentQuery).populate('studentId', 'fullName enrollmentNo email').lean(),
+    Attendance.find(attendanceQuery).select('studentId status classSessionId scheduleId sessionId attendedAt').lean(),
+    ClassSession.exists({ classId, scheduleId: { $exists: true } }),
+    ClassSession.countDocuments({ classId, status: 'scheduled', date: { $gte: today } }),
+  ]);
+
+  const attendancesByStudent = new Map();
+  for (const attendance of attendances) {
+    const studentKey = attendance.studentId.toString();
+    if (!attendancesByStudent.has(studentKey)) attendancesByStudent.set(studentKey, []);
+    attendancesByStudent.get(studentKey).push(attendance);
+  }
+
+  const students = enrollments.filter((e) => e.studentId).map((enrollment) => {
+    const statuses = collectLectureStatuses(attendancesByStudent.get(enrollment.studentId._id.toString()) || []);
+    const summary = summarizeLectures(lectures, statuses, enrollment.enrolledAt, threshold);
+    return {
+      student: enrollment.studentId,
+      ...summary,
+      canRecover: summary.lecturesToRecover === null || !generatedSessions
+        ? null
+        : summary.lecturesToRecover <= remainingLectures,
+    };
+  });
+
+  return {
+    lecturesHeld: lectures.length,
+    remainingLectures: generatedSessions ? remainingLectures : null,
+    threshold,
+    students,
+  };
+};
@@ -0,0 +1,203 @@
+import { AcademicTerm } from '../models/academicTermModel.js';
+import { ScheduleException } from '../models/scheduleExceptionModel.js';
+
+export const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Occurrence statuses under which the class actually meets
+export const HELD_OCCURRENCE_STATUSES = ['scheduled', 'room_changed', 'rescheduled'];
+
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+export const addDays = (date, days) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+// Monday of the week containing `date`
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+export const getActiveTerm = () => AcademicTerm.findOne({ isActive: true });
+
+const idOf = (ref) => (ref?._id ?? ref).toString();
+
+const exceptionKey = (scheduleId, date) => `${idOf(scheduleId)}:${startOfDay(date).getTime()}`;
+
+// Terms overlapping [from, to] with their holidays expanded to one map entry per day
+const loadCalendar = async (from, to) => {
+  const terms = await AcademicTerm.find({ startDate: { $lte: to }, endDate: { $gte: from } })
+    .select('name startDate endDate holidays');
+
+  const holidays = new Map();
+  for (const term of terms) {
+    for (const holiday of term.holidays) {
+      const lastDay = startOfDay(holiday.endDate || holiday.date);
+      for (let day = startOfDay(holiday.date); day <= lastDay; day = addDays(day, 1)) {
+        holidays.set(day.getTime(), { name: holiday.name, termId: term._id });
+      }
+    }
+  }
+  return { terms: new Map(terms.map((term) => [term._id.toString(), term])), holidays };
+};
+
+// Holidays between two dates as [{ date, name, termId }]
+export const getHolidaysBetween = async (from, to) => {
+  const { holidays } = await loadCalendar(startOfDay(from), endOfDay(to));
+  return [...holidays.entries()]
+    .filter(([time]) => time >= startOfDay(from).getTime() && time <= endOfDay(to).getTime())
+    .map(([time, holiday]) => ({ date: new Date(time), ...holiday }));
+};
+
+/**
+ * Expand weekly schedules into dated occurrences between `from` and `to`
+ * (inclusive days), applying term holidays and schedule exceptions.
+ *
+ * Each occurrence is { schedule, date, startTime, endTime, roomNumber, status }
+ * with status one of:
+ *  - scheduled / room_changed: the regular slot, possibly in another room
+ *  - rescheduled: a make-up slot moved here from `rescheduledFrom`
+ *  - moved / cancelled / holiday: the class does not meet in this slot
+ * plus `exception` or `holiday` when one applies. Schedules linked to a term
+ * only occur between the term's start and end dates.
+ */
+export const getScheduleOccurrences = async (schedules, from, to) => {
+  const rangeStart = startOfDay(from);
+  const rangeEnd = endOfDay(to);
+  if (!schedules.length || rangeStart > rangeEnd) {
+    return [];
+  }
+
+  const [{ terms, holidays }, exceptions] = await Promise.all([
+    loadCalendar(rangeStart, rangeEnd),
+    ScheduleException.find({
+      scheduleId: { $in: schedules.map((s) => s._id) },
+      $or: [
+        { date: { $gte: rangeStart, $lte: rangeEnd } },
+        { type: 'rescheduled', newDate: { $gte: rangeStart, $lte: rangeEnd } },
+      ],
+    }),
+  ]);
+  const exceptionsByKey = new Map(exceptions.map((e) => [exceptionKey(e.scheduleId, e.date), e]));
+  const schedulesById = new Map(schedules.map((s) => [s._id.toString(), s]));
+
+  const isWithinTerm = (schedule, day) => {
+    if (!schedule.termId) return true;
+    const term = terms.get(idOf(schedule.termId));
+    return Boolean(term) && day >= startOfDay(term.startDate) && day <= term.endDate;
+  };
+
+  const occurrences = [];
+  for (let day = rangeStart; day <= rangeEnd; day = addDays(day, 1)) {
+    const dayName = DAYS_OF_WEEK[day.getDay()];
+    const holiday = holidays.get(day.getTime());
+
+    for (const schedule of schedules) {
+      if (schedule.dayOfWeek !== dayName || !isWithinTerm(schedule, day)) continue;
+
+      const exception = exceptionsByKey.get(exceptionKey(schedule._id, day));
+      const occurrence = {
+        schedule,
+        date: day,
+        startTime: schedule.startTime,
+        endTime: schedule.endTime,
+        roomNumber: schedule.roomNumber,
+        status: 'scheduled',
+      };
+
+      if (exception?.type === 'cancelled') {
+        Object.assign(occurrence, { status: 'cancelled', exception });
+      } else if (exception?.type === 'rescheduled') {
+        Object.assign(occurrence, { status: 'moved', exception });
+      } else if (holiday) {
+        Object.assign(occurrence, { status: 'holiday', holiday: holiday.name });
+      } else if (exception?.type === 'room_change') {
+        Object.assign(occurrence, { status: 'room_changed', roomNumber: exception.roomNumber, exception });
+      }
+      occurrences.push(occurrence);
+    }
+  }
+
+  // Make-up slots land on their new date regardless of the weekly pattern
+  for (const exception of exceptions) {
+    if (exception.type !== 'rescheduled' || exception.newDate < rangeStart || exception.newDate > rangeEnd) continue;
+    const schedule = schedulesById.get(exception.scheduleId.toString());
+    occurrences.push({
+      schedule,
+      date: startOfDay(exception.newDate),
+      startTime: exception.startTime,
+      endTime: exception.endTime,
+      roomNumber: exception.roomNumber || schedule.roomNumber,
+      status: 'rescheduled',
+      rescheduledFrom: exception.date,
+      exception,
+    });
+  }
+
+  return occurrences.sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+};
+
+// Response shape of an occurrence: the schedule's fields overlaid with the dated slot
+export const formatOccurrence = ({ schedule, exception, ...occurrence }) => ({
+  ...schedule.toObject(),
+  ...occurrence,
+  scheduleId: schedule._id,
+  ...(exception && { exceptionId: exception._id, reason: exception.reason }),
+  ...(occurrence.status === 'moved' && {
+    movedTo: {
+      date: exception.newDate,
+      startTime: exception.startTime,
+      endTime: exception.endTime,
+      roomNumber: exception.roomNumber || schedule.roomNumber,
+    },
+  }),
+});
+
+/**
+ * Split attendance records into those that count toward attendance
+ * percentages and those taken on a holiday or on an occurrence that was
+ * cancelled or moved away. Returns { counted, notHeld }.
+ */
+export const partitionAttendanceByCalendar = async (attendances) => {
+  if (!attendances.length) {
+    return { counted: [], notHeld: [] };
+  }
+
+  const times = attendances.map((a) => new Date(a.attendedAt).getTime());
+  const from = startOfDay(times.reduce((min, t) => Math.min(min, t)));
+  const to = endOfDay(times.reduce((max, t) => Math.max(max, t)));
+  const scheduleIds = [...new Set(attendances.filter((a) => a.scheduleId).map((a) => idOf(a.scheduleId)))];
+
+  const [{ holidays }, exceptions] = await Promise.all([
+    loadCalendar(from, to),
+    scheduleIds.length
+      ? ScheduleException.find({
+        scheduleId: { $in: scheduleIds },
+        type: { $in: ['cancelled', 'rescheduled'] },
+        date: { $gte: from, $lte: to },
+      }).select('scheduleId date')
+      : [],
+  ]);
+  const cancelledKeys = new Set(exceptions.map((e) => exceptionKey(e.scheduleId, e.date)));
+
+  const counted = [];
+  const notHeld = [];
+  for (const attendance of attendances) {
+    const isNotHeld = holidays.has(startOfDay(attendance.attendedAt).getTime()) ||
+      (attendance.scheduleId && cancelledKeys.has(exceptionKey(attendance.scheduleId, attendance.attendedAt)));
+    (isNotHeld ? notHeld : counted).push(attendance);
+  }
+  return { counted, notHeld };
+};
@@ -0,0 +1,73 @@
+import { Class } from '../models/classModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+import { ClassTeacher, CLASS_TEACHER_ROLES } from '../models/classTeacherModel.js';
+
+export const CLASS_ACCESS_DENIED = 'Not authorized for this class';
+
+/**
+ * What each ClassTeacher role may do:
+ *  - view: see the class, its roster, schedules and attendance
+ *  - attendance: run QR sessions, mark and review attendance
+ *  - manage: edit the class, enrollments, schedules, grades, announcements and resources
+ *  - assign: add and remove teachers, delete the class
+ */
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'attendance', 'manage', 'assign'],
+  co_teacher: ['view', 'attendance', 'manage'],
+  ta: ['view', 'attendance'],
+};
+
+export const hasClassPermission = (role, permission) => Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+
+/**
+ * Role of a teacher in a class, or null when not assigned. Assignments made
+ * before roles existed have none: the teacher on `Class.teacherId` is the
+ * owner and everyone else a co-teacher.
+ */
+export const getClassRole = async (userId, classId) => {
+  const assignment = await ClassTeacher.findOne({ classId, teacherId: userId }).select('role').lean();
+  if (!assignment) {
+    return null;
+  }
+  if (assignment.role) {
+    return assignment.role;
+  }
+  return (await Class.exists({ _id: classId, teacherId: userId })) ? 'owner' : 'co_teacher';
+};
+
+/**
+ * Throws CLASS_ACCESS_DENIED unless the user is an admin or holds a class role
+ * granting `permission`. With `allowStudents`, actively enrolled students pass
+ * the 'view' check. Returns the caller's role: 'admin', 'student' or the class role.
+ */
+export const assertClassAccess = async (user, classId, permission = 'view', { allowStudents = false } = {}) => {
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+
+  if (user.role === 'student') {
+    if (allowStudents && permission === 'view') {
+      const enrollment = await ClassEnrollment.exists({ classId, studentId: user._id, isActive: true });
+      if (enrollment) return 'student';
+    }
+    throw new Error(CLASS_ACCESS_DENIED);
+  }
+
+  const role = await getClassRole(user._id, classId);
+  if (!hasClassPermission(role, permission)) {
+    throw new Error(CLASS_ACCESS_DENIED);
+  }
+  return role;
+};
+
+// IDs of the classes in which the teacher holds a role granting `permission`
+export const getTeacherClassIds = async (teacherId, permission = 'view') => {
+  const roles = CLASS_TEACHER_ROLES.filter((role) => hasClassPermission(role, permission));
+  const roleFilter = [{ role: { $in: roles } }];
+  // Unassigned roles rank at least as co-teacher, see getClassRole
+  if (roles.includes('co_teacher')) {
+    roleFilter.push({ role: null });
+  }
+  const assignments = await ClassTeacher.find({ teacherId, $or: roleFilter }).select('classId');
+  return assignments.map((assignment) => assignment.classId);
+};
@@ -0,0 +1,134 @@
+import { ClassSession } from '../models/classSessionModel.js';
+import { Schedule } from '../models/scheduleModel.js';
+import { HELD_OCCURRENCE_STATUSES, getScheduleOccurrences, startOfDay, endOfDay } from './calendar.js';
+
+// Class session status for a calendar occurrence status
+const sessionStatusFor = (occurrence) => {
+  if (occurrence.status === 'holiday') return 'holiday';
+  return HELD_OCCURRENCE_STATUSES.includes(occurrence.status) ? 'scheduled' : 'cancelled';
+};
+
+const sessionKey = (scheduleId, date, startTime) => `${scheduleId}:${startOfDay(date).getTime()}:${startTime}`;
+
+/**
+ * Materialize the lectures of the active schedules of `classIds` between
+ * `from` and `to` as ClassSession documents, following the holiday and
+ * exception calendar. Re-running is safe: existing sessions are updated and
+ * those that no longer match an occurrence are removed. Held sessions and
+ * ad hoc lectures are never touched.
+ * Returns { created, updated, removed }.
+ */
+export const syncClassSessions = async (classIds, from, to) => {
+  const rangeStart = startOfDay(from);
+  const rangeEnd = endOfDay(to);
+
+  const schedules = await Schedule.find({ classId: { $in: classIds }, isActive: true });
+  const [occurrences, existingSessions] = await Promise.all([
+    getScheduleOccurrences(schedules, rangeStart, rangeEnd),
+    ClassSession.find({
+      classId: { $in: classIds },
+      scheduleId: { $exists: true },
+      date: { $gte: rangeStart, $lte: rangeEnd },
+    }),
+  ]);
+  const existingByKey = new Map(existingSessions.map((s) => [sessionKey(s.scheduleId, s.date, s.startTime), s]));
+
+  const operations = [];
+  const matchedIds = new Set();
+  let created = 0;
+  let updated = 0;
+  for (const occurrence of occurrences) {
+    const { schedule } = occurrence;
+    const existing = existingByKey.get(sessionKey(schedule._id, occurrence.date, occurrence.startTime));
+    const fields = {
+      classId: schedule.classId,
+      termId: schedule.termId,
+      teacherId: schedule.teacherId,
+      sessionType: schedule.sessionType,
+      endTime: occurrence.endTime,
+      roomNumber: occurrence.roomNumber,
+      status: sessionStatusFor(occurrence),
+      exceptionId: occurrence.exception?._id,
+      holiday: occurrence.holiday,
+      rescheduledFrom: occurrence.rescheduledFrom,
+    };
+
+    if (!existing) {
+      operations.push({
+        insertOne: {
+          document: { ...fields, scheduleId: schedule._id, date: occurrence.date, startTime: occurrence.startTime },
+        },
+      });
+      created += 1;
+      continue;
+    }
+
+    matchedIds.add(existing._id.toString());
+    if (existing.status === 'held') continue;
+    const changed = Object.entries(fields).some(([field, value]) => String(existing[field] ?? '') !== String(value ?? ''));
+    if (changed) {
+      const unset = Object.fromEntries(Object.entries(fields).filter(([, value]) => value == null).map(([field]) => [field, 1]));
+      const set = Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null));
+      operations.push({ updateOne: { filter: { _id: existing._id }, update: { $set: set, $unset: unset } } });
+      updated += 1;
+    }
+  }
+
+  const staleIds = existingSessions
+    .filter((s) => !matchedIds.has(s._id.toString()) && s.status !== 'held')
+    .map((s) => s._id);
+  if (staleIds.length) {
+    operations.push({ deleteMany: { filter: { _id: { $in: staleIds } } } });
+  }
+
+  if (operations.length) {
+    await ClassSession.bulkWrite(operations, { ordered: false });
+  }
+  return { created, updated, removed: staleIds.length };
+};
+
+/**
+ * The class session a QR session or attendance entry belongs to: the given
+ * `classSessionId`, or else the lecture of `scheduleId` on the day of `at`,
+ * materialized on demand. Returns null when neither is given or the schedule
+ * does not meet that day.
+ */
+export const resolveClassSession = async ({ classId, classSessionId, scheduleId, at = new Date() }) => {
+  if (classSessionId) {
+    const classSession = await ClassSession.findById(classSessionId);
+    if (!classSession) {
+      throw new Error('Class session not found');
+    }
+    if (classSession.classId.toString() !== classId.toString()) {
+      throw new Error('Class session does not belong to this class');
+    }
+    return classSession;
+  }
+  if (!scheduleId) {
+    return null;
+  }
+
+  await syncClassSessions([classId], at, at);
+  const classSessions = await ClassSession.find({ scheduleId, date: startOfDay(at) }).sort({ startTime: 1 });
+  // A slot moved to later the same day leaves a cancelled and a scheduled session; prefer the one that meets
+  return classSessions.find((s) => s.status === 'scheduled' || s.status === 'held') || classSessions[0] || null;
+};
+
+// Throws when attendance cannot be taken for the class session
+export const assertSessionTakesAttendance = (classSession) => {
+  if (classSession?.status === 'holiday') {
+    throw new Error(`No class today: ${classSession.holiday}`);
+  }
+  if (classSession?.status === 'cancelled') {
+    throw new Error('This lecture has been cancelled or rescheduled');
+  }
+};
+
+// Record that attendance was taken for the class session
+export const markClassSessionHeld = async (classSessionId) => {
+  if (!classSessionId) return;
+  await ClassSession.updateOne(
+    { _id: classSessionId, status: { $ne: 'held' } },
+    { $set: { status: 'held', attendanceTakenAt: new Date() } }
+  );
+};
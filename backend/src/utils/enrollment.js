@@ -0,0 +1,46 @@
+import { Class } from '../models/classModel.js';
+import { ClassEnrollment } from '../models/classEnrollmentModel.js';
+
+/**
+ * Enroll a student, reactivating a withdrawn enrollment rather than creating a
+ * second one. `action` is recorded in the enrollment history ('enrolled' or
+ * 'transferred_in'). Returns { status, enrollment } where status is
+ * 'enrolled', 'reactivated' or 'existing'. Archived classes take no enrollments.
+ */
+export const enrollStudentInClass = async (classId, studentId, { performedBy, action = 'enrolled', reason, relatedClassId } = {}) => {
+  if (await Class.exists({ _id: classId, archivedAt: { $ne: null } })) {
+    throw new Error('Class is archived');
+  }
+
+  const entry = { performedBy, reason, relatedClassId, at: new Date() };
+
+  const existing = await ClassEnrollment.findOne({ classId, studentId });
+  if (existing?.isActive) {
+    return { status: 'existing', enrollment: existing };
+  }
+
+  if (existing) {
+    existing.isActive = true;
+    existing.enrolledAt = new Date();
+    existing.history.push({ ...entry, action: action === 'enrolled' ? 'reactivated' : action });
+    await existing.save();
+    return { status: 'reactivated', enrollment: existing };
+  }
+
+  const enrollment = new ClassEnrollment({ classId, studentId, history: [{ ...entry, action }] });
+  await enrollment.save();
+  return { status: 'enrolled', enrollment };
+};
+
+// Withdraw an active enrollment, keeping the record; `action` is 'withdrawn' or 'transferred_out'
+export const withdrawStudentFromClass = async (classId, studentId, { performedBy, action = 'withdrawn', reason, relatedClassId } = {}) => {
+  const enrollment = await ClassEnrollment.findOne({ classId, studentId, isActive: true });
+  if (!enrollment) {
+    throw new Error('Student is not enrolled in this class');
+  }
+
+  enrollment.isActive = false;
+  enrollment.history.push({ action, performedBy, reason, relatedClassId, at: new Date() });
+  await enrollment.save();
+  return enrollment;
+};
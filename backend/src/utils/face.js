@@ -0,0 +1,64 @@
+// Cosine similarity between two embeddings, in [-1, 1]
+export const cosineSimilarity = (a, b) => {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+    throw new Error('Embeddings must be non-empty arrays of the same length');
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    throw new Error('Embeddings must not be zero vectors');
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+const isZeroVector = (embedding) => embedding.every((value) => value === 0);
+
+// Effective face verification settings of a class, falling back to env defaults
+export const getFaceVerificationSettings = (classObj) => {
+  const settings = classObj?.faceVerification || {};
+  return {
+    enabled: settings.enabled ?? process.env.FACE_VERIFICATION_ENABLED === 'true',
+    acceptThreshold: settings.acceptThreshold ?? parseFloat(process.env.FACE_ACCEPT_THRESHOLD || '0.8'),
+    rejectThreshold: settings.rejectThreshold ?? parseFloat(process.env.FACE_REJECT_THRESHOLD || '0.6'),
+  };
+};
+
+/**
+ * Compare a submitted embedding with the student's reference.
+ * Returns { result: 'accepted' | 'flagged' | 'rejected' | 'skipped', similarity, reason }.
+ * Attempts that cannot be scored are flagged for review rather than rejected.
+ */
+export const evaluateFaceMatch = ({ reference, submitted, settings }) => {
+  if (!settings.enabled) {
+    return { result: 'skipped', similarity: null, reason: 'verification_disabled' };
+  }
+  if (!reference || reference.length === 0) {
+    return { result: 'flagged', similarity: null, reason: 'no_reference_embedding' };
+  }
+  if (!submitted || submitted.length === 0) {
+    return { result: 'flagged', similarity: null, reason: 'no_submitted_embedding' };
+  }
+  if (reference.length !== submitted.length) {
+    return { result: 'flagged', similarity: null, reason: 'embedding_size_mismatch' };
+  }
+  if (isZeroVector(reference) || isZeroVector(submitted)) {
+    return { result: 'flagged', similarity: null, reason: 'zero_embedding' };
+  }
+
+  const similarity = Math.round(cosineSimilarity(reference, submitted) * 10000) / 10000;
+  if (similarity >= settings.acceptThreshold) {
+    return { result: 'accepted', similarity, reason: null };
+  }
+  if (similarity >= settings.rejectThreshold) {
+    return { result: 'flagged', similarity, reason: 'low_similarity' };
+  }
+  return { result: 'rejected', similarity, reason: 'face_mismatch' };
+};
@@ -24,4 +24,91 @@ export const calculateDistance = (coords1, coords2) => {
     Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
   const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
   return R * c;
-};
\ No newline at end of file
+};
+
+// Convert { latitude, longitude } points into a closed GeoJSON ring of [lng, lat] pairs
+export const toGeoJSONRing = (points) => {
+  if (!Array.isArray(points) || points.length < 3) {
+    throw new Error('A geofence needs at least three points');
+  }
+  const ring = points.map(({ latitude, longitude }) => [longitude, latitude]);
+  const [firstLng, firstLat] = ring[0];
+  const [lastLng, lastLat] = ring[ring.length - 1];
+  if (firstLng !== lastLng || firstLat !== lastLat) {
+    ring.push([firstLng, firstLat]);
+  }
+  if (ring.length < 4) {
+    throw new Error('A geofence needs at least three distinct points');
+  }
+  return ring;
+};
+
+// Ray casting test of a { latitude, longitude } point against a [lng, lat] ring
+export const isPointInPolygon = (point, ring) => {
+  const x = point.longitude;
+  const y = point.latitude;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Shortest distance in meters from a point to the edge of a [lng, lat] ring.
+ * Uses a local equirectangular projection, which is accurate at room scale.
+ */
+export const distanceToPolygonEdge = (point, ring) => {
+  const toRad = (value) => (value * Math.PI) / 180;
+  const R = 6371e3;
+  const cosLat = Math.cos(toRad(point.latitude));
+  const project = ([lng, lat]) => [
+    toRad(lng - point.longitude) * cosLat * R,
+    toRad(lat - point.latitude) * R,
+  ];
+
+  let minDistance = Infinity;
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    const [ax, ay] = project(ring[i]);
+    const [bx, by] = project(ring[i + 1]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    // Projection of the origin (the point) onto segment AB, clamped to the segment
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+    minDistance = Math.min(minDistance, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return minDistance;
+};
+
+/**
+ * Distance outside a geofence to accept for a reading. The device-reported
+ * accuracy radius widens the default tolerance, up to a cap so a very poor fix
+ * cannot place a student anywhere.
+ */
+export const getGeofenceTolerance = (accuracy) => {
+  const tolerance = parseFloat(process.env.GEOFENCE_ACCURACY_TOLERANCE_METERS || '15');
+  const maxTolerance = parseFloat(process.env.GEOFENCE_MAX_ACCURACY_TOLERANCE_METERS || '50');
+  const reported = parseFloat(accuracy);
+  if (!Number.isFinite(reported)) {
+    return tolerance;
+  }
+  return Math.min(Math.max(tolerance, reported), Math.max(tolerance, maxTolerance));
+};
+
+/**
+ * Check a point against a GeoJSON Polygon geofence. Points outside the fence
+ * but within `toleranceMeters` of its edge are accepted to absorb GPS error.
+ * Returns { inside, withinTolerance, distanceMeters } where distance is 0 inside.
+ */
+export const checkGeofence = (point, geofence, toleranceMeters = 0) => {
+  const ring = geofence.coordinates[0];
+  if (isPointInPolygon(point, ring)) {
+    return { inside: true, withinTolerance: true, distanceMeters: 0 };
+  }
+  const distanceMeters = distanceToPolygonEdge(point, ring);
+  return { inside: false, withinTolerance: distanceMeters <= toleranceMeters, distanceMeters };
+};
@@ -0,0 +1,59 @@
+import { User } from '../models/userModel.js';
+
+// Lockout thresholds, overridable through env
+export const getLockoutSettings = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10),
+  attemptWindowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10),
+  baseLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '5', 10),
+  maxLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440', 10),
+});
+
+// Seconds until the account unlocks, or 0 when it is not locked
+export const getLockRemainingSeconds = (user, now = new Date()) =>
+  user.lockedUntil && user.lockedUntil > now ? Math.ceil((user.lockedUntil - now) / 1000) : 0;
+
+/**
+ * Count a failed password for the account and lock it once the threshold is
+ * reached. Each consecutive lockout doubles in length up to the configured cap.
+ * Updates are atomic so parallel attempts cannot slip past the counter.
+ * Returns { attempts, lockedUntil } where lockedUntil is set only when this attempt locked the account.
+ */
+export const recordFailedLogin = async (userId, now = new Date()) => {
+  const settings = getLockoutSettings();
+  const windowStart = new Date(now.getTime() - settings.attemptWindowMinutes * 60 * 1000);
+
+  // Failures outside the window no longer count
+  await User.updateOne(
+    { _id: userId, lastFailedLoginAt: { $lt: windowStart } },
+    { $set: { failedLoginAttempts: 0 } }
+  );
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+
+  if (user.failedLoginAttempts < settings.maxAttempts) {
+    return { attempts: user.failedLoginAttempts, lockedUntil: null };
+  }
+
+  const lockoutCount = (user.lockoutCount || 0) + 1;
+  const minutes = Math.min(settings.baseLockoutMinutes * 2 ** (lockoutCount - 1), settings.maxLockoutMinutes);
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+  const result = await User.updateOne(
+    { _id: userId, failedLoginAttempts: { $gte: settings.maxAttempts } },
+    { $set: { failedLoginAttempts: 0, lockoutCount, lockedUntil } }
+  );
+
+  // Another request may have applied the lock first
+  return { attempts: user.failedLoginAttempts, lockedUntil: result.modifiedCount ? lockedUntil : null };
+};
+
+// Reset all lockout state, after a successful login or an admin unlock
+export const clearLoginFailures = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockedUntil: 1, lastFailedLoginAt: 1 } }
+  );
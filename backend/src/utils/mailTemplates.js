@@ -0,0 +1,129 @@
+// Email templates. Each returns { subject, text, html } for the given data.
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const appName = () => process.env.APP_NAME || 'Attendance App';
+
+// Wrap paragraphs in the shared plain HTML layout
+const layout = (paragraphs) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    ${paragraphs.map((p) => `<p>${p}</p>`).join('\n    ')}
+    <p style="color: #888; font-size: 12px;">${escapeHtml(appName())}</p>
+  </body>
+</html>`;
+
+const formatDate = (date) => new Date(date).toDateString();
+
+export const mailTemplates = {
+  passwordReset: ({ fullName, resetUrl, expiresInMinutes, forcedByAdmin = false }) => ({
+    subject: `${appName()}: reset your password`,
+    text: [
+      `Hello ${fullName},`,
+      forcedByAdmin
+        ? 'An administrator has required you to set a new password before signing in again.'
+        : 'We received a request to reset your password.',
+      `Reset it here within ${expiresInMinutes} minutes: ${resetUrl}`,
+      'If you did not request this, you can ignore this email.',
+    ].join('\n\n'),
+    html: layout([
+      `Hello ${escapeHtml(fullName)},`,
+      forcedByAdmin
+        ? 'An administrator has required you to set a new password before signing in again.'
+        : 'We received a request to reset your password.',
+      `<a href="${escapeHtml(resetUrl)}">Reset your password</a> within ${escapeHtml(expiresInMinutes)} minutes.`,
+      'If you did not request this, you can ignore this email.',
+    ]),
+  }),
+
+  accountCreated: ({ fullName, email, role, loginUrl }) => ({
+    subject: `${appName()}: your account has been created`,
+    text: [
+      `Hello ${fullName},`,
+      `An administrator has created a ${role} account for you with the email ${email}.`,
+      `Sign in with the password you were given: ${loginUrl}`,
+      'Please change your password after your first sign-in.',
+    ].join('\n\n'),
+    html: layout([
+      `Hello ${escapeHtml(fullName)},`,
+      `An administrator has created a ${escapeHtml(role)} account for you with the email ${escapeHtml(email)}.`,
+      `<a href="${escapeHtml(loginUrl)}">Sign in</a> with the password you were given.`,
+      'Please change your password after your first sign-in.',
+    ]),
+  }),
+
+  leaveRequestDecision: ({ fullName, subjectName, leaveDate, status, reviewerName, reviewComments }) => ({
+    subject: `${appName()}: leave request ${status}`,
+    text: [
+      `Hello ${fullName},`,
+      `Your leave request for ${subjectName} on ${formatDate(leaveDate)} was ${status} by ${reviewerName}.`,
+      ...(reviewComments ? [`Comments: ${reviewComments}`] : []),
+    ].join('\n\n'),
+    html: layout([
+      `Hello ${escapeHtml(fullName)},`,
+      `Your leave request for ${escapeHtml(subjectName)} on ${escapeHtml(formatDate(leaveDate))} was <strong>${escapeHtml(status)}</strong> by ${escapeHtml(reviewerName)}.`,
+      ...(reviewComments ? [`Comments: ${escapeHtml(reviewComments)}`] : []),
+    ]),
+  }),
+
+  attendanceCorrectionDecision: ({ fullName, subjectName, lectureAt, status, reviewerName, reviewComments }) => ({
+    subject: `${appName()}: attendance correction ${status}`,
+    text: [
+      `Hello ${fullName},`,
+      `Your attendance correction for ${subjectName} on ${formatDate(lectureAt)} was ${status} by ${reviewerName}.`,
+      ...(reviewComments ? [`Comments: ${reviewComments}`] : []),
+    ].join('\n\n'),
+    html: layout([
+      `Hello ${escapeHtml(fullName)},`,
+      `Your attendance correction for ${escapeHtml(subjectName)} on ${escapeHtml(formatDate(lectureAt))} was <strong>${escapeHtml(status)}</strong> by ${escapeHtml(reviewerName)}.`,
+      ...(reviewComments ? [`Comments: ${escapeHtml(reviewComments)}`] : []),
+    ]),
+  }),
+
+  scheduleChange: ({ fullName, subjectName, subjectCode, date, startTime, change, reason }) => {
+    const slot = `${subjectName} (${subjectCode}) on ${formatDate(date)} at ${startTime}`;
+    return {
+      subject: `${appName()}: ${subjectCode} schedule change on ${formatDate(date)}`,
+      text: [
+        `Hello ${fullName},`,
+        `Your class ${slot} ${change}.`,
+        ...(reason ? [`Reason: ${reason}`] : []),
+      ].join('\n\n'),
+      html: layout([
+        `Hello ${escapeHtml(fullName)},`,
+        `Your class ${escapeHtml(slot)} <strong>${escapeHtml(change)}</strong>.`,
+        ...(reason ? [`Reason: ${escapeHtml(reason)}`] : []),
+      ]),
+    };
+  },
+
+  attendanceShortage: ({ fullName, subjectName, subjectCode, attended, lecturesHeld, percentage, threshold, lecturesToRecover }) => {
+    const standing = `You have attended ${attended} of ${lecturesHeld} lectures of ${subjectName} (${subjectCode}), ${percentage}%, below the required ${threshold}%.`;
+    const recovery = lecturesToRecover !== null
+      ? `Attend the next ${lecturesToRecover} lectures to get back to ${threshold}%.`
+      : 'Please speak to your teacher about your attendance.';
+    return {
+      subject: `${appName()}: attendance shortage in ${subjectCode}`,
+      text: [`Hello ${fullName},`, standing, recovery].join('\n\n'),
+      html: layout([
+        `Hello ${escapeHtml(fullName)},`,
+        escapeHtml(standing),
+        `<strong>${escapeHtml(recovery)}</strong>`,
+      ]),
+    };
+  },
+};
+
+export const renderMailTemplate = (name, data) => {
+  const template = mailTemplates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  return template(data);
+};
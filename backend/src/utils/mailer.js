@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from './logger.js';
+import { MailMessage } from '../models/mailMessageModel.js';
+import { renderMailTemplate } from './mailTemplates.js';
+
+// Registered mail transports, selected with MAIL_TRANSPORT (default: console)
+const transports = new Map();
+
+/**
+ * Register a mail transport. A transport implements:
+ *  - send({ from, to, subject, text, html }) -> Promise<void>
+ */
+export const registerMailTransport = (name, factory) => {
+  transports.set(name, { factory, instance: null });
+};
+
+// SMTP delivery through nodemailer
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+    }),
+  });
+
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    },
+  };
+};
+
+// Writes each message as JSON into MAIL_OUTPUT_DIR, for local testing
+const createFileTransport = () => {
+  const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || 'mail-outbox');
+
+  return {
+    async send(message) {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+      await fs.promises.writeFile(path.join(outputDir, fileName), JSON.stringify(message, null, 2));
+    },
+  };
+};
+
+// Logs messages instead of sending them. Bodies can carry live links such as
+// password reset tokens, so they are only logged with MAIL_CONSOLE_LOG_BODY=true
+// outside production.
+const createConsoleTransport = () => ({
+  async send(message) {
+    const logBody = process.env.MAIL_CONSOLE_LOG_BODY === 'true' && process.env.NODE_ENV !== 'production';
+    logger.info('Mail (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      ...(logBody && { text: message.text }),
+    });
+  },
+});
+
+registerMailTransport('smtp', createSmtpTransport);
+registerMailTransport('file', createFileTransport);
+registerMailTransport('console', createConsoleTransport);
+
+// Get the configured mail transport
+export const getMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (!transport.instance) {
+    transport.instance = transport.factory();
+  }
+  return transport.instance;
+};
+
+export const getMailFrom = () => process.env.MAIL_FROM || 'Attendance App <no-reply@localhost>';
+
+// Absolute link into the client app, e.g. buildAppUrl('/reset-password', { token })
+export const buildAppUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+/**
+ * Render a template and queue it for delivery. Never throws: a mail problem
+ * must not fail the request that triggered it, so errors are only logged.
+ * Returns the queued message, or null.
+ */
+export const queueMail = async (template, to, data) => {
+  try {
+    const { subject, text, html } = renderMailTemplate(template, data);
+    return await MailMessage.create({ to, template, subject, text, html });
+  } catch (err) {
+    logger.error('Failed to queue mail:', { template, to, error: err.message });
+    return null;
+  }
+};
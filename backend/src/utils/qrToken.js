@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+// Rotating QR tokens have the form `<sessionId>.<step>.<code>` where `step`
+// counts rotation intervals since the epoch and `code` is an HMAC of the
+// session ID and step keyed with the session's rotation secret.
+const ROTATING_TOKEN_PATTERN = /^([a-f0-9]{32})\.(\d+)\.([a-f0-9]{16})$/;
+
+export const generateRotationSecret = () => crypto.randomBytes(32).toString('hex');
+
+export const getRotationStep = (intervalSeconds, at = Date.now()) =>
+  Math.floor(at / (intervalSeconds * 1000));
+
+const computeCode = (secret, sessionId, step) =>
+  crypto.createHmac('sha256', secret).update(`${sessionId}:${step}`).digest('hex').slice(0, 16);
+
+export const parseRotatingToken = (token) => {
+  const match = typeof token === 'string' ? ROTATING_TOKEN_PATTERN.exec(token) : null;
+  if (!match) return null;
+  return { sessionId: match[1], step: parseInt(match[2], 10), code: match[3] };
+};
+
+/**
+ * Current token of a rotating session together with its validity window.
+ * The session must be loaded with `+rotation.secret`.
+ */
+export const getRotationState = (qrSession, at = Date.now()) => {
+  const { intervalSeconds, secret } = qrSession.rotation;
+  const step = getRotationStep(intervalSeconds, at);
+  const intervalMs = intervalSeconds * 1000;
+  return {
+    token: `${qrSession.sessionId}.${step}.${computeCode(secret, qrSession.sessionId, step)}`,
+    step,
+    intervalSeconds,
+    validFrom: new Date(step * intervalMs),
+    validUntil: new Date((step + 1) * intervalMs),
+    serverTime: new Date(at),
+  };
+};
+
+/**
+ * Accept only the token for the current step or the one just before it, so a
+ * code that is a few seconds old still works but a forwarded screenshot does not.
+ */
+export const verifyRotatingToken = (qrSession, token, at = Date.now()) => {
+  const parsed = parseRotatingToken(token);
+  if (!parsed || parsed.sessionId !== qrSession.sessionId) return false;
+
+  const { intervalSeconds, secret } = qrSession.rotation;
+  const currentStep = getRotationStep(intervalSeconds, at);
+  if (parsed.step !== currentStep && parsed.step !== currentStep - 1) return false;
+
+  const expected = Buffer.from(computeCode(secret, qrSession.sessionId, parsed.step));
+  return crypto.timingSafeEqual(expected, Buffer.from(parsed.code));
+};
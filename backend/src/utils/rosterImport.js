@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+
+export const ROSTER_MIME_TYPES = [
+  'text/csv',
+  'application/csv',
+  // Browsers on Windows report CSV files with the Excel MIME type
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+// Accepted header spellings, compared lowercase without spaces, dashes or underscores
+const HEADER_ALIASES = {
+  email: 'email',
+  emailaddress: 'email',
+  fullname: 'fullName',
+  name: 'fullName',
+  role: 'role',
+  enrollmentno: 'enrollmentNo',
+  enrollmentnumber: 'enrollmentNo',
+  phonenumber: 'phoneNumber',
+  phone: 'phoneNumber',
+  mobile: 'phoneNumber',
+  department: 'department',
+  division: 'division',
+  semester: 'semester',
+  year: 'year',
+  subjectcodes: 'subjectCodes',
+  subjectcode: 'subjectCodes',
+  subjects: 'subjectCodes',
+};
+
+const normalizeHeader = (header) => HEADER_ALIASES[String(header).toLowerCase().replace(/[\s_-]+/g, '')];
+
+// Map one raw record onto User fields; unknown columns are dropped
+const normalizeRow = (record) => {
+  const row = {};
+  for (const [header, value] of Object.entries(record)) {
+    const field = normalizeHeader(header);
+    const text = value == null ? '' : String(value).trim();
+    if (field && text) {
+      row[field] = text;
+    }
+  }
+  if (row.email) row.email = row.email.toLowerCase();
+  if (row.role) row.role = row.role.toLowerCase();
+  if (row.enrollmentNo) row.enrollmentNo = row.enrollmentNo.toUpperCase();
+  // Several subject codes may share a cell, separated by `;`, `,` or spaces
+  row.subjectCodes = row.subjectCodes
+    ? [...new Set(row.subjectCodes.toUpperCase().split(/[;,\s]+/).filter(Boolean))]
+    : [];
+  return row;
+};
+
+const isExcelFile = (file) =>
+  file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
+  path.extname(file.originalname || '').toLowerCase() === '.xlsx';
+
+// Both parsers return [{ rowNumber, record }], rowNumber being the line in the file
+const parseCsv = (buffer) =>
+  parse(buffer, { columns: true, bom: true, skip_empty_lines: true, trim: true, relax_column_count: true, info: true })
+    .map(({ record, info }) => ({ rowNumber: info.lines, record }));
+
+// Reads the first worksheet; the first row holds the headers
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = cell.text;
+  });
+
+  const records = [];
+  for (let r = 2; r <= sheet.rowCount; r += 1) {
+    const row = sheet.getRow(r);
+    if (!row.hasValues) continue;
+    const record = {};
+    headers.forEach((header, col) => {
+      if (header) record[header] = row.getCell(col).text;
+    });
+    records.push({ rowNumber: r, record });
+  }
+  return records;
+};
+
+/**
+ * Parse an uploaded CSV or XLSX roster into normalized rows.
+ * Each row carries `rowNumber`, its line in the file (the header is line 1).
+ */
+export const parseRosterFile = async (file) => {
+  let records;
+  try {
+    records = isExcelFile(file) ? await parseXlsx(file.buffer) : parseCsv(file.buffer);
+  } catch (err) {
+    throw new Error(`Could not read roster file: ${err.message}`);
+  }
+
+  return records
+    .map(({ rowNumber, record }) => ({ rowNumber, ...normalizeRow(record) }))
+    // Rows of empty cells only carry rowNumber and the empty subjectCodes list
+    .filter((row) => Object.keys(row).length > 2 || row.subjectCodes.length);
+};
+
+// Random password that satisfies the password policy (lower, upper, digit)
+export const generateTemporaryPassword = () => {
+  const pick = (chars) => chars[crypto.randomInt(chars.length)];
+  const lower = 'abcdefghijkmnpqrstuvwxyz';
+  const upper = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+  const digits = '23456789';
+  const chars = [pick(lower), pick(upper), pick(digits)];
+  while (chars.length < 12) {
+    chars.push(pick(lower + upper + digits));
+  }
+  // Shuffle so the required classes are not always first
+  for (let i = chars.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Registered storage backends, selected with STORAGE_DRIVER (default: local)
+const drivers = new Map();
+
+/**
+ * Register a storage backend. A driver implements:
+ *  - save(key, buffer, { contentType }) -> Promise<{ key, size }>
+ *  - createReadStream(key) -> Promise<Readable>
+ *  - remove(key) -> Promise<void>
+ */
+export const registerStorageDriver = (name, factory) => {
+  drivers.set(name, { factory, instance: null });
+};
+
+// Local disk storage rooted at UPLOAD_DIR
+const createLocalDriver = () => {
+  const rootDir = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    async createReadStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+  };
+};
+
+registerStorageDriver('local', createLocalDriver);
+
+// Get the configured storage backend
+export const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  if (!driver.instance) {
+    driver.instance = driver.factory();
+  }
+  return driver.instance;
+};
+
+// Build a unique storage key under a prefix, keeping the original extension
+export const generateStorageKey = (prefix, originalName = '') => {
+  const ext = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `${prefix}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+};
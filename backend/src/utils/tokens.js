@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User } from '../models/userModel.js';
+import { UserSession } from '../models/userSessionModel.js';
+
+const ACCESS_TOKEN_TTL = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are `<sessionId>.<secret>` so the session can be found without scanning hashes
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+export const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+// Short-lived JWT bound to a session and the user's current token version
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: sessionId, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL() }
+  );
+
+const describeClient = (req) => ({
+  deviceName: req.body?.deviceName || req.get('X-Device-Name'),
+  userAgent: req.get('User-Agent')?.slice(0, 500),
+  ipAddress: req.ip,
+});
+
+/**
+ * Start a new session for a signed-in user.
+ * Returns { accessToken, refreshToken, expiresIn, session }.
+ */
+export const createSession = async (user, req) => {
+  const session = new UserSession({
+    userId: user._id,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS() * 24 * 60 * 60 * 1000),
+    ...describeClient(req),
+  });
+  const { refreshToken, refreshTokenHash } = buildRefreshToken(session._id);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL(),
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already rotated token revokes the session, since it means the
+ * token was copied. Throws on any invalid, revoked or expired token.
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const session = await UserSession.findById(parsed.sessionId)
+    .select('+refreshTokenHash')
+    .populate('userId');
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new Error('Session expired or revoked');
+  }
+
+  const user = session.userId;
+  if (!user || !user.isActive || (user.tokenVersion || 0) !== session.tokenVersion) {
+    session.revokedAt = new Date();
+    session.revokedReason = user && !user.isActive ? 'deactivated' : 'password_changed';
+    await session.save();
+    throw new Error('Session expired or revoked');
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  if (!crypto.timingSafeEqual(Buffer.from(presentedHash), Buffer.from(session.refreshTokenHash))) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'token_reuse';
+    await session.save();
+    const err = new Error('Refresh token reuse detected, session revoked');
+    err.sessionUserId = user._id;
+    err.sessionId = session._id;
+    throw err;
+  }
+
+  // Swap the hash only if no concurrent refresh rotated it first
+  const next = buildRefreshToken(session._id);
+  const rotated = await UserSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    { $set: { refreshTokenHash: next.refreshTokenHash, lastUsedAt: new Date(), ipAddress: req.ip } },
+    { new: true }
+  );
+  if (!rotated) {
+    throw new Error('Refresh token was already used');
+  }
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken: next.refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL(),
+    user,
+    session: rotated,
+  };
+};
+
+// Revoke every active session of a user, optionally keeping one
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  const result = await UserSession.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+/**
+ * Short-lived token handed out after the password step of a two-factor login.
+ * `purpose` is '2fa' when a code is expected, or '2fa_setup' when the role
+ * requires two-factor and the user still has to enroll.
+ */
+export const signTwoFactorChallenge = (user, purpose) =>
+  jwt.sign(
+    { id: user._id, purpose, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m' }
+  );
+
+// Resolve a challenge token to its user; throws when invalid, expired or stale
+export const verifyTwoFactorChallenge = async (challengeToken, purposes) => {
+  const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  if (!purposes.includes(decoded.purpose)) {
+    throw new Error('Invalid challenge token');
+  }
+  const user = await User.findById(decoded.id);
+  if (!user || user.deletedAt || !user.isActive || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    throw new Error('Invalid challenge token');
+  }
+  return { user, purpose: decoded.purpose };
+};